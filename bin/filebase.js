@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+import fs from 'fs'
+import path from 'path'
+import { FilebaseClient, File, filesFromPaths } from '../src/lib.js'
+
+const USAGE = `Usage: filebase <command> [options]
+
+Commands:
+  put <path...>            Store a file, or files and directories, prints
+                           the CID
+  put-car <file.car>       Store a CAR file, prints its root CID
+  status <cid>             Show the status of stored content
+  rm <cid>                 Remove stored content
+  ls                       List stored objects, prints their names
+  get <cid> -o <dir>       Retrieve stored content into a directory
+  nft <metadata.json>      Store an NFT, values of "file:<path>" in the
+                           metadata are stored as files, relative to it
+
+Options:
+  --token <token>          API token, defaults to FILEBASE_TOKEN
+  --bucket <bucket>        Bucket to use instead of the one of the token
+  --endpoint <url>         S3 endpoint, defaults to FILEBASE_ENDPOINT
+  --profile <name>         Profile in ~/.filebase/config
+  --name <name>            Object name to store content under (put, put-car,
+                           nft) or look it up by (status, rm, get)
+  --prefix <prefix>        Only list object names starting with it (ls)
+  --limit <n>              List at most n items (ls)
+  -o, --output <dir>       Directory to write retrieved files to (get)
+  --hidden                 Include hidden files (put)
+  --json                   Print results as JSON
+  -h, --help               Show this help
+`
+
+/** Flags that take a value, by the name they are stored under. */
+const VALUE_FLAGS = new Map([
+  ['token', 'token'],
+  ['bucket', 'bucket'],
+  ['endpoint', 'endpoint'],
+  ['profile', 'profile'],
+  ['name', 'name'],
+  ['prefix', 'prefix'],
+  ['limit', 'limit'],
+  ['output', 'output'],
+  ['o', 'output'],
+])
+const BOOLEAN_FLAGS = new Map([
+  ['json', 'json'],
+  ['hidden', 'hidden'],
+  ['help', 'help'],
+  ['h', 'help'],
+])
+
+/**
+ * Types of the files NFT metadata commonly references, by extension.
+ */
+const MIME_TYPES = new Map([
+  ['png', 'image/png'],
+  ['jpg', 'image/jpeg'],
+  ['jpeg', 'image/jpeg'],
+  ['gif', 'image/gif'],
+  ['webp', 'image/webp'],
+  ['svg', 'image/svg+xml'],
+  ['mp4', 'video/mp4'],
+  ['webm', 'video/webm'],
+  ['mp3', 'audio/mpeg'],
+  ['wav', 'audio/wav'],
+  ['glb', 'model/gltf-binary'],
+  ['gltf', 'model/gltf+json'],
+  ['html', 'text/html'],
+  ['txt', 'text/plain'],
+  ['json', 'application/json'],
+  ['pdf', 'application/pdf'],
+])
+
+/**
+ * @typedef {Record<string, string | boolean | undefined>} Flags
+ */
+
+/**
+ * Splits the arguments into positionals and flags, accepting both
+ * `--flag value` and `--flag=value`.
+ *
+ * @param {string[]} args
+ * @returns {{ positionals: string[], flags: Flags }}
+ */
+const parseArgs = (args) => {
+  /** @type {string[]} */
+  const positionals = []
+  /** @type {Flags} */
+  const flags = {}
+  for (let index = 0; index < args.length; index++) {
+    const arg = /** @type {string} */ (args[index])
+    if (arg === '--') {
+      positionals.push(...args.slice(index + 1))
+      break
+    }
+    const match = arg.match(/^--?([^=]+)(?:=(.*))?$/)
+    if (!match) {
+      positionals.push(arg)
+      continue
+    }
+    const [, flag = '', inline] = match
+    const valueName = VALUE_FLAGS.get(flag)
+    const booleanName = BOOLEAN_FLAGS.get(flag)
+    if (valueName) {
+      const value = typeof inline === 'string' ? inline : args[++index]
+      if (typeof value === 'undefined') {
+        throw new UsageError(`Missing value for ${arg}`)
+      }
+      flags[valueName] = value
+    } else if (booleanName && typeof inline === 'undefined') {
+      flags[booleanName] = true
+    } else {
+      throw new UsageError(`Unknown option ${arg}`)
+    }
+  }
+  return { positionals, flags }
+}
+
+class UsageError extends Error {}
+
+/**
+ * @param {Flags} flags
+ */
+const createClient = (flags) =>
+  new FilebaseClient({
+    token: /** @type {string | undefined} */ (flags['token']),
+    bucket: /** @type {string | undefined} */ (flags['bucket']),
+    endpoint: /** @type {string | undefined} */ (flags['endpoint']),
+    profile: /** @type {string | undefined} */ (flags['profile']),
+  })
+
+/**
+ * Reports progress on stderr, so stdout only holds the result.
+ *
+ * @param {Flags} flags
+ * @returns {((event: import('../src/lib/interface.js').ProgressEvent) => void) | undefined}
+ */
+const progress = (flags) => {
+  if (flags['json'] || !process.stderr.isTTY) {
+    return undefined
+  }
+  return (event) => {
+    const phase = event.type.startsWith('encode') ? 'Encoding' : 'Uploading'
+    const total = typeof event.total === 'number' ? ` of ${formatBytes(event.total)}` : ''
+    process.stderr.write(`\r\x1b[K${phase} ${formatBytes(event.processed)}${total}`)
+    if (event.type === 'upload:done') {
+      process.stderr.write('\r\x1b[K')
+    }
+  }
+}
+
+/**
+ * @param {number} bytes
+ */
+const formatBytes = (bytes) => {
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB']
+  let value = bytes
+  let unit = 0
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024
+    unit++
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`
+}
+
+/**
+ * @param {string[]} positionals
+ * @param {number} count
+ * @param {string} usage
+ */
+const expectArgs = (positionals, count, usage) => {
+  if (positionals.length < count) {
+    throw new UsageError(`Usage: filebase ${usage}`)
+  }
+}
+
+/**
+ * @param {string} value
+ */
+const parseLimit = (value) => {
+  if (!/^[0-9]+$/.test(value) || Number(value) < 1) {
+    throw new UsageError(`--limit must be a positive integer, got ${value}`)
+  }
+  return Number(value)
+}
+
+/** @type {Record<string, (args: string[], flags: Flags) => Promise<unknown>>} */
+const commands = {
+  async put(args, flags) {
+    expectArgs(args, 1, 'put <path...>')
+    const name = /** @type {string | undefined} */ (flags['name']) || null
+    const options = { onProgress: progress(flags) }
+    // A single file is stored as is, rather than in a directory
+    if (args.length === 1 && (await fs.promises.stat(/** @type {string} */ (args[0]))).isFile()) {
+      for await (const file of filesFromPaths(args, { hidden: true })) {
+        return { cid: await createClient(flags).storeBlob(file, name, options) }
+      }
+    }
+    const files = filesFromPaths(args, {
+      hidden: Boolean(flags['hidden']),
+      onError: (error, file) => process.stderr.write(`\r\x1b[KSkipping ${file}: ${error.message}\n`),
+    })
+    const cid = await createClient(flags).storeDirectory(files, name, options)
+    return { cid }
+  },
+
+  async 'put-car'(args, flags) {
+    expectArgs(args, 1, 'put-car <file.car>')
+    const cid = await createClient(flags).storeCar(
+      /** @type {string} */ (args[0]),
+      /** @type {string | undefined} */ (flags['name']) || null,
+      { onProgress: progress(flags) }
+    )
+    return { cid }
+  },
+
+  async status(args, flags) {
+    expectArgs(args, 1, 'status <cid>')
+    return createClient(flags).status(
+      /** @type {string} */ (args[0]),
+      /** @type {string | undefined} */ (flags['name']) || null
+    )
+  },
+
+  async rm(args, flags) {
+    expectArgs(args, 1, 'rm <cid>')
+    const cid = /** @type {string} */ (args[0])
+    await createClient(flags).delete(cid, /** @type {string | undefined} */ (flags['name']) || null)
+    return { cid, deleted: true }
+  },
+
+  async ls(_args, flags) {
+    const limit = typeof flags['limit'] === 'string' ? parseLimit(flags['limit']) : undefined
+    const items = []
+    for await (const item of createClient(flags).list({
+      prefix: /** @type {string | undefined} */ (flags['prefix']),
+      limit,
+    })) {
+      if (flags['json']) {
+        items.push(item)
+      } else {
+        process.stdout.write(`${item.key}\t${formatBytes(item.size)}\t${item.created.toISOString()}\n`)
+      }
+    }
+    return flags['json'] ? items : undefined
+  },
+
+  async get(args, flags) {
+    expectArgs(args, 1, 'get <cid> -o <dir>')
+    const output = path.resolve(/** @type {string} */ (flags['output'] || '.'))
+    const files = []
+    for await (const file of createClient(flags).get(
+      /** @type {string} */ (args[0]),
+      /** @type {string | undefined} */ (flags['name']) || null
+    )) {
+      const target = path.resolve(output, file.name)
+      // Names come from the service, so they must not escape the directory
+      if (!target.startsWith(output + path.sep)) {
+        throw new Error(`Refusing to write ${file.name} outside of ${output}`)
+      }
+      await fs.promises.mkdir(path.dirname(target), { recursive: true })
+      await fs.promises.writeFile(target, file.stream())
+      files.push({ name: file.name, size: file.size, path: target })
+      if (!flags['json']) {
+        process.stdout.write(`${target}\n`)
+      }
+    }
+    return flags['json'] ? files : undefined
+  },
+
+  async nft(args, flags) {
+    expectArgs(args, 1, 'nft <metadata.json>')
+    const file = path.resolve(/** @type {string} */ (args[0]))
+    const metadata = JSON.parse(await fs.promises.readFile(file, 'utf8'))
+    const input = await resolveFiles(metadata, path.dirname(file))
+    const token = await createClient(flags).store(
+      input,
+      /** @type {string | undefined} */ (flags['name']) || null,
+      { onProgress: progress(flags) }
+    )
+    return { cid: token.ipnft, url: token.url }
+  },
+}
+
+/**
+ * Replaces `file:<path>` strings in NFT metadata with the files they name.
+ *
+ * @param {any} value
+ * @param {string} directory
+ * @returns {Promise<any>}
+ */
+const resolveFiles = async (value, directory) => {
+  if (typeof value === 'string' && value.startsWith('file:')) {
+    const file = path.resolve(directory, value.slice('file:'.length))
+    return new File([await fs.promises.readFile(file)], path.basename(file), {
+      type: MIME_TYPES.get(path.extname(file).slice(1).toLowerCase()) || '',
+    })
+  }
+  if (Array.isArray(value)) {
+    return Promise.all(value.map((item) => resolveFiles(item, directory)))
+  }
+  if (value && typeof value === 'object') {
+    const entries = await Promise.all(
+      Object.entries(value).map(async ([key, item]) => [key, await resolveFiles(item, directory)])
+    )
+    return Object.fromEntries(entries)
+  }
+  return value
+}
+
+/**
+ * Prints the result of a command, as JSON or as lines of `key: value`.
+ *
+ * @param {unknown} result
+ * @param {Flags} flags
+ */
+const print = (result, flags) => {
+  if (typeof result === 'undefined') {
+    return
+  }
+  if (flags['json']) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`)
+  } else if (result && typeof result === 'object' && 'cid' in result && Object.keys(result).length === 1) {
+    process.stdout.write(`${/** @type {{ cid: string }} */ (result).cid}\n`)
+  } else {
+    for (const [key, value] of Object.entries(/** @type {object} */ (result))) {
+      const text = value instanceof Date ? value.toISOString()
+        : value && typeof value === 'object' ? JSON.stringify(value)
+        : String(value)
+      process.stdout.write(`${key}: ${text}\n`)
+    }
+  }
+}
+
+const main = async () => {
+  /** @type {Flags} */
+  let flags = {}
+  try {
+    const parsed = parseArgs(process.argv.slice(2))
+    flags = parsed.flags
+    const [name, ...args] = parsed.positionals
+    const command = name && Object.prototype.hasOwnProperty.call(commands, name)
+      ? commands[name]
+      : undefined
+    if (flags['help'] || !command) {
+      process.stdout.write(USAGE)
+      process.exitCode = flags['help'] || !name ? 0 : 2
+      return
+    }
+    print(await command(args, flags), flags)
+  } catch (error) {
+    const { name = 'Error', code, message } = /** @type {any} */ (error)
+    if (flags['json']) {
+      process.stderr.write(`${JSON.stringify({ error: { name, code, message } })}\n`)
+    } else {
+      process.stderr.write(`\r\x1b[K${message}\n`)
+    }
+    process.exitCode = error instanceof UsageError ? 2 : 1
+  }
+}
+
+main()
@@ -0,0 +1,58 @@
+import { AbortError } from './errors.js'
+import { iterate } from './streams.js'
+
+/**
+ * @param {AbortSignal} [signal]
+ */
+export const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) {
+    throw new AbortError()
+  }
+}
+
+/**
+ * Calls `onabort` when the signal is aborted. Returns a function that removes
+ * the listener again.
+ *
+ * @param {AbortSignal | undefined} signal
+ * @param {() => void} onabort
+ * @returns {() => void}
+ */
+export const onAbort = (signal, onabort) => {
+  if (!signal) {
+    return () => {}
+  }
+  signal.addEventListener('abort', onabort)
+  return () => signal.removeEventListener('abort', onabort)
+}
+
+/**
+ * Errors thrown by an operation that was cancelled through its signal (the
+ * AWS SDK and fetch raise their own abort errors) are replaced with an
+ * `AbortError`, anything else is returned as is.
+ *
+ * @param {unknown} error
+ * @param {AbortSignal} [signal]
+ * @returns {unknown}
+ */
+export const toAbortError = (error, signal) =>
+  signal && signal.aborted && !(error instanceof AbortError)
+    ? new AbortError()
+    : error
+
+/**
+ * Passes chunks of the source through, stopping with an `AbortError` as soon
+ * as the signal is aborted.
+ *
+ * @template T
+ * @param {AsyncIterable<T> | ReadableStream<T>} source
+ * @param {AbortSignal} signal
+ * @returns {AsyncIterable<T>}
+ */
+export async function* abortable(source, signal) {
+  throwIfAborted(signal)
+  for await (const chunk of iterate(source)) {
+    throwIfAborted(signal)
+    yield chunk
+  }
+}
@@ -0,0 +1,124 @@
+import { throwIfAborted } from './abort.js'
+
+export const DEFAULT_BATCH_CONCURRENCY = 8
+
+/**
+ * @template T
+ * @typedef {import('./lib/interface.js').BatchResult<T>} BatchResult
+ */
+
+/**
+ * @typedef {import('./lib/interface.js').BatchSummary} BatchSummary
+ */
+
+/**
+ * Runs `store` for every item with at most `concurrency` items in flight.
+ * Results are yielded in the order items complete, and failures are reported
+ * as results instead of ending the batch. Aborting `signal` stops starting
+ * new items and ends the iteration with an `AbortError`.
+ *
+ * The summary resolves once the results have been fully consumed, or the
+ * iteration ends early.
+ *
+ * @template T
+ * @param {Iterable<T> | AsyncIterable<T>} items
+ * @param {(input: T) => Promise<string>} store
+ * @param {object} [options]
+ * @param {number} [options.concurrency]
+ * @param {AbortSignal} [options.signal]
+ * @returns {import('./lib/interface.js').Batch<T>}
+ */
+export const batch = (
+  items,
+  store,
+  { concurrency = DEFAULT_BATCH_CONCURRENCY, signal } = {}
+) => {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new TypeError(
+      `Batch concurrency must be a positive integer, got ${concurrency}`
+    )
+  }
+
+  /** @type {(summary: BatchSummary) => void} */
+  let resolve = () => {}
+  /** @type {Promise<BatchSummary>} */
+  const summary = new Promise((done) => {
+    resolve = done
+  })
+
+  const results = (async function* () {
+    const counts = { total: 0, stored: 0, failed: 0 }
+    const source = toIterator(items)
+    /** @type {Map<number, Promise<{ id: number, result: BatchResult<T> }>>} */
+    const pending = new Map()
+    let exhausted = false
+
+    try {
+      while (true) {
+        while (!exhausted && pending.size < concurrency) {
+          throwIfAborted(signal)
+          const next = await source.next()
+          if (next.done) {
+            exhausted = true
+            break
+          }
+          const id = counts.total++
+          pending.set(id, settle(id, next.value, store))
+        }
+
+        if (pending.size === 0) {
+          return
+        }
+
+        const { id, result } = await Promise.race(pending.values())
+        pending.delete(id)
+        if ('error' in result) {
+          counts.failed++
+        } else {
+          counts.stored++
+        }
+        yield result
+      }
+    } finally {
+      resolve({ ...counts })
+    }
+  })()
+
+  return {
+    [Symbol.asyncIterator]: () => results,
+    summary,
+  }
+}
+
+/**
+ * @template T
+ * @param {number} id
+ * @param {T} input
+ * @param {(input: T) => Promise<string>} store
+ * @returns {Promise<{ id: number, result: BatchResult<T> }>}
+ */
+const settle = async (id, input, store) => {
+  try {
+    const cid = await store(input)
+    return { id, result: { input, index: id, cid } }
+  } catch (error) {
+    return {
+      id,
+      result: {
+        input,
+        index: id,
+        error: error instanceof Error ? error : new Error(String(error)),
+      },
+    }
+  }
+}
+
+/**
+ * @template T
+ * @param {Iterable<T> | AsyncIterable<T>} items
+ * @returns {Iterator<T> | AsyncIterator<T>}
+ */
+const toIterator = (items) =>
+  Symbol.asyncIterator in items
+    ? /** @type {AsyncIterable<T>} */ (items)[Symbol.asyncIterator]()
+    : /** @type {Iterable<T>} */ (items)[Symbol.iterator]()
@@ -1,3 +1,5 @@
+import { CarWriter } from '@ipld/car'
+
 /**
  * An implementation of the CAR reader interface that is backed by a blockstore.
  *
@@ -63,3 +65,56 @@ export class BlockstoreCarReader {
     }
   }
 }
+
+/**
+ * Serializes every block of a blockstore or CAR reader into a CAR file with
+ * the given roots. Blocks are read as the CAR is consumed, and an error
+ * reading them is thrown to the consumer instead of ending the CAR early. If
+ * the consumer stops reading, no more blocks are read and the writer is
+ * closed.
+ *
+ * @param {CID[]} roots
+ * @param {{ blocks(): AsyncIterable<{ cid: CID, bytes: Uint8Array }> }} source
+ * @returns {AsyncGenerator<Uint8Array, void, undefined>}
+ */
+export async function* writeCar(roots, source) {
+  const { writer, out } = CarWriter.create(roots)
+  const chunks = out[Symbol.asyncIterator]()
+  const blocks = source.blocks()[Symbol.asyncIterator]()
+  let stopped = false
+  /** @type {unknown} */
+  let failure
+  // Every put waits for its bytes to be read from the output
+  const writing = (async () => {
+    while (!stopped) {
+      const { done, value } = await blocks.next()
+      if (done) {
+        return
+      }
+      await writer.put({ cid: value.cid, bytes: value.bytes })
+    }
+    if (blocks.return) {
+      await blocks.return()
+    }
+  })()
+    .catch((error) => { failure = error })
+    .finally(() => writer.close())
+
+  try {
+    for (let next = await chunks.next(); !next.done; next = await chunks.next()) {
+      yield next.value
+    }
+  } finally {
+    stopped = true
+    // Reading what is left lets a pending put return, it is at most a block
+    // as no more are read
+    let rest
+    do {
+      rest = await chunks.next()
+    } while (!rest.done)
+    await writing
+  }
+  if (failure) {
+    throw failure
+  }
+}
@@ -0,0 +1,344 @@
+import {
+  CreateBucketCommand,
+  DeleteBucketCommand,
+  HeadBucketCommand,
+  ListBucketsCommand,
+  ListObjectsV2Command,
+  ListMultipartUploadsCommand,
+  AbortMultipartUploadCommand,
+} from '@aws-sdk/client-s3'
+import { resolveService } from './service.js'
+import { throwIfAborted, toAbortError } from './abort.js'
+import { NotFoundError } from './errors.js'
+import { deleteObjects } from './delete-objects.js'
+
+const DEFAULT_NETWORK = 'ipfs'
+const BUCKET_NAME = /^[a-z0-9][a-z0-9-]{1,61}[a-z0-9]$/
+
+/**
+ * @typedef {import('./lib/interface.js').Service} Service
+ * @typedef {import('./lib/interface.js').ResolvedService} ResolvedService
+ * @typedef {import('./lib/interface.js').BucketInfo} BucketInfo
+ * @typedef {import('./lib/interface.js').BucketUsage} BucketUsage
+ * @typedef {import('./lib/interface.js').CreateBucketOptions} CreateBucketOptions
+ * @typedef {import('./lib/interface.js').DeleteBucketOptions} DeleteBucketOptions
+ * @typedef {import('./lib/interface.js').RequestOptions} RequestOptions
+ */
+
+/**
+ * Manages the buckets of an account through the S3 API, using the same
+ * credentials as the client it comes from.
+ */
+class BucketClient {
+  /**
+   * @example
+   * ```js
+   * import { BucketClient } from "@filebase/client"
+   * const buckets = new BucketClient({ token: API_TOKEN })
+   *
+   * await buckets.create('customer-42')
+   * ```
+   *
+   * @param {Service} service
+   */
+  constructor(service) {
+    /**
+     * @readonly
+     * @type {ResolvedService}
+     */
+    this.service = resolveService(service)
+  }
+
+  /**
+   * Creates a bucket on the given network. Bucket names are shared by all
+   * accounts, so creating a bucket with a name that is taken fails.
+   *
+   * @param {Service} service
+   * @param {string} name
+   * @param {CreateBucketOptions} [options]
+   * @returns {Promise<void>}
+   */
+  static async create(service, name, { network = DEFAULT_NETWORK, signal } = {}) {
+    checkBucketName(name)
+    if (typeof network !== 'string' || network === '') {
+      throw new TypeError(`Bucket network must be a non-empty string, got ${network}`)
+    }
+
+    const { client } = resolveService(service)
+    const command = new CreateBucketCommand({ Bucket: name })
+    // The network a bucket stores its objects on is chosen with a header
+    command.middlewareStack.add(
+      (next) => (args) => {
+        const { request } = /** @type {any} */ (args)
+        request.headers['x-amz-meta-network'] = network
+        return next(args)
+      },
+      { step: 'build', name: 'bucketNetworkMiddleware' }
+    )
+    await client
+      .send(command, { abortSignal: signal })
+      .catch((error) => { throw toAbortError(error, signal) })
+  }
+
+  /**
+   * Lists the buckets of the account.
+   *
+   * @param {Service} service
+   * @param {RequestOptions} [options]
+   * @returns {Promise<BucketInfo[]>}
+   */
+  static async list(service, { signal } = {}) {
+    const { client } = resolveService(service)
+    const { Buckets = [] } = await client
+      .send(new ListBucketsCommand({}), { abortSignal: signal })
+      .catch((error) => { throw toAbortError(error, signal) })
+
+    return Buckets.map(({ Name, CreationDate }) => ({
+      name: /** @type {string} */ (Name),
+      created: CreationDate,
+    }))
+  }
+
+  /**
+   * Checks whether a bucket exists and can be accessed with the credentials
+   * of the service. Defaults to the bucket of the service.
+   *
+   * @param {Service} service
+   * @param {string} [name]
+   * @param {RequestOptions} [options]
+   * @returns {Promise<boolean>}
+   */
+  static async exists(service, name, { signal } = {}) {
+    const resolved = resolveService(service)
+    try {
+      await resolved.client.send(
+        new HeadBucketCommand({ Bucket: name || resolved.bucket }),
+        { abortSignal: signal }
+      )
+      return true
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return false
+      }
+      throw toAbortError(error, signal)
+    }
+  }
+
+  /**
+   * Works out how many objects a bucket holds and their total size by
+   * listing all of them, so it takes a request per 1000 objects. Defaults to
+   * the bucket of the service.
+   *
+   * @param {Service} service
+   * @param {string} [name]
+   * @param {RequestOptions} [options]
+   * @returns {Promise<BucketUsage>}
+   */
+  static async usage(service, name, { signal } = {}) {
+    const resolved = resolveService(service)
+    let objects = 0
+    let bytes = 0
+    for await (const object of listObjects(resolved, name || resolved.bucket, signal)) {
+      objects++
+      bytes += object.Size || 0
+    }
+    return { objects, bytes }
+  }
+
+  /**
+   * Deletes a bucket. Only empty buckets can be deleted, unless
+   * `options.force` is set in which case all objects in the bucket are
+   * deleted, and uploads in progress aborted, first.
+   *
+   * @param {Service} service
+   * @param {string} name
+   * @param {DeleteBucketOptions} [options]
+   * @returns {Promise<void>}
+   */
+  static async delete(service, name, { force = false, signal } = {}) {
+    checkBucketName(name)
+    const resolved = resolveService(service)
+    const { client } = resolved
+
+    if (force) {
+      await abortUploads(resolved, name, signal)
+      await deleteObjects(resolved, name, listKeys(resolved, name, signal), signal)
+    }
+
+    await client
+      .send(new DeleteBucketCommand({ Bucket: name }), { abortSignal: signal })
+      .catch((error) => { throw toAbortError(error, signal) })
+  }
+
+  /**
+   * Creates a bucket, on IPFS unless `options.network` says otherwise.
+   *
+   * @example
+   * ```js
+   * await client.buckets.create('customer-42', { network: 'ipfs' })
+   * ```
+   *
+   * @param {string} name
+   * @param {CreateBucketOptions} [options]
+   */
+  create(name, options) {
+    return BucketClient.create(this.service, name, options)
+  }
+
+  /**
+   * Lists the buckets of the account.
+   *
+   * @example
+   * ```js
+   * for (const { name, created } of await client.buckets.list()) {
+   *   console.log(name, created)
+   * }
+   * ```
+   *
+   * @param {RequestOptions} [options]
+   */
+  list(options) {
+    return BucketClient.list(this.service, options)
+  }
+
+  /**
+   * Checks whether a bucket exists, by default the bucket of the client.
+   *
+   * @example
+   * ```js
+   * if (!(await client.buckets.exists('customer-42'))) {
+   *   await client.buckets.create('customer-42')
+   * }
+   * ```
+   *
+   * @param {string} [name]
+   * @param {RequestOptions} [options]
+   */
+  exists(name, options) {
+    return BucketClient.exists(this.service, name, options)
+  }
+
+  /**
+   * Returns the number of objects in a bucket and their total size in bytes,
+   * by default of the bucket of the client.
+   *
+   * @example
+   * ```js
+   * const { objects, bytes } = await client.buckets.usage('customer-42')
+   * ```
+   *
+   * @param {string} [name]
+   * @param {RequestOptions} [options]
+   */
+  usage(name, options) {
+    return BucketClient.usage(this.service, name, options)
+  }
+
+  /**
+   * Deletes a bucket, along with everything in it when `options.force` is
+   * set.
+   *
+   * @example
+   * ```js
+   * await client.buckets.delete('customer-42', { force: true })
+   * ```
+   *
+   * @param {string} name
+   * @param {DeleteBucketOptions} [options]
+   */
+  delete(name, options) {
+    return BucketClient.delete(this.service, name, options)
+  }
+}
+
+/**
+ * @param {string} name
+ */
+const checkBucketName = (name) => {
+  if (typeof name !== 'string' || !BUCKET_NAME.test(name) || name.includes('--')) {
+    throw new TypeError(
+      `Invalid bucket name "${name}", bucket names are 3 to 63 lowercase letters, numbers and single hyphens, starting and ending with a letter or number`
+    )
+  }
+}
+
+/**
+ * @param {ResolvedService} service
+ * @param {string | undefined} bucket
+ * @param {AbortSignal} [signal]
+ * @returns {AsyncIterable<import('@aws-sdk/client-s3')._Object>}
+ */
+async function* listObjects({ client }, bucket, signal) {
+  /** @type {string | undefined} */
+  let continuationToken
+  do {
+    throwIfAborted(signal)
+    const page = await client
+      .send(
+        new ListObjectsV2Command({
+          Bucket: bucket,
+          ContinuationToken: continuationToken,
+        }),
+        { abortSignal: signal }
+      )
+      .catch((error) => { throw toAbortError(error, signal) })
+    yield* page.Contents || []
+    continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined
+  } while (continuationToken)
+}
+
+/**
+ * Lists the keys of all objects in the bucket.
+ *
+ * @param {ResolvedService} service
+ * @param {string} bucket
+ * @param {AbortSignal} [signal]
+ * @returns {AsyncIterable<string>}
+ */
+async function* listKeys(service, bucket, signal) {
+  for await (const { Key } of listObjects(service, bucket, signal)) {
+    if (typeof Key === 'string') {
+      yield Key
+    }
+  }
+}
+
+/**
+ * Aborts all multipart uploads in progress in the bucket, as a bucket with
+ * uploads in progress can not be deleted.
+ *
+ * @param {ResolvedService} service
+ * @param {string} bucket
+ * @param {AbortSignal} [signal]
+ */
+const abortUploads = async ({ client }, bucket, signal) => {
+  /** @type {string | undefined} */
+  let keyMarker
+  /** @type {string | undefined} */
+  let uploadIdMarker
+  do {
+    throwIfAborted(signal)
+    const page = await client
+      .send(
+        new ListMultipartUploadsCommand({
+          Bucket: bucket,
+          KeyMarker: keyMarker,
+          UploadIdMarker: uploadIdMarker,
+        }),
+        { abortSignal: signal }
+      )
+      .catch((error) => { throw toAbortError(error, signal) })
+    for (const { Key, UploadId } of page.Uploads || []) {
+      await client
+        .send(
+          new AbortMultipartUploadCommand({ Bucket: bucket, Key, UploadId }),
+          { abortSignal: signal }
+        )
+        .catch((error) => { throw toAbortError(error, signal) })
+    }
+    keyMarker = page.IsTruncated ? page.NextKeyMarker : undefined
+    uploadIdMarker = page.IsTruncated ? page.NextUploadIdMarker : undefined
+  } while (keyMarker || uploadIdMarker)
+}
+
+export { BucketClient }
@@ -0,0 +1,105 @@
+import * as dagCbor from '@ipld/dag-cbor'
+import { CID } from 'multiformats/cid'
+import { InvalidCarError } from './errors.js'
+
+/**
+ * @typedef {{ version: number, roots: CID[] }} CarHeader
+ */
+
+/**
+ * Reads the header of a CAR file from the start of the stream without
+ * consuming it. Returns the decoded header together with a stream that
+ * yields the whole CAR, including the bytes that were read for the header.
+ *
+ * @param {AsyncIterable<Uint8Array>} car
+ * @returns {Promise<{ header: CarHeader, car: AsyncIterable<Uint8Array> }>}
+ */
+export const peekCarHeader = async (car) => {
+  const iterator = car[Symbol.asyncIterator]()
+  /** @type {Uint8Array[]} */
+  const chunks = []
+  let buffer = new Uint8Array(0)
+
+  /** @type {CarHeader | null} */
+  let header = null
+  while (header === null) {
+    const { done, value } = await iterator.next()
+    if (done) {
+      throw new InvalidCarError('Invalid CAR: stream ended before the header')
+    }
+    chunks.push(value)
+    buffer = concat(buffer, value)
+    header = decodeHeader(buffer)
+  }
+
+  return {
+    header,
+    car: (async function* () {
+      yield* chunks
+      while (true) {
+        const { done, value } = await iterator.next()
+        if (done) {
+          return
+        }
+        yield value
+      }
+    })(),
+  }
+}
+
+/**
+ * Decodes the header from the start of the given bytes, returning `null` if
+ * more bytes are needed.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {CarHeader | null}
+ */
+const decodeHeader = (bytes) => {
+  let length = 0
+  let offset = 0
+  for (let shift = 0; ; shift += 7) {
+    if (offset >= bytes.length) {
+      return null
+    }
+    if (shift > 49) {
+      throw new InvalidCarError('Invalid CAR: header length is not a valid varint')
+    }
+    const byte = /** @type {number} */ (bytes[offset++])
+    length += (byte & 0x7f) * 2 ** shift
+    if (byte < 0x80) {
+      break
+    }
+  }
+  if (length === 0) {
+    throw new InvalidCarError('Invalid CAR: header is empty')
+  }
+  if (bytes.length < offset + length) {
+    return null
+  }
+
+  /** @type {{ version?: unknown, roots?: unknown } | null | undefined} */
+  let header
+  try {
+    header = dagCbor.decode(bytes.subarray(offset, offset + length))
+  } catch (error) {
+    throw new InvalidCarError(`Invalid CAR: header could not be decoded, ${/** @type {Error} */ (error).message}`)
+  }
+  if (header == null || header.version !== 1) {
+    throw new InvalidCarError(`Invalid CAR: unsupported version ${header && header.version}`)
+  }
+  if (!Array.isArray(header.roots) || !header.roots.every((root) => CID.asCID(root))) {
+    throw new InvalidCarError('Invalid CAR: header roots must be a list of CIDs')
+  }
+  return { version: header.version, roots: header.roots.map((root) => /** @type {CID} */ (CID.asCID(root))) }
+}
+
+/**
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ */
+const concat = (a, b) => {
+  const bytes = new Uint8Array(a.length + b.length)
+  bytes.set(a, 0)
+  bytes.set(b, a.length)
+  return bytes
+}
@@ -0,0 +1,93 @@
+import { encode as encodeCbor } from '@ipld/dag-cbor'
+import { varint } from 'multiformats'
+import { readFileStream } from './platform.js'
+import { iterate } from './streams.js'
+import { writeCar } from './bs-car-reader.js'
+
+/**
+ * @typedef {import('./lib/interface.js').CarInput} CarInput
+ * @typedef {import('@ipld/car/api').BlockReader & import('@ipld/car/api').RootsReader} CarReaderLike
+ */
+
+/**
+ * Turns any of the supported CAR inputs into a stream of CAR bytes: a
+ * `Uint8Array`, a `Blob`, a web or Node.js readable stream, an async
+ * iterable of bytes, a `CarReader` (including `BlockstoreCarReader`) or, in
+ * Node.js, the path of a CAR file.
+ *
+ * @param {CarInput} car
+ * @returns {AsyncIterable<Uint8Array>}
+ */
+export const toCarSource = (car) => {
+  if (typeof car === 'string') {
+    return readFileStream(car)
+  }
+  if (car instanceof Uint8Array) {
+    return (async function* () {
+      yield car
+    })()
+  }
+  if (isCarReader(car)) {
+    return writeReader(car)
+  }
+  if (typeof (/** @type {any} */ (car).stream) === 'function') {
+    return iterate(/** @type {Blob} */ (car).stream())
+  }
+  if (
+    car != null &&
+    (Symbol.asyncIterator in car || typeof (/** @type {any} */ (car).getReader) === 'function')
+  ) {
+    return iterate(/** @type {AsyncIterable<Uint8Array> | ReadableStream<Uint8Array>} */ (car))
+  }
+  throw new TypeError(
+    'CAR must be a Blob, Uint8Array, readable stream, async iterable of bytes, CarReader or file path'
+  )
+}
+
+/**
+ * Works out the size in bytes of the CAR an input is turned into, where that
+ * is possible before reading it: the size of a `Uint8Array` or `Blob`, or
+ * the sum of the blocks of a `CarReader`, which are read for it. Returns
+ * `undefined` for streams and file paths.
+ *
+ * @param {CarInput} car
+ * @returns {Promise<number | undefined>}
+ */
+export const toCarSize = async (car) => {
+  if (car instanceof Uint8Array) {
+    return car.byteLength
+  }
+  if (isCarReader(car)) {
+    const header = encodeCbor({ version: 1, roots: await car.getRoots() })
+    let size = varint.encodingLength(header.byteLength) + header.byteLength
+    for await (const { cid, bytes } of car.blocks()) {
+      const length = cid.bytes.byteLength + bytes.byteLength
+      size += varint.encodingLength(length) + length
+    }
+    return size
+  }
+  const { size } = /** @type {any} */ (car)
+  if (typeof (/** @type {any} */ (car).stream) === 'function' && typeof size === 'number') {
+    return size
+  }
+  return undefined
+}
+
+/**
+ * @param {any} value
+ * @returns {value is CarReaderLike}
+ */
+const isCarReader = (value) =>
+  value != null &&
+  typeof value.getRoots === 'function' &&
+  typeof value.blocks === 'function'
+
+/**
+ * Writes the roots and blocks of a reader back out as a CAR.
+ *
+ * @param {CarReaderLike} reader
+ * @returns {AsyncIterable<Uint8Array>}
+ */
+async function* writeReader(reader) {
+  yield* writeCar(await reader.getRoots(), reader)
+}
@@ -0,0 +1,213 @@
+import { base64pad } from 'multiformats/bases/base64'
+import { InvalidTokenError } from './errors.js'
+import { getEnv, readConfigFile, DEFAULT_CONFIG_FILE } from './platform.js'
+
+/**
+ * @typedef {import('./lib/interface.js').ParseTokenResult} ParseTokenResult
+ * @typedef {import('./lib/interface.js').Credentials} Credentials
+ */
+
+const DEFAULT_PROFILE = 'default'
+
+/**
+ * Creates an API token for the access key, secret and bucket, in the same
+ * format as the tokens shown in the Filebase console.
+ *
+ * @param {string} key
+ * @param {string} secret
+ * @param {string} bucket
+ * @returns {string}
+ */
+export const createToken = (key, secret, bucket) => {
+  for (const [name, value] of [['key', key], ['secret', secret], ['bucket', bucket]]) {
+    if (typeof value !== "string" || value === "" || value.includes(':')) {
+      throw new InvalidTokenError(`Token ${name} must be a non-empty string without ":"`)
+    }
+  }
+  return base64pad.baseEncode(new TextEncoder().encode(`${key}:${secret}:${bucket}`))
+}
+
+/**
+ * Parses Authentication Token
+ *
+ * @param {string | string[]} tokenToParse
+ * @returns {ParseTokenResult}
+ */
+export function parseToken(tokenToParse) {
+  if (Array.isArray(tokenToParse)) {
+    if (typeof tokenToParse[2] === "undefined") {
+      throw new InvalidTokenError(`No Bucket Found`);
+    }
+    return {
+      credentials: tokenToParse,
+      bucket: tokenToParse[2]
+    }
+  }
+
+  if (typeof tokenToParse !== "string") {
+    throw new InvalidTokenError(`Token Not Found`)
+  }
+
+  const token = decodeBase64(tokenToParse).split(':')
+  const bucket = token[2]
+
+  if (typeof token[0] !== "string" || token[0] === "") {
+    throw new InvalidTokenError(`Invalid Access Key`)
+  }
+
+  if (typeof token[1] !== "string" || token[1] === "") {
+    throw new InvalidTokenError(`Invalid Secret Key`)
+  }
+
+  if (typeof bucket === "undefined") {
+    throw new InvalidTokenError(`No Bucket Found`);
+  }
+
+  return {
+    credentials: token,
+    bucket: bucket
+  }
+}
+
+/**
+ * Finds credentials in order of precedence: the explicit token, the
+ * `FILEBASE_TOKEN` environment variable, the `FILEBASE_KEY`,
+ * `FILEBASE_SECRET` and `FILEBASE_BUCKET` environment variables and then the
+ * profile in the config file (`~/.filebase/config` unless
+ * `FILEBASE_CONFIG_FILE` says otherwise). An explicit bucket takes
+ * precedence over the bucket of any of these. Returns `undefined` if there
+ * are none, environment variables and config files are only read in Node.js.
+ *
+ * @param {object} [options]
+ * @param {string | string[]} [options.token]
+ * @param {string} [options.bucket]
+ * @param {string} [options.profile] Defaults to `FILEBASE_PROFILE` or `default`.
+ * @returns {Credentials | undefined}
+ */
+export const loadCredentials = ({ token, bucket, profile } = {}) => {
+  if (typeof token !== "undefined") {
+    return withBucket(parseToken(token), bucket)
+  }
+
+  const env = getEnv()
+  const endpoint = env['FILEBASE_ENDPOINT'] || undefined
+  if (env['FILEBASE_TOKEN']) {
+    return { ...withBucket(parseToken(env['FILEBASE_TOKEN']), bucket), endpoint }
+  }
+  if (env['FILEBASE_KEY'] || env['FILEBASE_SECRET']) {
+    return {
+      ...fromKeys(env['FILEBASE_KEY'], env['FILEBASE_SECRET'], bucket || env['FILEBASE_BUCKET']),
+      endpoint,
+    }
+  }
+
+  const name = profile || env['FILEBASE_PROFILE'] || DEFAULT_PROFILE
+  const path = env['FILEBASE_CONFIG_FILE'] || DEFAULT_CONFIG_FILE
+  const config = readConfigFile(path)
+  const section = typeof config === "string" ? parseProfiles(config).get(name) : undefined
+  if (!section) {
+    // Asking for a profile that does not exist is a mistake, not having any
+    // credentials at all is left to the caller
+    if (profile || env['FILEBASE_PROFILE']) {
+      throw new InvalidTokenError(`Profile "${name}" not found in ${path}`)
+    }
+    return undefined
+  }
+
+  const credentials = section['token']
+    ? withBucket(parseToken(section['token']), bucket)
+    : fromKeys(section['key'], section['secret'], bucket || section['bucket'])
+  return { ...credentials, endpoint: section['endpoint'] }
+}
+
+/**
+ * Parses a config file with a section per profile, e.g.
+ *
+ * ```ini
+ * [default]
+ * token = <API token>
+ *
+ * [backups]
+ * key = <access key>
+ * secret = <secret key>
+ * bucket = backups
+ * endpoint = https://s3.filebase.com
+ * ```
+ *
+ * @param {string} text
+ * @returns {Map<string, Record<string, string>>}
+ */
+export const parseProfiles = (text) => {
+  /** @type {Map<string, Record<string, string>>} */
+  const profiles = new Map()
+  /** @type {Record<string, string> | null} */
+  let section = null
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim()
+    if (line === "" || line.startsWith('#') || line.startsWith(';')) {
+      continue
+    }
+    const header = line.match(/^\[\s*(?:profile\s+)?([^\]]+?)\s*\]$/)
+    const name = header && header[1]
+    if (name) {
+      section = profiles.get(name) || {}
+      profiles.set(name, section)
+      continue
+    }
+    const separator = line.indexOf('=')
+    if (section && separator > 0) {
+      section[line.slice(0, separator).trim().toLowerCase()] = line
+        .slice(separator + 1)
+        .trim()
+    }
+  }
+  return profiles
+}
+
+/**
+ * @param {ParseTokenResult} parsed
+ * @param {string} [bucket]
+ * @returns {ParseTokenResult}
+ */
+const withBucket = (parsed, bucket) =>
+  bucket ? { ...parsed, bucket } : parsed
+
+/**
+ * @param {string | undefined} key
+ * @param {string | undefined} secret
+ * @param {string | undefined} bucket
+ * @returns {ParseTokenResult}
+ */
+const fromKeys = (key, secret, bucket) => {
+  if (!key) {
+    throw new InvalidTokenError(`Invalid Access Key`)
+  }
+  if (!secret) {
+    throw new InvalidTokenError(`Invalid Secret Key`)
+  }
+  if (!bucket) {
+    throw new InvalidTokenError(`No Bucket Found`)
+  }
+  return { credentials: [key, secret, bucket], bucket }
+}
+
+/**
+ * Decodes base64 without relying on `Buffer`, accepting the URL safe
+ * alphabet and missing padding like `Buffer` does.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const decodeBase64 = (text) => {
+  const unpadded = text
+    .replace(/\s+/g, '')
+    .replace(/=+$/, '')
+    .replace(/-/g, '+')
+    .replace(/_/g, '/')
+  const padded = unpadded.padEnd(Math.ceil(unpadded.length / 4) * 4, '=')
+  try {
+    return new TextDecoder().decode(base64pad.baseDecode(padded))
+  } catch {
+    throw new InvalidTokenError(`Token Not Found`)
+  }
+}
@@ -0,0 +1,63 @@
+import { DeleteObjectsCommand } from '@aws-sdk/client-s3'
+import { toAbortError } from './abort.js'
+import { DeleteObjectsError } from './errors.js'
+
+/**
+ * Most keys a single DeleteObjects request takes.
+ */
+const MAX_DELETE_BATCH_SIZE = 1000
+
+/**
+ * Deletes the objects with the given keys from the bucket, in batches of up
+ * to 1000 keys. Keys are deleted as they are read, so they can come from a
+ * listing of the same bucket: listing continues after the last key, which
+ * makes deleting while listing safe.
+ *
+ * Objects the service fails to delete do not stop the others from being
+ * deleted, they are reported together by a `DeleteObjectsError` at the end.
+ *
+ * @param {import('./lib/interface.js').ResolvedService} service
+ * @param {string | undefined} bucket
+ * @param {Iterable<string> | AsyncIterable<string>} keys
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export const deleteObjects = async ({ client }, bucket, keys, signal) => {
+  /** @type {Array<{ Key: string }>} */
+  let batch = []
+  /** @type {Array<{ key: string, code?: string, message?: string }>} */
+  const failures = []
+  /** @type {string | undefined} */
+  let requestId
+  const flush = async () => {
+    if (batch.length === 0) {
+      return
+    }
+    const objects = batch
+    batch = []
+    const { Errors = [], $metadata } = await client
+      .send(
+        new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: objects, Quiet: true },
+        }),
+        { abortSignal: signal }
+      )
+      .catch((error) => { throw toAbortError(error, signal) })
+    for (const { Key = '', Code, Message } of Errors) {
+      failures.push({ key: Key, code: Code, message: Message })
+      requestId = $metadata.requestId
+    }
+  }
+
+  for await (const Key of keys) {
+    batch.push({ Key })
+    if (batch.length >= MAX_DELETE_BATCH_SIZE) {
+      await flush()
+    }
+  }
+  await flush()
+  if (failures.length > 0) {
+    throw new DeleteObjectsError(failures, { requestId })
+  }
+}
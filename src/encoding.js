@@ -0,0 +1,167 @@
+import { importer } from 'ipfs-unixfs-importer'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { writeCar } from './bs-car-reader.js'
+import { iterate } from './streams.js'
+import { EmptyContentError } from './errors.js'
+import { hashers } from './hashers.js'
+
+/**
+ * @typedef {import('./lib/interface.js').EncodingOptions} EncodingOptions
+ * @typedef {import('ipfs-car/blockstore').Blockstore} Blockstore
+ * @typedef {{ path: string, content?: string | Uint8Array | AsyncIterable<Uint8Array> | ReadableStream<Uint8Array> }} PackCandidate
+ */
+
+/**
+ * Encoding used when none is specified. It matches the defaults of
+ * `ipfs add` in kubo, which uses raw leaves for CIDv1 unless told otherwise.
+ *
+ * @type {Readonly<Required<Omit<EncodingOptions, 'minChunkSize' | 'maxChunkSize'>>>}
+ */
+export const DEFAULT_ENCODING = Object.freeze({
+  cidVersion: /** @type {0} */ (0),
+  rawLeaves: false,
+  chunker: 'fixed',
+  chunkSize: 262144,
+  layout: /** @type {'balanced'} */ ('balanced'),
+  maxChildrenPerNode: 174,
+  hasher: 'sha2-256',
+})
+
+/**
+ * Merges encoding options, later ones overriding earlier ones.
+ *
+ * @param {...(EncodingOptions | undefined)} encodings
+ * @returns {EncodingOptions}
+ */
+export const mergeEncoding = (...encodings) =>
+  Object.assign({}, ...encodings.filter(Boolean))
+
+/**
+ * Translates encoding options into options for the UnixFS importer,
+ * validating combinations that would produce CIDs other than the ones asked
+ * for.
+ *
+ * @param {EncodingOptions} [encoding]
+ */
+export const toImporterOptions = (encoding = {}) => {
+  const {
+    cidVersion,
+    chunker,
+    chunkSize,
+    minChunkSize,
+    maxChunkSize,
+    layout,
+    maxChildrenPerNode,
+    hasher: hasherName,
+  } = { ...DEFAULT_ENCODING, ...encoding }
+  const rawLeaves =
+    typeof encoding.rawLeaves === 'undefined' ? cidVersion === 1 : encoding.rawLeaves
+
+  const hasher = typeof hasherName === 'string' ? hashers[hasherName] : hasherName
+  if (typeof hasher === 'undefined') {
+    throw new TypeError(
+      `Unsupported hash function "${hasherName}", expected one of ${Object.keys(hashers).join(', ')} or a multihash hasher`
+    )
+  }
+  if (cidVersion !== 0 && cidVersion !== 1) {
+    throw new TypeError(`Unsupported CID version ${cidVersion}, expected 0 or 1`)
+  }
+  if (cidVersion === 0 && (rawLeaves || hasher.code !== sha256.code)) {
+    throw new TypeError(
+      'CIDv0 only supports sha2-256 without raw leaves, use `cidVersion: 1` instead'
+    )
+  }
+  if (layout !== 'balanced' && layout !== 'trickle') {
+    throw new TypeError(`Unsupported DAG layout "${layout}", expected "balanced" or "trickle"`)
+  }
+
+  return {
+    cidVersion,
+    rawLeaves,
+    hasher,
+    strategy: layout,
+    maxChildrenPerNode,
+    ...toChunkerOptions(chunker, chunkSize, minChunkSize, maxChunkSize),
+  }
+}
+
+/**
+ * Chunkers can be given by name, or in the form kubo accepts them e.g.
+ * `size-1048576` or `rabin-16384-262144-1048576`.
+ *
+ * @param {string} chunker
+ * @param {number} chunkSize
+ * @param {number} [minChunkSize]
+ * @param {number} [maxChunkSize]
+ */
+const toChunkerOptions = (chunker, chunkSize, minChunkSize, maxChunkSize) => {
+  const [name, ...sizes] = chunker.split('-')
+  const [first, second, third] = sizes.map(Number)
+  if (name === 'size' || name === 'fixed') {
+    return {
+      chunker: /** @type {'fixed'} */ ('fixed'),
+      maxChunkSize: first || chunkSize,
+    }
+  }
+  if (name === 'rabin') {
+    // `rabin-avg` or `rabin-min-avg-max`, sizes default like they do in kubo
+    const avgChunkSize = (sizes.length === 1 ? first : second) || chunkSize
+    return {
+      chunker: /** @type {'rabin'} */ ('rabin'),
+      avgChunkSize,
+      minChunkSize: (sizes.length === 3 ? first : minChunkSize) || Math.floor(avgChunkSize / 3),
+      maxChunkSize: (sizes.length === 3 ? third : maxChunkSize) || Math.floor(avgChunkSize * 1.5),
+    }
+  }
+  throw new TypeError(`Unsupported chunker "${chunker}", expected "fixed" or "rabin"`)
+}
+
+/**
+ * Encodes the given files as a UnixFS DAG into the blockstore and returns
+ * its root CID along with the DAG serialized as a CAR.
+ *
+ * @param {object} options
+ * @param {Iterable<PackCandidate> | AsyncIterable<PackCandidate>} options.input
+ * @param {Blockstore} options.blockstore
+ * @param {boolean} [options.wrapWithDirectory]
+ * @param {EncodingOptions} [options.encoding]
+ */
+export const pack = async ({ input, blockstore, wrapWithDirectory = false, encoding }) => {
+  const options = toImporterOptions(encoding)
+
+  /** @type {import('multiformats').CID | undefined} */
+  let root
+  for await (const entry of importer(normaliseInput(input), blockstore, {
+    ...options,
+    wrapWithDirectory,
+  })) {
+    root = entry.cid
+  }
+  if (typeof root === 'undefined') {
+    throw new EmptyContentError('Nothing to encode, make sure to provide some content')
+  }
+
+  return { root, out: writeCar([root], blockstore) }
+}
+
+/**
+ * The importer only takes bytes, so string and stream contents are converted
+ * as they are read.
+ *
+ * @param {Iterable<PackCandidate> | AsyncIterable<PackCandidate>} input
+ */
+async function* normaliseInput(input) {
+  for await (const candidate of input) {
+    yield {
+      path: candidate.path,
+      get content() {
+        const { content } = candidate
+        return typeof content === 'string'
+          ? new TextEncoder().encode(content)
+          : content instanceof Uint8Array || content == null
+          ? content
+          : iterate(content)
+      },
+    }
+  }
+}
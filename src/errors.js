@@ -0,0 +1,282 @@
+/**
+ * Base class of the errors raised by the client. The `code` identifies the
+ * kind of error, and errors caused by a response of the service carry the
+ * `requestId` of that request and the original error as `cause`.
+ */
+export class FilebaseError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {string} [options.code]
+   * @param {string} [options.requestId]
+   * @param {unknown} [options.cause]
+   */
+  constructor(message, { code = 'FILEBASE_ERROR', requestId, cause } = {}) {
+    super(message)
+    this.name = 'FilebaseError'
+    this.code = code
+    this.requestId = requestId
+    this.cause = cause
+  }
+}
+
+/**
+ * Raised when an operation is cancelled through its `AbortSignal`.
+ */
+export class AbortError extends FilebaseError {
+  /**
+   * @param {string} [message]
+   */
+  constructor(message = 'The operation was aborted') {
+    super(message, { code: 'ABORT_ERR' })
+    this.name = 'AbortError'
+  }
+}
+
+/**
+ * Raised when the token or credentials the client was given are missing or
+ * malformed, before any request is made.
+ */
+export class InvalidTokenError extends FilebaseError {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message, { code: 'INVALID_TOKEN' })
+    this.name = 'InvalidTokenError'
+  }
+}
+
+/**
+ * Raised when the service rejects the credentials or does not allow them to
+ * access a resource.
+ */
+export class AuthenticationError extends FilebaseError {
+  /**
+   * @param {string} message
+   * @param {{ requestId?: string, cause?: unknown }} [options]
+   */
+  constructor(message, options) {
+    super(message, { ...options, code: 'AUTHENTICATION_FAILED' })
+    this.name = 'AuthenticationError'
+  }
+}
+
+/**
+ * Raised when the requested content does not exist.
+ */
+export class NotFoundError extends FilebaseError {
+  /**
+   * @param {string} message
+   * @param {{ code?: string, requestId?: string, cause?: unknown }} [options]
+   */
+  constructor(message, { code = 'NOT_FOUND', ...options } = {}) {
+    super(message, { ...options, code })
+    this.name = 'NotFoundError'
+  }
+}
+
+/**
+ * Raised when the bucket does not exist.
+ */
+export class BucketNotFoundError extends NotFoundError {
+  /**
+   * @param {string} message
+   * @param {{ requestId?: string, cause?: unknown }} [options]
+   */
+  constructor(message, options) {
+    super(message, { ...options, code: 'BUCKET_NOT_FOUND' })
+    this.name = 'BucketNotFoundError'
+  }
+}
+
+/**
+ * Raised when the account has run out of storage or other resources it is
+ * allowed to use.
+ */
+export class QuotaExceededError extends FilebaseError {
+  /**
+   * @param {string} message
+   * @param {{ requestId?: string, cause?: unknown }} [options]
+   */
+  constructor(message, options) {
+    super(message, { ...options, code: 'QUOTA_EXCEEDED' })
+    this.name = 'QuotaExceededError'
+  }
+}
+
+/**
+ * Raised when there is no content to store.
+ */
+export class EmptyContentError extends FilebaseError {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message, { code: 'EMPTY_CONTENT' })
+    this.name = 'EmptyContentError'
+  }
+}
+
+/**
+ * Raised when a CAR is malformed, or can not be stored as it is e.g. because
+ * it has more than one root.
+ */
+export class InvalidCarError extends FilebaseError {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message, { code: 'INVALID_CAR' })
+    this.name = 'InvalidCarError'
+  }
+}
+
+/**
+ * Raised when the path of a file is invalid, or conflicts with the path of
+ * another file in the same directory.
+ */
+export class InvalidPathError extends FilebaseError {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message, { code: 'INVALID_PATH' })
+    this.name = 'InvalidPathError'
+  }
+}
+
+/**
+ * Raised when the CID the service reports for stored content does not match
+ * the CID that was computed locally, or the bytes of a block do not match
+ * its CID.
+ */
+export class CidMismatchError extends FilebaseError {
+  /**
+   * @param {string} expected CID computed locally, or of the block.
+   * @param {string} actual CID reported by the service, or of the bytes.
+   * @param {{ requestId?: string }} [options]
+   */
+  constructor(expected, actual, options) {
+    super(`Content has CID ${actual} but ${expected} was expected`, {
+      ...options,
+      code: 'CID_MISMATCH',
+    })
+    this.name = 'CidMismatchError'
+    this.expected = expected
+    this.actual = actual
+  }
+}
+
+/**
+ * Raised when some of the objects of a batch delete could not be deleted,
+ * after all the others were. Their keys are listed in `keys` and the error
+ * the service reported for each of them in `errors`.
+ */
+export class DeleteObjectsError extends FilebaseError {
+  /**
+   * @param {Array<{ key: string, code?: string, message?: string }>} errors
+   * @param {{ requestId?: string }} [options]
+   */
+  constructor(errors, options) {
+    const keys = errors.map(({ key }) => key)
+    const listed = keys.length > 10 ? [...keys.slice(0, 10), `${keys.length - 10} more`] : keys
+    super(`Failed to delete ${keys.length} object(s): ${listed.join(', ')}`, {
+      ...options,
+      code: 'DELETE_FAILED',
+    })
+    this.name = 'DeleteObjectsError'
+    this.keys = keys
+    this.errors = errors
+  }
+}
+
+/**
+ * Raised for any other error response of the service, or a response that is
+ * missing what the client expects. The `code` is the S3 error code when
+ * there is one.
+ */
+export class ServiceError extends FilebaseError {
+  /**
+   * @param {string} message
+   * @param {{ code?: string, status?: number, requestId?: string, cause?: unknown }} [options]
+   */
+  constructor(message, { code = 'SERVICE_ERROR', status, ...options } = {}) {
+    super(message, { ...options, code })
+    this.name = 'ServiceError'
+    this.status = status
+  }
+}
+
+const AUTHENTICATION_CODES = new Set([
+  'AccessDenied',
+  'AllAccessDisabled',
+  'ExpiredToken',
+  'InvalidAccessKeyId',
+  'InvalidToken',
+  'SignatureDoesNotMatch',
+])
+const NOT_FOUND_CODES = new Set(['NoSuchKey', 'NotFound', 'NoSuchUpload'])
+const QUOTA_CODES = new Set([
+  'QuotaExceeded',
+  'StorageQuotaExceeded',
+  'TooManyBuckets',
+])
+
+/**
+ * Maps an error response of the S3 API onto the matching error class, by
+ * its S3 error code or else its HTTP status. Errors that are not from a
+ * service response, such as network failures and aborts, are returned as is.
+ *
+ * @param {any} error
+ * @returns {unknown}
+ */
+export const toServiceError = (error) => {
+  if (
+    error instanceof FilebaseError ||
+    !error ||
+    typeof error.$metadata !== 'object' ||
+    typeof error.$metadata.httpStatusCode !== 'number'
+  ) {
+    return error
+  }
+
+  const { httpStatusCode: status, requestId } = error.$metadata
+  const code = error.Code || error.name
+  const message = error.message || `Request failed with status ${status}`
+  const options = { requestId, cause: error }
+
+  if (code === 'NoSuchBucket') {
+    return new BucketNotFoundError(message, options)
+  }
+  if (QUOTA_CODES.has(code)) {
+    return new QuotaExceededError(message, options)
+  }
+  if (NOT_FOUND_CODES.has(code) || status === 404) {
+    return new NotFoundError(message, options)
+  }
+  if (AUTHENTICATION_CODES.has(code) || status === 401 || status === 403) {
+    return new AuthenticationError(message, options)
+  }
+  return new ServiceError(message, { ...options, code, status })
+}
+
+/**
+ * S3 client middleware replacing errors of the service with the error
+ * classes above. It is the outermost middleware, so retries and throttling
+ * still see the errors of the SDK.
+ *
+ * @param {import('@aws-sdk/client-s3').S3Client} client
+ */
+export const applyServiceErrors = (client) => {
+  client.middlewareStack.add(
+    (next) => async (args) => {
+      try {
+        return await next(args)
+      } catch (error) {
+        throw toServiceError(error)
+      }
+    },
+    { step: 'initialize', priority: 'high', name: 'serviceErrorMiddleware' }
+  )
+}
@@ -0,0 +1,29 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+export const DEFAULT_CONFIG_FILE = path.join(os.homedir(), '.filebase', 'config')
+
+/**
+ * @returns {Record<string, string | undefined>}
+ */
+export const getEnv = () => process.env
+
+/**
+ * Reads the config file with credential profiles, returning `undefined` if
+ * it does not exist. It is read synchronously as credentials are resolved
+ * when a client is constructed.
+ *
+ * @param {string} file
+ * @returns {string | undefined}
+ */
+export const readConfigFile = (file) => {
+  try {
+    return fs.readFileSync(file, 'utf8')
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT') {
+      return undefined
+    }
+    throw error
+  }
+}
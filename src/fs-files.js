@@ -0,0 +1,264 @@
+import fs from 'fs'
+import path from 'path'
+import { InvalidPathError } from './errors.js'
+
+/**
+ * @typedef {import('./lib/interface.js').FileObject} FileObject
+ * @typedef {import('./lib/interface.js').FilesFromPathsOptions} FilesFromPathsOptions
+ * @typedef {(name: string, isDirectory: boolean) => boolean} Matcher
+ */
+
+/**
+ * Reads a file from disk as a stream of bytes, e.g. a CAR file to store.
+ *
+ * @param {string} file
+ * @returns {AsyncIterable<Uint8Array>}
+ */
+export const readFileStream = (file) => fs.createReadStream(file)
+
+/**
+ * Yields the files at the given paths, walking directories recursively, as
+ * file objects that can be passed to `storeDirectory`. Directories are read
+ * as the files are consumed, and file contents once they are encoded.
+ *
+ * Names are the paths of the files relative to `options.pathPrefix`, which
+ * defaults to the parent directory of each given path, so the given
+ * directories are kept as the top level folders e.g. `build/index.html`.
+ * Glob and ignore patterns are matched against paths relative to the given
+ * directory instead e.g. `index.html`, the way a `.gitignore` file placed in
+ * it would be.
+ *
+ * Entries under the given paths that cannot be read, e.g. broken symbolic
+ * links, are skipped and passed to `options.onError`. The given paths
+ * themselves failing to be read rejects.
+ *
+ * @example
+ * ```js
+ * import { FilebaseClient, filesFromPaths } from '@filebase/client'
+ *
+ * const files = filesFromPaths(['./build'], {
+ *   ignore: ['*.map'],
+ *   ignoreFile: './build/.gitignore',
+ *   onError: (error, file) => console.warn(`Skipped ${file}: ${error.message}`)
+ * })
+ * const cid = await client.storeDirectory(files)
+ * ```
+ *
+ * @param {string[]} paths
+ * @param {FilesFromPathsOptions} [options]
+ * @returns {AsyncIterable<FileObject>}
+ */
+export async function* filesFromPaths(paths, options = {}) {
+  const {
+    glob,
+    ignore = [],
+    ignoreFile,
+    hidden = false,
+    followSymlinks = true,
+    pathPrefix,
+    onError,
+  } = options
+
+  const patterns = [...ignore]
+  if (ignoreFile) {
+    patterns.push(...(await fs.promises.readFile(ignoreFile, 'utf8')).split(/\r?\n/))
+  }
+  const isIgnored = compileIgnore(patterns)
+  const globs = typeof glob === 'string' ? [glob] : glob || []
+  const isIncluded = globs.length
+    ? compileGlobs(globs)
+    : () => true
+
+  for (const given of paths) {
+    const root = path.resolve(given)
+    const prefix = pathPrefix ? path.resolve(pathPrefix) : path.dirname(root)
+    const walker = walk(root, '', { prefix, hidden, followSymlinks, isIgnored, onError, ancestors: new Set() })
+    for await (const [relative, file] of walker) {
+      if (isIncluded(relative || path.basename(root), false)) {
+        yield file
+      }
+    }
+  }
+}
+
+/**
+ * Yields the files under the given path along with their path relative to
+ * the path the walk started from. The starting path itself (`relative` is
+ * empty) is never skipped, and fails the walk if it cannot be read. Other
+ * entries that cannot be read are reported and skipped. Directories are
+ * identified by device and inode, so a symlink back to a directory the walk
+ * is in is skipped instead of being followed forever.
+ *
+ * @param {string} file
+ * @param {string} relative
+ * @param {object} options
+ * @param {string} options.prefix
+ * @param {boolean} options.hidden
+ * @param {boolean} options.followSymlinks
+ * @param {Matcher} options.isIgnored
+ * @param {(error: Error, file: string) => void} [options.onError]
+ * @param {Set<string>} options.ancestors Directories the walk is in.
+ * @returns {AsyncIterable<[string, FileObject]>}
+ */
+async function* walk(file, relative, options) {
+  const { prefix, hidden, followSymlinks, isIgnored, onError, ancestors } = options
+  /** @param {unknown} error */
+  const skip = (error) => {
+    if (!relative) {
+      throw error
+    }
+    onError && onError(/** @type {Error} */ (error), file)
+  }
+
+  let stats
+  try {
+    stats = await fs.promises.lstat(file)
+    if (stats.isSymbolicLink()) {
+      if (!followSymlinks && relative) {
+        return
+      }
+      stats = await fs.promises.stat(file)
+    }
+  } catch (error) {
+    return skip(error)
+  }
+  if (relative && isIgnored(relative, stats.isDirectory())) {
+    return
+  }
+
+  if (stats.isDirectory()) {
+    const id = `${stats.dev}:${stats.ino}`
+    if (ancestors.has(id)) {
+      return
+    }
+    let entries
+    try {
+      entries = (await fs.promises.readdir(file)).sort()
+    } catch (error) {
+      return skip(error)
+    }
+    ancestors.add(id)
+    try {
+      for (const entry of entries) {
+        if (!hidden && entry.startsWith('.')) {
+          continue
+        }
+        const child = relative ? `${relative}/${entry}` : entry
+        yield* walk(path.join(file, entry), child, options)
+      }
+    } finally {
+      ancestors.delete(id)
+    }
+  } else if (stats.isFile()) {
+    yield [
+      relative,
+      {
+        name: toName(prefix, file),
+        size: stats.size,
+        stream: () => fs.createReadStream(file),
+      },
+    ]
+  }
+}
+
+/**
+ * @param {string} prefix
+ * @param {string} file
+ */
+const toName = (prefix, file) => {
+  const name = path.relative(prefix, file).split(path.sep).join('/')
+  if (name === '' || name === '..' || name.startsWith('../') || path.isAbsolute(name)) {
+    throw new InvalidPathError(`${file} is not within the path prefix ${prefix}`)
+  }
+  return name
+}
+
+/**
+ * Compiles `.gitignore` style patterns: blank lines and lines starting with
+ * `#` are skipped, `!` negates a pattern, a trailing `/` only matches
+ * directories and patterns without a `/` match at any depth. The last
+ * matching pattern wins.
+ *
+ * @param {string[]} patterns
+ * @returns {Matcher}
+ */
+const compileIgnore = (patterns) => {
+  const rules = patterns
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => {
+      const negate = line.startsWith('!')
+      let pattern = negate ? line.slice(1) : line
+      const directoryOnly = pattern.endsWith('/')
+      pattern = pattern.replace(/\/+$/, '')
+      const anchored = pattern.includes('/')
+      pattern = pattern.replace(/^\/+/, '')
+      const source = globToRegExpSource(pattern)
+      return {
+        negate,
+        directoryOnly,
+        regexp: new RegExp(anchored ? `^${source}$` : `(^|/)${source}$`),
+      }
+    })
+
+  return (name, isDirectory) => {
+    let ignored = false
+    for (const rule of rules) {
+      if ((!rule.directoryOnly || isDirectory) && rule.regexp.test(name)) {
+        ignored = !rule.negate
+      }
+    }
+    return ignored
+  }
+}
+
+/**
+ * @param {string[]} globs
+ * @returns {Matcher}
+ */
+const compileGlobs = (globs) => {
+  const regexps = globs.map(
+    (glob) => new RegExp(`^${globToRegExpSource(glob.replace(/^\.?\//, ''))}$`)
+  )
+  return (name) => regexps.some((regexp) => regexp.test(name))
+}
+
+/**
+ * Translates a glob into a regular expression source. Supports `*`, `?`,
+ * `[...]` classes and `**` for any number of directories.
+ *
+ * @param {string} glob
+ */
+const globToRegExpSource = (glob) => {
+  let source = ''
+  for (let index = 0; index < glob.length; index++) {
+    const char = /** @type {string} */ (glob[index])
+    if (char === '*' && glob[index + 1] === '*') {
+      const atStart = index === 0 || glob[index - 1] === '/'
+      index++
+      if (atStart && glob[index + 1] === '/') {
+        // `**/` matches zero or more directories
+        index++
+        source += '(?:.*/)?'
+      } else {
+        source += '.*'
+      }
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '[') {
+      const end = glob.indexOf(']', index + 2)
+      if (end === -1) {
+        source += '\\['
+      } else {
+        const range = glob.slice(index + 1, end).replace(/\\/g, '\\\\')
+        source += `[${range.startsWith('!') ? `^${range.slice(1)}` : range}]`
+        index = end
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\\]]/g, '\\$&')
+    }
+  }
+  return source
+}
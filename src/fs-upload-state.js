@@ -0,0 +1,68 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+/**
+ * @typedef {import('./lib/interface.js').UploadState} UploadState
+ * @typedef {import('./lib/interface.js').UploadStateStore} UploadStateStoreI
+ */
+
+/**
+ * Keeps the state of resumable uploads as JSON files in a directory, so
+ * uploads can be resumed after the process restarts.
+ *
+ * @implements {UploadStateStoreI}
+ */
+export class FileUploadStateStore {
+  /**
+   * @param {string} [directory] Defaults to `~/.filebase/uploads`
+   */
+  constructor(directory = path.join(os.homedir(), '.filebase', 'uploads')) {
+    /**
+     * @private
+     */
+    this._directory = directory
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<UploadState | undefined>}
+   */
+  async get(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this._path(key), 'utf8'))
+    } catch (error) {
+      if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT') {
+        return undefined
+      }
+      throw error
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {UploadState} state
+   */
+  async set(key, state) {
+    await fs.promises.mkdir(this._directory, { recursive: true })
+    // Write to a temporary file first so a crash never leaves a torn state
+    const file = this._path(key)
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(state))
+    await fs.promises.rename(`${file}.tmp`, file)
+  }
+
+  /**
+   * @param {string} key
+   */
+  async delete(key) {
+    await fs.promises.rm(this._path(key), { force: true })
+  }
+
+  /**
+   * @private
+   * @param {string} key
+   */
+  _path(key) {
+    return path.join(this._directory, `${encodeURIComponent(key)}.json`)
+  }
+}
@@ -1,8 +1,18 @@
+import { exporter } from 'ipfs-unixfs-exporter'
+import { CID } from 'multiformats/cid'
+import { fetch, Blockstore } from './platform.js'
+import { importCar } from './verify.js'
+import { iterate } from './streams.js'
+import { InvalidPathError, ServiceError, toServiceError } from './errors.js'
+
 export const GATEWAY = new URL('https://ipfs.filebase.io/')
 
 /**
  * @typedef {string|URL} GatewayURL Base URL of an IPFS Gateway e.g. https://dweb.link/ or https://ipfs.io/
- * @typedef {{ gateway?: GatewayURL }} GatewayURLOptions
+ * @typedef {object} GatewayURLOptions
+ * @property {GatewayURL} [gateway]
+ * @property {typeof fetch} [fetch] The `fetch` to request content from the
+ * gateway with, which is the platform one by default.
  */
 
 /**
@@ -21,3 +31,80 @@ export const toGatewayURL = (url, options = {}) => {
     ? new URL(`/ipfs/${url.href.slice('ipfs://'.length)}`, gateway)
     : url
 }
+
+/**
+ * Fetches the content at an IPFS URL from a gateway without trusting it. The
+ * content is requested in CAR form, every block is checked against its CID
+ * and the file bytes are only streamed out once the whole DAG has been
+ * verified. Throws a `CidMismatchError` if any block has been tampered with,
+ * and a `NotFoundError` or `ServiceError` if the gateway fails to respond
+ * with the content.
+ *
+ * @example
+ * ```js
+ * const chunks = []
+ * for await (const chunk of fetchVerified(token.data.image)) {
+ *   chunks.push(chunk)
+ * }
+ * const image = new Blob(chunks)
+ * ```
+ *
+ * @param {string|URL} url An IPFS URL e.g. ipfs://bafy.../path
+ * @param {GatewayURLOptions} [options] Options that allow customization of the gateway used.
+ * @returns {AsyncIterable<Uint8Array>}
+ */
+export const fetchVerified = async function* (url, options = {}) {
+  const source = new URL(String(url))
+  if (source.protocol !== 'ipfs:') {
+    throw new TypeError(`Expected an ipfs:// URL but got ${source.href}`)
+  }
+  const [location = ''] = source.href.slice('ipfs://'.length).split(/[?#]/)
+  const [cidString = '', ...path] = location.split('/').filter(Boolean)
+  const root = CID.parse(cidString)
+
+  const blockstore = new Blockstore()
+  try {
+    // The gateway takes the path as is, the exporter takes it unescaped
+    await importCar(fetchCar(`ipfs://${[root, ...path].join('/')}`, options), blockstore)
+
+    const entry = await exporter([root, ...path.map(decodeURIComponent)].join('/'), blockstore)
+    if (entry.type === 'directory' || entry.type === 'object') {
+      throw new InvalidPathError(`${source.href} does not point to a file`)
+    }
+    yield* entry.content()
+  } finally {
+    await blockstore.close()
+  }
+}
+
+/**
+ * Requests the CAR form of the content at an IPFS URL from a gateway. Blocks
+ * in the returned CAR are not verified.
+ *
+ * @param {string|URL} url An IPFS URL e.g. ipfs://bafy.../path
+ * @param {GatewayURLOptions} [options] Options that allow customization of the gateway used.
+ * @returns {AsyncIterable<Uint8Array>}
+ */
+export const fetchCar = async function* (url, options = {}) {
+  const gatewayURL = toGatewayURL(url, options)
+  gatewayURL.searchParams.set('format', 'car')
+
+  const { fetch: fetchContent = fetch } = options
+  const response = await fetchContent(gatewayURL.href, {
+    headers: { Accept: 'application/vnd.ipld.car' },
+  })
+  if (!response.ok) {
+    throw toServiceError({
+      name: response.statusText,
+      message: `Gateway responded with ${response.status} ${response.statusText} for ${gatewayURL}`,
+      $metadata: { httpStatusCode: response.status },
+    })
+  }
+  if (!response.body) {
+    throw new ServiceError(`Gateway returned no content for ${gatewayURL}`, {
+      code: 'INVALID_RESPONSE',
+    })
+  }
+
+  yield* iterate(response.body)
+}
@@ -0,0 +1,36 @@
+import { sha256, sha512 } from 'multiformats/hashes/sha2'
+import { identity } from 'multiformats/hashes/identity'
+
+/**
+ * @typedef {import('multiformats/hashes/interface').MultihashHasher} MultihashHasher
+ */
+
+/**
+ * Hash functions content can be encoded with, by the names kubo uses for
+ * them.
+ *
+ * @type {Readonly<Record<string, MultihashHasher>>}
+ */
+export const hashers = Object.freeze({
+  'sha2-256': sha256,
+  'sha2-512': sha512,
+})
+
+/**
+ * The hashers above, and identity hashes which CIDs inline small blocks
+ * with, by multihash code.
+ *
+ * @type {Map<number, MultihashHasher>}
+ */
+const hashersByCode = new Map(
+  [...Object.values(hashers), identity].map((hasher) => [hasher.code, hasher])
+)
+
+/**
+ * Returns the hasher that blocks with CIDs of the given multihash code can be
+ * verified with, if it is supported.
+ *
+ * @param {number} code
+ * @returns {MultihashHasher | undefined}
+ */
+export const getHasher = (code) => hashersByCode.get(code)
@@ -14,23 +14,67 @@
  * @module
  */
 
-import { pack } from 'ipfs-car/pack'
+import { unpack } from 'ipfs-car/unpack'
 import { CID } from 'multiformats/cid'
 import * as Token from './token.js'
-import { File, Blob, FormData, Blockstore } from './platform.js'
-import { toGatewayURL } from './gateway.js'
+import { File, Blob, FormData, Blockstore, UploadStateStore, filesFromPaths, toUploadBody } from './platform.js'
+import { toGatewayURL, fetchVerified } from './gateway.js'
 import { BlockstoreCarReader } from './bs-car-reader.js'
+import { importCar } from './verify.js'
+import { PinningClient, PINNING_ENDPOINT } from './pinning.js'
+import { BucketClient } from './buckets.js'
+import { deleteObjects } from './delete-objects.js'
+import { resumableUpload } from './multipart.js'
+import { MemoryUploadStateStore } from './upload-state.js'
+import { abortable, onAbort, throwIfAborted, toAbortError } from './abort.js'
+import {
+  FilebaseError,
+  AbortError,
+  InvalidTokenError,
+  AuthenticationError,
+  NotFoundError,
+  BucketNotFoundError,
+  QuotaExceededError,
+  EmptyContentError,
+  CidMismatchError,
+  InvalidCarError,
+  InvalidPathError,
+  DeleteObjectsError,
+  ServiceError,
+} from './errors.js'
+import { peekCarHeader } from './car-header.js'
+import { toCarSource, toCarSize } from './car-source.js'
+import { EncodeProgress, UploadProgress } from './progress.js'
+import { pack, mergeEncoding, DEFAULT_ENCODING } from './encoding.js'
+import { toDirectoryEntries } from './paths.js'
+import { batch } from './batch.js'
+import { createRateLimiter } from './rate-limit.js'
+import { resolveService } from './service.js'
+import { createToken, parseToken } from './credentials.js'
+import { iterate } from './streams.js'
+import { toCarMetadata, fromCarMetadata, toTagSet, toTagging, fromTagSet } from './metadata.js'
+import { createPresignedUpload, uploadToPresignedUrls } from './presigned.js'
+import { TreewalkCarSplitter } from 'carbites/treewalk'
 import pipe from 'it-pipe'
 import { Upload } from "@aws-sdk/lib-storage";
-import { S3Client, HeadObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
-import stream from 'stream'
+import {
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+  GetObjectCommand,
+  CopyObjectCommand,
+  GetObjectTaggingCommand,
+  PutObjectTaggingCommand,
+  DeleteObjectTaggingCommand,
+} from "@aws-sdk/client-s3";
 
-const MAX_STORE_RETRIES = 5
 const MAX_CONCURRENT_UPLOADS = 4
-const DEFAULT_ENDPOINT = 'https://s3.filebase.com'
+const MAX_LIST_PAGE_SIZE = 1000
+const DEFAULT_SHARD_SIZE = 1024 * 1024 * 1024
 
 /**
  * @typedef {import('./lib/interface.js').Service} Service
+ * @typedef {import('./lib/interface.js').ResolvedService} ResolvedService
  * @typedef {import('./lib/interface.js').CIDString} CIDString
  * @typedef {import('./lib/interface.js').Deal} Deal
  * @typedef {import('./lib/interface.js').FileObject} FileObject
@@ -40,6 +84,9 @@ const DEFAULT_ENDPOINT = 'https://s3.filebase.com'
  * @typedef {import('./lib/interface.js').S3ClientConfig} S3ClientConfig
  * @typedef {import('ipfs-car/blockstore').Blockstore} BlockstoreI
  * @typedef {import('./lib/interface.js').RateLimiter} RateLimiter
+ * @typedef {import('./lib/interface.js').RateLimitOptions} RateLimitOptions
+ * @typedef {import('./progress.js').ProgressHandler} ProgressHandler
+ * @typedef {import('./lib/interface.js').EncodingOptions} EncodingOptions
  */
 
 /**
@@ -47,49 +94,6 @@ const DEFAULT_ENDPOINT = 'https://s3.filebase.com'
  * @typedef {import('./lib/interface.js').Token<T>} TokenType
  */
 
-/**
- * Parses Authentication Token
- *
- * @param {string | string[]} tokenToParse
- * @returns {import('./lib/interface.js').ParseTokenResult}
- */
-function parseToken(tokenToParse) {
-  if (Array.isArray(tokenToParse)) {
-    if (typeof tokenToParse[2] === "undefined") {
-      throw new Error(`No Bucket Found`);
-    }
-    return {
-      credentials: tokenToParse,
-      bucket: tokenToParse[2]
-    }
-  }
-
-  const tokenBuffer = Buffer.from(tokenToParse, 'base64')
-  const token = tokenBuffer.toString('ascii').split(':')
-  const bucket = token[2]
-
-  if (typeof token === "undefined" || !Array.isArray(token)) {
-    throw new Error(`Token Not Found`)
-  }
-
-  if (typeof token[0] !== "string") {
-    throw new Error(`Invalid Access Key`)
-  }
-
-  if (typeof token[1] !== "string") {
-    throw new Error(`Invalid Secret Key`)
-  }
-
-  if (typeof bucket === "undefined") {
-    throw new Error(`No Bucket Found`);
-  }
-
-  return {
-    credentials: token,
-    bucket: bucket
-  }
-}
-
 /**
  */
 class FilebaseClient {
@@ -114,53 +118,140 @@ class FilebaseClient {
    * })
    * ```
    *
-   * @param {{token: string, endpoint?: string, s3config?: S3ClientConfig, bucket?: string}} options
+   * Content is encoded the way `ipfs add` does by default, pass
+   * `options.encoding` to produce different CIDs e.g. the ones
+   * `ipfs add --cid-version=1` would.
+   * @example
+   * ```js
+   * const client = new FilebaseClient({
+   *   token: API_TOKEN,
+   *   encoding: { cidVersion: 1, rawLeaves: true, chunker: 'size-1048576' }
+   * })
+   * ```
+   *
+   * Requests to the service are rate limited per client and requests the
+   * service throttles are retried once it allows, the limits can be tuned
+   * with `options.rateLimit`.
+   * @example
+   * ```js
+   * const client = new FilebaseClient({
+   *   token: API_TOKEN,
+   *   rateLimit: { requestsPerSecond: 20, maxConcurrentUploads: 2 }
+   * })
+   * ```
+   *
+   * Without a token or `s3config` credentials are taken from the
+   * `FILEBASE_TOKEN` or `FILEBASE_KEY`, `FILEBASE_SECRET` and
+   * `FILEBASE_BUCKET` environment variables, or else from a profile in
+   * `~/.filebase/config`.
+   * @example
+   * ```js
+   * // [archive]
+   * // token = <API token>
+   * const client = new FilebaseClient({ profile: 'archive' })
+   * ```
+   *
+   * @param {{token?: string | string[], endpoint?: string, s3config?: S3ClientConfig, bucket?: string, profile?: string, pinningEndpoint?: string, encoding?: EncodingOptions, rateLimit?: RateLimitOptions}} [options]
    */
   constructor({
-    endpoint = DEFAULT_ENDPOINT,
+    endpoint,
     token,
     s3config,
-    bucket
-  }) {
-    this.endpoint = endpoint
-
-    if (typeof token === "undefined" && s3config) {
-      this.s3config = s3config
-      if (typeof this.s3config.credentials === "undefined") {
-        throw new Error(`Must pass credentials`)
-      }
-    } else {
-      const parsedToken = parseToken(token)
-      this.token = parsedToken.credentials
-      this.bucket = bucket || parsedToken.bucket
-
-      this.s3config = {
-        credentials: {
-          accessKeyId: this.token[0] || "",
-          secretAccessKey: this.token[1] || ""
-        },
-        endpoint: endpoint,
-        maxAttempts: MAX_STORE_RETRIES,
-        region: "us-east-1",
-        forcePathStyle: true,
-      }
+    bucket,
+    profile,
+    pinningEndpoint = PINNING_ENDPOINT,
+    encoding,
+    rateLimit
+  } = {}) {
+    /**
+     * Resolved service all requests of this client are made with, sharing
+     * one S3 client.
+     *
+     * @readonly
+     * @type {ResolvedService}
+     */
+    this.service = resolveService({
+      endpoint,
+      token,
+      s3config,
+      bucket,
+      profile,
+      encoding,
+      rateLimiter: createRateLimiter(rateLimit),
+    })
+    this.endpoint = this.service.endpoint
+    this.bucket = this.service.bucket
+    this.s3config = this.service.s3config
+    this.pinningEndpoint = pinningEndpoint
+  }
+
+  /**
+   * Client for pinning content that is already on the IPFS network by
+   * reference through the IPFS Pinning Service API, using the same
+   * credentials and bucket as this client.
+   *
+   * @example
+   * ```js
+   * const request = await client.pin.add('bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi', {
+   *   name: 'dataset'
+   * })
+   * ```
+   */
+  get pin() {
+    const { s3config, bucket } = this.service
+    const credentials = s3config.credentials
+    if (typeof credentials !== "object" || typeof bucket === "undefined") {
+      throw new InvalidTokenError(`Pinning requires static credentials and a bucket`)
     }
+    return new PinningClient({
+      token: [credentials.accessKeyId, credentials.secretAccessKey, bucket],
+      endpoint: this.pinningEndpoint,
+    })
+  }
+
+  /**
+   * Client for creating, inspecting and deleting the buckets of the account
+   * this client's credentials belong to.
+   *
+   * @example
+   * ```js
+   * await client.buckets.create('customer-42')
+   * const customer = new FilebaseClient({ token: API_TOKEN, bucket: 'customer-42' })
+   * ```
+   */
+  get buckets() {
+    return new BucketClient(this.service)
   }
 
   /**
    * Stores a single file and returns its CID.
    *
    * @param {Service} service
-   * @param {Blob} blob
+   * @param {Blob | FileObject} blob
    * @param {string | null} objectName
+   * @param {import('./lib/interface.js').StoreOptions} [options]
    * @returns {Promise<CIDString>}
    */
-  static async storeBlob(service, blob, objectName = null) {
+  static async storeBlob(service, blob, objectName = null, { signal, onProgress, encoding, metadata, tags } = {}) {
     const blockstore = new Blockstore()
 
     try {
-      const { cid, car } = await FilebaseClient.encodeBlob(blob, { blockstore })
-      const storedCid = await FilebaseClient.storeCar(service, car, objectName || cid.toString())
+      const { cid } = await FilebaseClient.encodeBlob(blob, {
+        blockstore,
+        signal,
+        onProgress,
+        encoding: mergeEncoding(service.encoding, encoding),
+      })
+      // A reader of the blockstore lets the size of the CAR be worked out
+      // for progress reports
+      const car = new BlockstoreCarReader(1, [cid], blockstore)
+      const storedCid = await FilebaseClient.storeCar(service, car, objectName || cid.toString(), {
+        signal,
+        onProgress,
+        expectedCid: cid,
+        metadata,
+        tags,
+      })
 
       return storedCid;
     } finally {
@@ -169,109 +260,347 @@ class FilebaseClient {
   }
 
   /**
-   * Stores a CAR file and returns its root CID.
+   * Stores a CAR file and returns its root CID. The CID reported by the
+   * service is checked against the root of the CAR (or `options.expectedCid`)
+   * and a `CidMismatchError` is thrown if they differ. `options.metadata` is
+   * stored as `x-amz-meta-*` headers and `options.tags` as object tags.
+   *
+   * The CAR can be given as any of the inputs `toCarSource` accepts. Its
+   * header is read before anything is uploaded, and CARs that are malformed
+   * or do not have exactly one root are rejected with an `InvalidCarError`.
+   * The object name defaults to the root CID.
    *
    * @param {Service} service
-   * @param {AsyncIterable<Uint8Array>} car
-   * @param {string} objectName
+   * @param {import('./lib/interface.js').CarInput} car
+   * @param {string | null} [objectName]
    * @param {import('./lib/interface.js').CarStorerOptions} [options]
    * @returns {Promise<CIDString>}
    */
   static async storeCar(
-    { endpoint, token, s3config, bucket },
+    service,
     car,
-    objectName ,
-    { onStoredChunk, onComplete, maxRetries} = {}
+    objectName = null,
+    { onStoredChunk, onComplete, onProgress, maxRetries, resumable, signal, expectedCid, metadata, tags } = {}
   ) {
-    const selectedEndpoint = endpoint || DEFAULT_ENDPOINT;
-
-    if (typeof s3config === "undefined" && typeof token !== "undefined") {
-      const parsedToken = await parseToken(token)
-      this.token = parsedToken.credentials
-      this.bucket = bucket || parsedToken.bucket
-
-      s3config = {
-        credentials: {
-          accessKeyId: this.token[0] || "",
-          secretAccessKey: this.token[1] || ""
-        },
-        endpoint: selectedEndpoint,
-        maxAttempts: maxRetries || MAX_STORE_RETRIES,
-        region: "us-east-1",
-        forcePathStyle: true,
-      }
-    } else {
-      this.bucket = bucket
-    }
+    throwIfAborted(signal)
+    const objectMetadata = toCarMetadata(metadata)
+    const tagSet = tags ? toTagSet(tags) : []
+    const { client: s3client, bucket, rateLimiter } = resolveService(service, {
+      maxAttempts: maxRetries,
+    })
 
-    if (typeof s3config === "undefined") {
-      throw new Error(`s3config not defined`)
+    const peeked = await peekCarHeader(toCarSource(car))
+    const { roots } = peeked.header
+    if (roots.length !== 1) {
+      throw new InvalidCarError(`CAR must have exactly one root to be stored, got ${roots.length}`)
+    }
+    const [root] = /** @type {[CID]} */ (roots)
+    const expected = expectedCid ? CID.parse(String(expectedCid)) : root
+    const key = objectName || root.toString()
+    let source = peeked.car
+    if (signal) {
+      source = abortable(source, signal)
     }
 
-    const s3client = new S3Client(s3config);
+    const uploadProgress = onProgress && new UploadProgress(onProgress, await toCarSize(car))
+    if (uploadProgress) {
+      source = uploadProgress.count(source)
+    }
 
-    // Convert to an S3 upload of the full car
-    const readableStream = stream.Readable.from(car)
-    onComplete && readableStream.on('finish', onComplete)
-    const parallelUploads3 = new Upload({
-      client: s3client,
-      params: {
-        Bucket: this.bucket,
-        Key: objectName,
-        Body: readableStream,
-        Metadata: {
-          import: 'car'
-        },
-      },
-      queueSize: MAX_CONCURRENT_UPLOADS,
-      leavePartsOnError: false, // optional manually handle dropped parts
-    });
-
-    let storedBytes = 0.01
-    let progressBytes = storedBytes
-    parallelUploads3.on("httpUploadProgress", (progress) => {
-      if (typeof progress.loaded !== "number") {
-        throw new Error(`Expected Number for Loaded Progress`);
+    const upload = async () => {
+      if (resumable) {
+        /** @type {import('./lib/interface.js').ResumableOptions} */
+        const options = resumable === true ? {} : resumable
+        const { store = new UploadStateStore(), partSize } = options
+        await resumableUpload({
+          client: s3client,
+          bucket: bucket,
+          key,
+          body: source,
+          metadata: objectMetadata,
+          tagging: tags && toTagging(tags),
+          store,
+          partSize,
+          queueSize: MAX_CONCURRENT_UPLOADS,
+          onPart: (part) => {
+            onStoredChunk && onStoredChunk(part.Size)
+            uploadProgress && uploadProgress.part(part.Size, part.PartNumber)
+          },
+          signal,
+        })
+        onComplete && onComplete()
+      } else {
+        // Convert to an S3 upload of the full car, over a stream of the
+        // platform so no Node.js polyfills are needed in browsers
+        const parallelUploads3 = new Upload({
+          client: s3client,
+          params: {
+            Bucket: bucket,
+            Key: key,
+            Body: toUploadBody(source),
+            Metadata: objectMetadata,
+          },
+          tags: tagSet,
+          queueSize: MAX_CONCURRENT_UPLOADS,
+          leavePartsOnError: false, // optional manually handle dropped parts
+        });
+
+        let storedBytes = 0
+        let progressBytes = storedBytes
+        parallelUploads3.on("httpUploadProgress", (progress) => {
+          // Throwing from the listener would not reach the caller, so progress
+          // reports without a byte count are skipped instead
+          if (typeof progress.loaded !== "number") {
+            return
+          }
+          progressBytes = progress.loaded - storedBytes;
+          storedBytes = progress.loaded;
+          onStoredChunk && onStoredChunk(progressBytes)
+          uploadProgress && uploadProgress.part(progressBytes, progress.part)
+        });
+
+        // Aborting the upload also aborts the multipart upload on the service
+        const unsubscribe = onAbort(signal, () => parallelUploads3.abort())
+        try {
+          await parallelUploads3.done();
+          onComplete && onComplete()
+        } catch (error) {
+          throw toAbortError(error, signal)
+        } finally {
+          unsubscribe()
+        }
       }
-      progressBytes = progress.loaded - storedBytes;
-      storedBytes = progress.loaded;
-      onStoredChunk && onStoredChunk(progressBytes)
-    });
-
-    await parallelUploads3.done();
+    }
+    const unobserve = uploadProgress
+      ? uploadProgress.observe(s3client, bucket, key)
+      : () => {}
+    try {
+      // Uploads beyond the client's limit wait for others to finish first
+      await (rateLimiter ? rateLimiter.upload(upload, signal) : upload())
+    } finally {
+      unobserve()
+    }
 
     const headCommand = new HeadObjectCommand({
-      Bucket: this.bucket,
-      Key: objectName,
+      Bucket: bucket,
+      Key: key,
     })
-    const carHeader = await s3client.send(headCommand);
+    const carHeader = await s3client
+      .send(headCommand, { abortSignal: signal })
+      .catch((error) => { throw toAbortError(error, signal) });
 
     if (typeof carHeader.Metadata === "undefined" || typeof carHeader.Metadata['cid'] === "undefined") {
-      throw new Error(`No CID Returned from Remote`)
+      throw invalidResponse(`No CID Returned from Remote`, carHeader)
+    }
+
+    if (!isSameCid(expected, carHeader.Metadata['cid'])) {
+      throw new CidMismatchError(expected.toString(), carHeader.Metadata['cid'], {
+        requestId: carHeader.$metadata.requestId,
+      })
     }
 
+    uploadProgress && uploadProgress.done(carHeader.Metadata['cid'])
     return carHeader.Metadata['cid'];
   }
 
   /**
-   * Stores a directory of files and returns a CID. Provided files **MUST**
-   * be within the same directory, otherwise error is raised e.g. `foo/bar.png`,
-   * `foo/bla/baz.json` is ok but `foo/bar.png`, `bla/baz.json` is not.
+   * Stores a CAR file split into shards of at most `options.shardSize` bytes,
+   * for CARs that are too large to be imported as a single object. Shards are
+   * split along the DAG with the carbites tree strategy, so each of them is a
+   * CAR with the same root, and stored one after the other under
+   * `<objectName>/shards/<index>`. The object name defaults to the root CID.
+   *
+   * The CAR is verified and buffered in a blockstore before it is split. The
+   * other options apply to each shard, e.g. progress is reported per shard.
+   * If a shard fails to be stored, the shards stored before it are deleted.
+   * The keys of any that could not be deleted are listed in the
+   * `undeletedShards` property of the error that is thrown.
+   *
+   * @param {Service} service
+   * @param {import('./lib/interface.js').CarInput} car
+   * @param {string | null} objectName
+   * @param {import('./lib/interface.js').ShardedStoreOptions} [options]
+   * @returns {Promise<import('./lib/interface.js').ShardedUpload>}
+   */
+  static async storeCarSharded(
+    service,
+    car,
+    objectName = null,
+    { shardSize = DEFAULT_SHARD_SIZE, signal, ...options } = {}
+  ) {
+    throwIfAborted(signal)
+    const resolved = resolveService(service, { maxAttempts: options.maxRetries })
+    const blockstore = new Blockstore()
+    try {
+      const source = toCarSource(car)
+      const roots = await importCar(signal ? abortable(source, signal) : source, blockstore)
+      if (roots.length !== 1) {
+        throw new InvalidCarError(`CAR must have exactly one root to be stored, got ${roots.length}`)
+      }
+      const [root] = /** @type {[CID]} */ (roots)
+      const name = objectName || root.toString()
+
+      const splitter = new TreewalkCarSplitter(
+        new BlockstoreCarReader(1, roots, blockstore),
+        shardSize
+      )
+      /** @type {import('./lib/interface.js').Shard[]} */
+      const shards = []
+      try {
+        for await (const shard of splitter.cars()) {
+          const key = toShardKey(name, shards.length)
+          let size = 0
+          const counted = (async function* () {
+            for await (const bytes of shard) {
+              size += bytes.byteLength
+              yield bytes
+            }
+          })()
+          await FilebaseClient.storeCar(resolved, counted, key, {
+            ...options,
+            signal,
+            expectedCid: root,
+          })
+          shards.push({ key, size })
+        }
+      } catch (error) {
+        // Without the signal, which may be what was aborted
+        const keys = shards.map(({ key }) => key)
+        const undeleted = await deleteObjects(resolved, resolved.bucket, keys).then(
+          () => [],
+          (failure) => (failure instanceof DeleteObjectsError ? failure.keys : keys)
+        )
+        if (undeleted.length > 0 && error instanceof Error) {
+          Object.assign(error, { undeletedShards: undeleted })
+        }
+        throw error
+      }
+
+      return { cid: root.toString(), shards }
+    } finally {
+      await blockstore.close()
+    }
+  }
+
+  /**
+   * Returns the status of content stored with `storeCarSharded`, along with
+   * the status of each of its shards.
+   *
+   * @param {Service} service
+   * @param {string} cid
+   * @param {string | null} objectName
+   * @param {import('./lib/interface.js').RequestOptions} [options]
+   * @returns {Promise<import('./lib/interface.js').ShardedStatusResult>}
+   */
+  static async statusShards(service, cid, objectName = null, { signal } = {}) {
+    const resolved = resolveService(service)
+    const name = objectName || cid
+
+    const shards = []
+    for await (const key of listShardKeys(resolved, name, signal)) {
+      shards.push({ key, ...(await FilebaseClient.status(resolved, cid, key, { signal })) })
+    }
+    if (shards.length === 0) {
+      throw new NotFoundError(`No shards found for ${name}`)
+    }
+
+    return {
+      cid: /** @type {typeof shards[0]} */ (shards[0]).cid,
+      size: shards.reduce((size, shard) => size + shard.size, 0),
+      created: shards.reduce(
+        (created, shard) => (shard.created > created ? shard.created : created),
+        /** @type {typeof shards[0]} */ (shards[0]).created
+      ),
+      shards,
+    }
+  }
+
+  /**
+   * Removes content stored with `storeCarSharded`, deleting all of its
+   * shards. Shards the service fails to delete are listed by the
+   * `DeleteObjectsError` that is thrown once the others are deleted.
+   *
+   * @param {Service} service
+   * @param {string} cid
+   * @param {string | null} objectName
+   * @param {import('./lib/interface.js').RequestOptions} [options]
+   * @returns {Promise<void>}
+   */
+  static async deleteShards(service, cid, objectName = null, { signal } = {}) {
+    const resolved = resolveService(service)
+    const name = objectName || cid
+
+    await deleteObjects(resolved, resolved.bucket, listShardKeys(resolved, name, signal), signal)
+  }
+
+  /**
+   * Creates presigned URLs that a CAR of `options.size` bytes can be uploaded
+   * to under the given object name without credentials, e.g. from a browser
+   * with `storeCarWithPresignedUrls`.
+   *
+   * @param {Service} service
+   * @param {string} objectName
+   * @param {import('./lib/interface.js').PresignedUploadOptions} options
+   * @returns {Promise<import('./lib/interface.js').PresignedUpload>}
+   */
+  static createPresignedUpload(service, objectName, options) {
+    return createPresignedUpload(service, objectName, options)
+  }
+
+  /**
+   * Stores a CAR file through presigned URLs created by
+   * `createPresignedUpload` and returns its root CID. It needs no
+   * credentials, which makes it the way to upload from browsers. The bucket
+   * has to allow the origin through CORS and expose the `ETag` and
+   * `x-amz-meta-cid` headers.
+   *
+   * @example
+   * ```js
+   * // On the server
+   * const urls = await client.createPresignedUpload('upload-42', { size })
+   * // In the browser
+   * const cid = await FilebaseClient.storeCarWithPresignedUrls(car, urls)
+   * ```
+   *
+   * @param {AsyncIterable<Uint8Array> | Blob} car
+   * @param {import('./lib/interface.js').PresignedUpload} urls
+   * @param {import('./lib/interface.js').PresignedStoreOptions} [options]
+   * @returns {Promise<CIDString>}
+   */
+  static storeCarWithPresignedUrls(car, urls, options) {
+    return uploadToPresignedUrls(car, urls, options)
+  }
+
+  /**
+   * Stores a directory of files and returns a CID. File names are paths within
+   * the directory, see `encodeDirectory` for how they are normalised and
+   * validated.
    *
    * @param {Service} service
    * @param {FilesSource} filesSource
    * @param {string | null} objectName
+   * @param {import('./lib/interface.js').DirectoryStoreOptions} [options]
    * @returns {Promise<CIDString>}
    */
-  static async storeDirectory(service, filesSource, objectName = null) {
+  static async storeDirectory(service, filesSource, objectName = null, { signal, onProgress, encoding, keepTopLevel, metadata, tags } = {}) {
     const blockstore = new Blockstore()
     let cidString
     try {
-      const { cid, car } = await FilebaseClient.encodeDirectory(filesSource, {
+      const { cid } = await FilebaseClient.encodeDirectory(filesSource, {
         blockstore,
+        signal,
+        onProgress,
+        encoding: mergeEncoding(service.encoding, encoding),
+        keepTopLevel,
+      })
+      const car = new BlockstoreCarReader(1, [cid], blockstore)
+      cidString = await FilebaseClient.storeCar(service, car, objectName || cid.toString(), {
+        signal,
+        onProgress,
+        expectedCid: cid,
+        metadata,
+        tags,
       })
-      cidString = cid.toString()
-      await FilebaseClient.storeCar(service, car, objectName || cid.toString())
     } finally {
       await blockstore.close()
     }
@@ -301,90 +630,218 @@ class FilebaseClient {
    * @param {Service} service
    * @param {T} metadata
    * @param {string | null} objectName
+   * @param {import('./lib/interface.js').StoreOptions} [options]
    * @returns {Promise<TokenType<T>>}
    */
-  static async store(service, metadata, objectName = null) {
-    const { token, car, cid } = await FilebaseClient.encodeNFT(metadata)
-    await FilebaseClient.storeCar(service, car, objectName || cid.toString())
-    return token
+  static async store(service, metadata, objectName = null, { signal, onProgress, encoding, metadata: objectMetadata, tags } = {}) {
+    const blockstore = new Blockstore()
+    try {
+      const { token, cid } = await FilebaseClient.encodeNFT(metadata, {
+        blockstore,
+        signal,
+        onProgress,
+        encoding: mergeEncoding(service.encoding, encoding),
+      })
+      const car = new BlockstoreCarReader(1, [cid], blockstore)
+      await FilebaseClient.storeCar(service, car, objectName || cid.toString(), {
+        signal,
+        onProgress,
+        expectedCid: cid,
+        metadata: objectMetadata,
+        tags,
+      })
+      return token
+    } finally {
+      await blockstore.close()
+    }
   }
 
   /**
-   * Returns current status of the stored NFT by its CID. Note the NFT must
-   * have previously been stored by this account.
+   * Stores many blobs, directories or NFT tokens with at most
+   * `options.concurrency` of them being encoded and uploaded at a time, over
+   * a single S3 client. Results are yielded as items complete and an item
+   * that fails to store is reported with its error instead of ending the
+   * batch.
+   *
+   * @template {import('./lib/interface.js').BatchInput} T
+   * @param {Service} service
+   * @param {Iterable<T> | AsyncIterable<T>} items
+   * @param {import('./lib/interface.js').BatchOptions} [options]
+   * @returns {import('./lib/interface.js').Batch<T>}
+   */
+  static storeMany(service, items, { concurrency, signal, encoding } = {}) {
+    const resolved = resolveService(service)
+    return batch(
+      items,
+      (input) => storeItem(resolved, input, { signal, encoding }),
+      { concurrency, signal }
+    )
+  }
+
+  /**
+   * Returns current status of the stored NFT by its CID, along with the
+   * metadata and tags it was stored with. Note the NFT must have previously
+   * been stored by this account.
    *
    * @param {Service} service
    * @param {string} cid
    * @param {string | null} objectName
+   * @param {import('./lib/interface.js').RequestOptions} [options]
    * @returns {Promise<import('./lib/interface.js').StatusResult>}
    */
   static async status(
-    { endpoint, token, s3config, bucket },
+    service,
     cid,
-    objectName
+    objectName,
+    { signal } = {}
   ) {
-    const selectedEndpoint = endpoint || DEFAULT_ENDPOINT;
-
-    if (typeof s3config === "undefined" && typeof token !== "undefined") {
-      const parsedToken = parseToken(token)
-      this.token = parsedToken.credentials
-      this.bucket = bucket || parsedToken.bucket
-
-      s3config = {
-        credentials: {
-          accessKeyId: this.token[0] || "",
-          secretAccessKey: this.token[1] || ""
-        },
-        endpoint: selectedEndpoint,
-        maxAttempts: MAX_STORE_RETRIES,
-        region: "us-east-1",
-        forcePathStyle: true,
-      }
-    } else {
-      this.bucket = bucket
-    }
-
-    if (typeof s3config === "undefined") {
-      throw new Error(`s3config not defined`)
-    }
-
-    const s3client = new S3Client(s3config);
+    const { client: s3client, bucket } = resolveService(service)
 
     const headCommand = new HeadObjectCommand({
-      Bucket: this.bucket,
+      Bucket: bucket,
       Key: objectName || cid,
     })
-    const carHeader = await s3client.send(headCommand);
+    const [carHeader, tags] = await Promise.all([
+      s3client.send(headCommand, { abortSignal: signal }),
+      getTags(s3client, bucket, objectName || cid, signal),
+    ]).catch((error) => { throw toAbortError(error, signal) });
 
-    if (typeof carHeader.Metadata === "undefined" || typeof carHeader.Metadata['cid'] === "undefined") {
-      throw new Error(`No CID Returned from Remote`)
-    }
+    return toStatusResult(carHeader, tags)
+  }
 
-    if (typeof carHeader['ContentLength'] !== "number") {
-      throw new Error(`Invalid Content Length`)
-    }
+  /**
+   * Lists the objects stored in the bucket in object name order, paging
+   * through the results as they are consumed. Listing takes a request per
+   * page, the CID, metadata and tags of an object are only looked up when
+   * its `status` is asked for.
+   *
+   * @param {Service} service
+   * @param {import('./lib/interface.js').ListOptions} [options]
+   * @returns {AsyncIterable<import('./lib/interface.js').ListedObject>}
+   */
+  static async *list(
+    service,
+    { prefix, limit, before, signal } = {}
+  ) {
+    throwIfAborted(signal)
+    const resolved = resolveService(service)
+    const { client: s3client, bucket } = resolved
+    const beforeDate = typeof before === "undefined" ? null : new Date(before)
+
+    let remaining = typeof limit === "number" ? limit : Infinity
+    /** @type {string | undefined} */
+    let continuationToken
+    do {
+      const listCommand = new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        // The service cannot filter by date, so while filtering here whole
+        // pages are asked for
+        MaxKeys: beforeDate ? MAX_LIST_PAGE_SIZE : Math.min(remaining, MAX_LIST_PAGE_SIZE),
+        ContinuationToken: continuationToken,
+      })
+      const page = await s3client
+        .send(listCommand, { abortSignal: signal })
+        .catch((error) => { throw toAbortError(error, signal) });
+
+      for (const { Key: key, Size: size = 0, LastModified: created, ETag: etag } of page.Contents || []) {
+        if (remaining <= 0) {
+          return
+        }
+        if (typeof key === "undefined" || typeof created === "undefined") {
+          continue
+        }
+        if (beforeDate && created >= beforeDate) {
+          continue
+        }
+
+        yield {
+          key,
+          size,
+          created,
+          etag,
+          /** @param {import('./lib/interface.js').RequestOptions} [options] */
+          status: (options) => FilebaseClient.status(resolved, key, key, options),
+        }
+        remaining--
+      }
+
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined
+    } while (continuationToken && remaining > 0)
+  }
 
-    const displayDate = carHeader.LastModified;
+  /**
+   * Retrieves stored content by its CID (or object name) and unpacks it back
+   * into files. Every block is verified against its CID before it is used.
+   * Content stored with `storeDirectory` yields a file per entry named by its
+   * path within the directory, content stored with `storeBlob` yields a single
+   * file named by its CID. A `CidMismatchError` is thrown if the root of the
+   * stored CAR is not the requested CID.
+   *
+   * The content of a file is streamed from the retrieved blocks, which are
+   * only kept until iteration ends, so it has to be read before the next file
+   * is asked for.
+   *
+   * @param {Service} service
+   * @param {string} cid
+   * @param {string | null} objectName
+   * @param {import('./lib/interface.js').RequestOptions} [options]
+   * @returns {AsyncIterable<import('./lib/interface.js').RetrievedFile>}
+   */
+  static async *get(
+    service,
+    cid,
+    objectName = null,
+    { signal } = {}
+  ) {
+    throwIfAborted(signal)
+    const { client: s3client, bucket } = resolveService(service)
+
+    const getCommand = new GetObjectCommand({
+      Bucket: bucket,
+      Key: objectName || cid,
+    })
+    const response = await s3client
+      .send(getCommand, { abortSignal: signal })
+      .catch((error) => { throw toAbortError(error, signal) });
+    const { Body } = response
 
-    if (typeof displayDate === "undefined") {
-      throw new Error('Invalid Date')
+    if (typeof Body === "undefined") {
+      throw invalidResponse(`No Content Returned from Remote`, response)
     }
 
-    return {
-      cid: carHeader.Metadata['cid'],
-      size: carHeader['ContentLength'],
-      deals: [],
-      pin: {
-        cid: carHeader.Metadata['cid'],
-        name: carHeader.Metadata['cid'],
-        status: 'pinned',
-        created: displayDate,
-      },
-      created: displayDate,
+    const blockstore = new Blockstore()
+    try {
+      const body = iterate(/** @type {AsyncIterable<Uint8Array> | ReadableStream<Uint8Array>} */ (Body))
+      const roots = await importCar(signal ? abortable(body, signal) : body, blockstore)
+        .catch((error) => { throw toAbortError(error, signal) });
+      const [carRoot] = roots
+      if (!carRoot || !isSameCid(carRoot, cid)) {
+        throw new CidMismatchError(cid, String(carRoot), {
+          requestId: response.$metadata.requestId,
+        })
+      }
+      const carReader = new BlockstoreCarReader(1, roots, blockstore)
+
+      for await (const entry of unpack(carReader, roots)) {
+        if (entry.type === 'directory') {
+          continue
+        }
+
+        // Paths are prefixed with the root CID, which is only kept as the name
+        // of a file when there is no wrapping directory.
+        const [root, ...path] = entry.path.split('/')
+        yield {
+          name: path.length ? path.join('/') : /** @type {string} */ (root),
+          size: entry.size,
+          stream: () => entry.content({ signal }),
+        }
+      }
+    } finally {
+      await blockstore.close()
     }
   }
 
-
   /**
    * Removes stored content by its CID from this account. Please note that
    * even if content is removed from the service other nodes that have
@@ -393,45 +850,180 @@ class FilebaseClient {
    * @param {Service} service
    * @param {string} cid
    * @param {string | null} objectName
+   * @param {import('./lib/interface.js').RequestOptions} [options]
    * @returns {Promise<void>}
    */
   static async delete(
-    { endpoint, token, s3config, bucket },
+    service,
     cid,
-    objectName = null
+    objectName = null,
+    { signal } = {}
   ) {
-    const selectedEndpoint = endpoint || DEFAULT_ENDPOINT
-
-    if (typeof s3config === "undefined" && typeof token !== "undefined") {
-      const parsedToken = parseToken(token)
-      this.token = parsedToken.credentials
-      this.bucket = bucket || parsedToken.bucket
-
-      s3config = {
-        credentials: {
-          accessKeyId: this.token[0] || "",
-          secretAccessKey: this.token[1] || ""
-        },
-        endpoint: selectedEndpoint,
-        region: "us-east-1",
-        forcePathStyle: true,
-      }
-    } else {
-      this.bucket = bucket;
+    const { client: s3client, bucket } = resolveService(service)
+
+    const deleteCommand = new DeleteObjectCommand({
+      Bucket: bucket,
+      Key: objectName || cid,
+    })
+
+    await s3client
+      .send(deleteCommand, { abortSignal: signal })
+      .catch((error) => { throw toAbortError(error, signal) });
+  }
+
+  /**
+   * Replaces the tags of stored content. Passing an empty object removes all
+   * of them.
+   *
+   * @param {Service} service
+   * @param {string} cid
+   * @param {Record<string, string>} tags
+   * @param {string | null} objectName
+   * @param {import('./lib/interface.js').RequestOptions} [options]
+   * @returns {Promise<void>}
+   */
+  static async setTags(
+    service,
+    cid,
+    tags,
+    objectName = null,
+    { signal } = {}
+  ) {
+    const { client: s3client, bucket } = resolveService(service)
+    const key = objectName || cid
+    const tagSet = toTagSet(tags)
+
+    const request = tagSet.length
+      ? s3client.send(
+        new PutObjectTaggingCommand({ Bucket: bucket, Key: key, Tagging: { TagSet: tagSet } }),
+        { abortSignal: signal }
+      )
+      : s3client.send(
+        new DeleteObjectTaggingCommand({ Bucket: bucket, Key: key }),
+        { abortSignal: signal }
+      )
+    await request.catch((error) => { throw toAbortError(error, signal) });
+  }
+
+  /**
+   * Stores an object under the given key as is, without encoding it into a
+   * CAR first. Works with buckets on any network.
+   *
+   * @param {Service} service
+   * @param {string} key
+   * @param {import('./lib/interface.js').ObjectBody} body
+   * @param {import('./lib/interface.js').PutObjectOptions} [options]
+   * @returns {Promise<import('./lib/interface.js').PutObjectResult>}
+   */
+  static async putObject(service, key, body, { contentType, metadata, signal } = {}) {
+    throwIfAborted(signal)
+    const { client: s3client, bucket, rateLimiter } = resolveService(service)
+
+    const upload = new Upload({
+      client: s3client,
+      params: {
+        Bucket: bucket,
+        Key: key,
+        Body: toObjectBody(body),
+        ContentType: contentType,
+        Metadata: metadata,
+      },
+      queueSize: MAX_CONCURRENT_UPLOADS,
+      leavePartsOnError: false,
+    })
+
+    const unsubscribe = onAbort(signal, () => upload.abort())
+    try {
+      const output = /** @type {{ ETag?: string, VersionId?: string }} */ (
+        await (rateLimiter ? rateLimiter.upload(() => upload.done(), signal) : upload.done())
+      )
+      return { key, etag: output.ETag, versionId: output.VersionId }
+    } catch (error) {
+      throw toAbortError(error, signal)
+    } finally {
+      unsubscribe()
     }
+  }
 
-    if (typeof s3config === "undefined") {
-      throw new Error(`s3config not defined`)
+  /**
+   * Retrieves an object by its key, with its content as it was stored.
+   *
+   * @param {Service} service
+   * @param {string} key
+   * @param {import('./lib/interface.js').RequestOptions} [options]
+   * @returns {Promise<import('./lib/interface.js').GetObjectResult>}
+   */
+  static async getObject(service, key, { signal } = {}) {
+    const { client: s3client, bucket } = resolveService(service)
+
+    const response = await s3client
+      .send(new GetObjectCommand({ Bucket: bucket, Key: key }), { abortSignal: signal })
+      .catch((error) => { throw toAbortError(error, signal) });
+
+    if (typeof response.Body === "undefined") {
+      throw invalidResponse(`No Content Returned from Remote`, response)
     }
 
-    const s3client = new S3Client(s3config);
+    return {
+      ...toObjectInfo(key, response),
+      body: iterate(/** @type {AsyncIterable<Uint8Array> | ReadableStream<Uint8Array>} */ (response.Body)),
+    }
+  }
 
-    const deleteCommand = new DeleteObjectCommand({
-      Bucket: this.bucket,
-      Key: objectName || cid,
-    })
+  /**
+   * Returns information about an object without retrieving its content.
+   *
+   * @param {Service} service
+   * @param {string} key
+   * @param {import('./lib/interface.js').RequestOptions} [options]
+   * @returns {Promise<import('./lib/interface.js').ObjectInfo>}
+   */
+  static async headObject(service, key, { signal } = {}) {
+    const { client: s3client, bucket } = resolveService(service)
+
+    const response = await s3client
+      .send(new HeadObjectCommand({ Bucket: bucket, Key: key }), { abortSignal: signal })
+      .catch((error) => { throw toAbortError(error, signal) });
+
+    return toObjectInfo(key, response)
+  }
+
+  /**
+   * Copies an object within the bucket, or from another bucket of the
+   * account. The metadata and content type of the source are kept unless
+   * new ones are given.
+   *
+   * @param {Service} service
+   * @param {string} source
+   * @param {string} destination
+   * @param {import('./lib/interface.js').CopyObjectOptions} [options]
+   * @returns {Promise<import('./lib/interface.js').PutObjectResult>}
+   */
+  static async copyObject(
+    service,
+    source,
+    destination,
+    { sourceBucket, contentType, metadata, signal } = {}
+  ) {
+    const { client: s3client, bucket } = resolveService(service)
+    const replace = typeof metadata !== "undefined" || typeof contentType !== "undefined"
+
+    const response = await s3client
+      .send(new CopyObjectCommand({
+        Bucket: bucket,
+        Key: destination,
+        CopySource: `${sourceBucket || bucket}/${encodeURIComponent(source)}`,
+        MetadataDirective: replace ? 'REPLACE' : 'COPY',
+        ContentType: contentType,
+        Metadata: metadata,
+      }), { abortSignal: signal })
+      .catch((error) => { throw toAbortError(error, signal) });
 
-    await s3client.send(deleteCommand);
+    return {
+      key: destination,
+      etag: response.CopyObjectResult && response.CopyObjectResult.ETag,
+      versionId: response.VersionId,
+    }
   }
 
   /**
@@ -474,11 +1066,16 @@ class FilebaseClient {
    *
    * @template {import('./lib/interface.js').TokenInput} T
    * @param {T} input
+   * @param {object} [options]
+   * @param {BlockstoreI} [options.blockstore]
+   * @param {AbortSignal} [options.signal]
+   * @param {ProgressHandler} [options.onProgress]
+   * @param {EncodingOptions} [options.encoding]
    * @returns {Promise<{ cid: CID, token: TokenType<T>, car: AsyncIterable<Uint8Array> }>}
    */
-  static async encodeNFT(input) {
+  static async encodeNFT(input, options) {
     validateERC1155(input)
-    return Token.Token.encode(input)
+    return Token.Token.encode(input, options)
   }
 
   /**
@@ -496,26 +1093,38 @@ class FilebaseClient {
    * await client.storeCar(car)
    * ```
    *
-   * @param {Blob} blob
+   * @param {Blob | FileObject} blob
    * @param {object} [options]
    * @param {BlockstoreI} [options.blockstore]
+   * @param {AbortSignal} [options.signal]
+   * @param {ProgressHandler} [options.onProgress]
+   * @param {EncodingOptions} [options.encoding]
    * @returns {Promise<{ cid: CID, car: AsyncIterable<Uint8Array> }>}
    */
-  static async encodeBlob(blob, { blockstore } = {}) {
+  static async encodeBlob(blob, { blockstore, signal, onProgress, encoding } = {}) {
     if (blob.size === 0) {
-      throw new Error('Content size is 0, make sure to provide some content')
+      throw new EmptyContentError('Content size is 0, make sure to provide some content')
     }
-    return packCar([toImportCandidate('blob', blob)], {
+    const progress = onProgress && new EncodeProgress(onProgress, blob.size)
+    const packed = await packCar([toImportCandidate('blob', blob, { signal, progress })], {
       blockstore,
       wrapWithDirectory: false,
+      encoding,
     })
+    progress && progress.done(packed.cid)
+    return packed
   }
 
   /**
    * Encodes a directory of files to a CAR file and also returns the root CID.
-   * Provided files **MUST** be within the same directory, otherwise error is
-   * raised e.g. `foo/bar.png`, `foo/bla/baz.json` is ok but `foo/bar.png`,
-   * `bla/baz.json` is not.
+   * File names are paths within the directory and may be nested to any depth.
+   * Windows separators, leading slashes and `.` segments are normalised.
+   * Directories that all files have in common are kept unless
+   * `options.keepTopLevel` is `false` e.g. `foo/bar.png`, `foo/bla/baz.json`
+   * produce a directory containing `foo`, or `bar.png` and `bla` without it.
+   * Names containing `..` segments, a mix of absolute and relative names,
+   * duplicate paths and paths used for both a file and a directory are
+   * rejected with an `InvalidPathError` before any encoding starts.
    *
    * @example
    * ```js
@@ -534,25 +1143,34 @@ class FilebaseClient {
    * @param {FilesSource} files
    * @param {object} [options]
    * @param {BlockstoreI} [options.blockstore]
+   * @param {AbortSignal} [options.signal]
+   * @param {ProgressHandler} [options.onProgress]
+   * @param {EncodingOptions} [options.encoding]
+   * @param {boolean} [options.keepTopLevel]
    * @returns {Promise<{ cid: CID, car: AsyncIterable<Uint8Array> }>}
    */
-  static async encodeDirectory(files, { blockstore } = {}) {
-    let size = 0
-    const input = pipe(files, async function* (files) {
-      for await (const file of files) {
-        yield toImportCandidate(file.name, file)
-        size += file.size
+  static async encodeDirectory(files, { blockstore, signal, onProgress, encoding, keepTopLevel } = {}) {
+    const entries = await toDirectoryEntries(files, { keepTopLevel })
+    const size = entries.reduce((size, { file }) => size + file.size, 0)
+    if (size === 0) {
+      throw new EmptyContentError(
+        'Total size of files should exceed 0, make sure to provide some content'
+      )
+    }
+
+    const progress = onProgress && new EncodeProgress(onProgress, size)
+    const input = pipe(entries, async function* (entries) {
+      for await (const { path, file } of entries) {
+        throwIfAborted(signal)
+        yield toImportCandidate(path, file, { signal, progress })
       }
     })
     const packed = await packCar(input, {
       blockstore,
       wrapWithDirectory: true,
+      encoding,
     })
-    if (size === 0) {
-      throw new Error(
-        'Total size of files should exceed 0, make sure to provide some content'
-      )
-    }
+    progress && progress.done(packed.cid)
     return packed
   }
 
@@ -560,7 +1178,8 @@ class FilebaseClient {
    * Stores a single file and returns the corresponding Content Identifier (CID).
    * Takes a [Blob](https://developer.mozilla.org/en-US/docs/Web/API/Blob/Blob)
    * or a [File](https://developer.mozilla.org/en-US/docs/Web/API/File). Note
-   * that no file name or file metadata is retained.
+   * that no file name or file metadata is retained. Files from
+   * `filesFromPaths` are taken as well, and streamed from disk.
    *
    * @example
    * ```js
@@ -569,11 +1188,26 @@ class FilebaseClient {
    * cid //> 'zdj7Wn9FQAURCP6MbwcWuzi7u65kAsXCdjNTkhbJcoaXBusq9'
    * ```
    *
-   * @param {Blob} blob
+   * Pass an `AbortSignal` as `options.signal` to cancel both the encoding
+   * and the upload.
+   *
+   * @example
+   * ```js
+   * const cid = await client.storeBlob(content, null, {
+   *   onProgress: (event) => {
+   *     if (event.total) {
+   *       console.log(event.type, `${Math.round(event.processed / event.total * 100)}%`)
+   *     }
+   *   }
+   * })
+   * ```
+   *
+   * @param {Blob | FileObject} blob
    * @param {string | null} objectName
+   * @param {import('./lib/interface.js').StoreOptions} [options]
    */
-  storeBlob(blob, objectName = null) {
-    return FilebaseClient.storeBlob(this, blob, objectName)
+  storeBlob(blob, objectName = null, options) {
+    return FilebaseClient.storeBlob(this.service, blob, objectName, options)
   }
 
   /**
@@ -610,12 +1244,29 @@ class FilebaseClient {
    * const cid = await client.storeCar(car)
    * console.assert(cid === expectedCid)
    * ```
-   * @param {AsyncIterable<Uint8Array>} car
-   * @param {string} objectName
+   *
+   * Large uploads can be made resumable, in which case progress is saved
+   * after every part and an interrupted upload of the same CAR under the same
+   * object name continues where it left off when called again.
+   *
+   * @example
+   * ```js
+   * const cid = await client.storeCar(car, 'dataset.car', { resumable: true })
+   * ```
+   *
+   * A CAR file on disk can be stored by its path in Node.js, under its root
+   * CID unless an object name is given.
+   *
+   * @example
+   * ```js
+   * const cid = await client.storeCar('./dataset.car')
+   * ```
+   * @param {import('./lib/interface.js').CarInput} car
+   * @param {string | null} [objectName]
    * @param {import('./lib/interface.js').CarStorerOptions} [options]
    */
   storeCar(car, objectName, options) {
-    return FilebaseClient.storeCar(this, car, objectName, options)
+    return FilebaseClient.storeCar(this.service, car, objectName, options)
   }
 
   /**
@@ -633,11 +1284,52 @@ class FilebaseClient {
    * Argument can be a [FileList](https://developer.mozilla.org/en-US/docs/Web/API/FileList)
    * instance as well, in which case directory structure will be retained.
    *
+   * Files may be nested to any depth. Directories shared by all files are
+   * kept, pass `keepTopLevel: false` to strip them.
+   *
+   * @example
+   * ```js
+   * const cid = await client.storeDirectory([
+   *   new File(['<html>'], 'build/index.html'),
+   *   new File(['body {}'], 'build/css/site.css')
+   * ], null, { keepTopLevel: false })
+   * // Directory containing index.html and css/site.css
+   * ```
+   *
    * @param {FilesSource} files
    * @param {string | null} objectName
+   * @param {import('./lib/interface.js').DirectoryStoreOptions} [options]
    */
-  storeDirectory(files, objectName = null) {
-    return FilebaseClient.storeDirectory(this, files, objectName)
+  storeDirectory(files, objectName = null, options) {
+    return FilebaseClient.storeDirectory(this.service, files, objectName, options)
+  }
+
+  /**
+   * Stores many blobs, directories (arrays or iterables of files) and NFT
+   * tokens, encoding and uploading up to `options.concurrency` of them at a
+   * time. Results come back as items complete, with either the `cid` or the
+   * `error` the item failed with, and a summary of the batch is available
+   * once all results have been read.
+   *
+   * @example
+   * ```js
+   * const batch = client.storeMany(blobs, { concurrency: 16 })
+   * for await (const result of batch) {
+   *   if (result.error) {
+   *     console.error(`item ${result.index} failed`, result.error)
+   *   } else {
+   *     console.log(result.index, result.cid)
+   *   }
+   * }
+   * const { total, stored, failed } = await batch.summary
+   * ```
+   *
+   * @template {import('./lib/interface.js').BatchInput} T
+   * @param {Iterable<T> | AsyncIterable<T>} items
+   * @param {import('./lib/interface.js').BatchOptions} [options]
+   */
+  storeMany(items, options) {
+    return FilebaseClient.storeMany(this.service, items, options)
   }
 
   /**
@@ -651,9 +1343,28 @@ class FilebaseClient {
    *
    * @param {string} cid
    * @param {string | null} objectName
+   * @param {import('./lib/interface.js').RequestOptions} [options]
    */
-  status(cid, objectName = null) {
-    return FilebaseClient.status(this, cid, objectName)
+  status(cid, objectName = null, options) {
+    return FilebaseClient.status(this.service, cid, objectName, options)
+  }
+
+  /**
+   * Lists the objects stored in the bucket. Results are fetched page by page
+   * as the iterator is consumed.
+   *
+   * @example
+   * ```js
+   * for await (const item of client.list({ prefix: 'backups/', limit: 100 })) {
+   *   const { cid } = await item.status()
+   *   console.log(item.key, cid, item.size, item.created)
+   * }
+   * ```
+   *
+   * @param {import('./lib/interface.js').ListOptions} [options]
+   */
+  list(options) {
+    return FilebaseClient.list(this.service, options)
   }
 
   /**
@@ -669,9 +1380,194 @@ class FilebaseClient {
    *
    * @param {string} cid
    * @param {string | null} objectName
+   * @param {import('./lib/interface.js').RequestOptions} [options]
+   */
+  delete(cid, objectName = null, options) {
+    return FilebaseClient.delete(this.service, cid, objectName, options)
+  }
+
+  /**
+   * Stores a CAR file that is too large to import as a single object, split
+   * into shards of `options.shardSize` bytes (1GiB by default).
+   *
+   * @example
+   * ```js
+   * const { cid, shards } = await client.storeCarSharded(car, null, {
+   *   shardSize: 100 * 1024 * 1024
+   * })
+   * ```
+   *
+   * @param {import('./lib/interface.js').CarInput} car
+   * @param {string | null} objectName
+   * @param {import('./lib/interface.js').ShardedStoreOptions} [options]
+   */
+  storeCarSharded(car, objectName = null, options) {
+    return FilebaseClient.storeCarSharded(this.service, car, objectName, options)
+  }
+
+  /**
+   * Returns the status of content stored with `storeCarSharded`.
+   *
+   * @example
+   * ```js
+   * const { size, shards } = await client.statusShards(cid)
+   * ```
+   *
+   * @param {string} cid
+   * @param {string | null} objectName
+   * @param {import('./lib/interface.js').RequestOptions} [options]
+   */
+  statusShards(cid, objectName = null, options) {
+    return FilebaseClient.statusShards(this.service, cid, objectName, options)
+  }
+
+  /**
+   * Removes content stored with `storeCarSharded`, with all of its shards.
+   *
+   * @example
+   * ```js
+   * await client.deleteShards(cid)
+   * ```
+   *
+   * @param {string} cid
+   * @param {string | null} objectName
+   * @param {import('./lib/interface.js').RequestOptions} [options]
+   */
+  deleteShards(cid, objectName = null, options) {
+    return FilebaseClient.deleteShards(this.service, cid, objectName, options)
+  }
+
+  /**
+   * Creates presigned URLs for uploading a CAR of `options.size` bytes under
+   * the given object name, to hand to a browser that stores it with
+   * `FilebaseClient.storeCarWithPresignedUrls`. URLs expire after
+   * `options.expiresIn` seconds, an hour by default.
+   *
+   * @example
+   * ```js
+   * app.post('/uploads', async (req, res) => {
+   *   res.json(await client.createPresignedUpload(req.body.name, { size: req.body.size }))
+   * })
+   * ```
+   *
+   * @param {string} objectName
+   * @param {import('./lib/interface.js').PresignedUploadOptions} options
+   */
+  createPresignedUpload(objectName, options) {
+    return FilebaseClient.createPresignedUpload(this.service, objectName, options)
+  }
+
+  /**
+   * Replaces the tags of stored content, so it can be found and grouped by
+   * them later.
+   *
+   * @example
+   * ```js
+   * const cid = await client.storeBlob(blob, null, { tags: { collection: 'cats' } })
+   * await client.setTags(cid, { collection: 'cats', reviewed: 'true' })
+   * ```
+   *
+   * @param {string} cid
+   * @param {Record<string, string>} tags
+   * @param {string | null} objectName
+   * @param {import('./lib/interface.js').RequestOptions} [options]
+   */
+  setTags(cid, tags, objectName = null, options) {
+    return FilebaseClient.setTags(this.service, cid, tags, objectName, options)
+  }
+
+  /**
+   * Retrieves stored content by its CID and unpacks it back into the files it
+   * was created from. Blocks are verified against their CIDs as they are read.
+   *
+   * @example
+   * ```js
+   * const cid = await client.storeDirectory([
+   *   new File(['hello world'], 'hello.txt'),
+   *   new File([JSON.stringify({'from': 'incognito'}, null, 2)], 'metadata.json')
+   * ])
+   * for await (const file of client.get(cid)) {
+   *   for await (const chunk of file.stream()) {
+   *     console.log(file.name, chunk)
+   *   }
+   * }
+   * ```
+   *
+   * @param {string} cid
+   * @param {string | null} objectName
+   * @param {import('./lib/interface.js').RequestOptions} [options]
+   */
+  get(cid, objectName = null, options) {
+    return FilebaseClient.get(this.service, cid, objectName, options)
+  }
+
+  /**
+   * Stores an object under the given key as is, for buckets that hold plain
+   * objects rather than CAR imports.
+   *
+   * @example
+   * ```js
+   * await client.putObject('reports/2024.csv', new Blob([csv]), {
+   *   contentType: 'text/csv',
+   *   metadata: { year: '2024' }
+   * })
+   * ```
+   *
+   * @param {string} key
+   * @param {import('./lib/interface.js').ObjectBody} body
+   * @param {import('./lib/interface.js').PutObjectOptions} [options]
+   */
+  putObject(key, body, options) {
+    return FilebaseClient.putObject(this.service, key, body, options)
+  }
+
+  /**
+   * Retrieves an object by its key.
+   *
+   * @example
+   * ```js
+   * const { body, contentType } = await client.getObject('reports/2024.csv')
+   * for await (const chunk of body) {
+   *   process.stdout.write(chunk)
+   * }
+   * ```
+   *
+   * @param {string} key
+   * @param {import('./lib/interface.js').RequestOptions} [options]
    */
-  delete(cid, objectName = null) {
-    return FilebaseClient.delete(this, cid, objectName)
+  getObject(key, options) {
+    return FilebaseClient.getObject(this.service, key, options)
+  }
+
+  /**
+   * Returns the size, content type and metadata of an object.
+   *
+   * @example
+   * ```js
+   * const { size, metadata } = await client.headObject('reports/2024.csv')
+   * ```
+   *
+   * @param {string} key
+   * @param {import('./lib/interface.js').RequestOptions} [options]
+   */
+  headObject(key, options) {
+    return FilebaseClient.headObject(this.service, key, options)
+  }
+
+  /**
+   * Copies an object to another key.
+   *
+   * @example
+   * ```js
+   * await client.copyObject('reports/2024.csv', 'archive/2024.csv')
+   * ```
+   *
+   * @param {string} source
+   * @param {string} destination
+   * @param {import('./lib/interface.js').CopyObjectOptions} [options]
+   */
+  copyObject(source, destination, options) {
+    return FilebaseClient.copyObject(this.service, source, destination, options)
   }
 
   /**
@@ -713,9 +1609,10 @@ class FilebaseClient {
    * @template {import('./lib/interface.js').TokenInput} T
    * @param {T} token
    * @param {string | null} objectName
+   * @param {import('./lib/interface.js').StoreOptions} [options]
    */
-  store(token, objectName = null) {
-    return FilebaseClient.store(this, token, objectName)
+  store(token, objectName = null, options) {
+    return FilebaseClient.store(this.service, token, objectName, options)
   }
 }
 
@@ -733,6 +1630,233 @@ export function toAsyncIterable(iterable) {
   })()
 }
 
+/**
+ * Turns a body into one the S3 client can upload. Async iterables that are
+ * not streams are read through a stream of the platform.
+ *
+ * @param {import('./lib/interface.js').ObjectBody} body
+ * @returns {import('@aws-sdk/client-s3').PutObjectCommandInput['Body']}
+ */
+const toObjectBody = (body) => {
+  if (
+    typeof body === "string" ||
+    body instanceof Uint8Array ||
+    isBlobLike(body) ||
+    typeof (/** @type {any} */ (body).getReader) === "function" ||
+    typeof (/** @type {any} */ (body).pipe) === "function"
+  ) {
+    return /** @type {import('@aws-sdk/client-s3').PutObjectCommandInput['Body']} */ (body)
+  }
+  return toUploadBody(/** @type {AsyncIterable<Uint8Array>} */ (body))
+}
+
+/**
+ * Maps a HeadObject or GetObject response to an `ObjectInfo`.
+ *
+ * @param {string} key
+ * @param {import('@aws-sdk/client-s3').HeadObjectCommandOutput | import('@aws-sdk/client-s3').GetObjectCommandOutput} response
+ * @returns {import('./lib/interface.js').ObjectInfo}
+ */
+const toObjectInfo = (key, { ContentLength, ContentType, ETag, LastModified, VersionId, Metadata = {} }) => ({
+  key,
+  size: ContentLength,
+  contentType: ContentType,
+  etag: ETag,
+  lastModified: LastModified,
+  versionId: VersionId,
+  metadata: Metadata,
+  // Objects in IPFS buckets are given a CID, whether imported as a CAR or not
+  cid: Metadata['cid'],
+})
+
+/**
+ * Error for a response of the service that lacks what was asked for.
+ *
+ * @param {string} message
+ * @param {{ $metadata: { httpStatusCode?: number, requestId?: string } }} response
+ * @returns {ServiceError}
+ */
+const invalidResponse = (message, { $metadata }) =>
+  new ServiceError(message, {
+    code: 'INVALID_RESPONSE',
+    status: $metadata.httpStatusCode,
+    requestId: $metadata.requestId,
+  })
+
+/**
+ * Stores a single `storeMany` item with the method matching its kind: blobs
+ * (including files) with `storeBlob`, arrays and iterables of files with
+ * `storeDirectory` and anything else as an NFT token with `store`.
+ *
+ * @param {Service} service
+ * @param {import('./lib/interface.js').BatchInput} input
+ * @param {import('./lib/interface.js').StoreOptions} options
+ * @returns {Promise<CIDString>}
+ */
+const storeItem = async (service, input, options) => {
+  if (isBlobLike(input)) {
+    return FilebaseClient.storeBlob(service, input, null, options)
+  }
+  if (
+    Array.isArray(input) ||
+    Symbol.iterator in input ||
+    Symbol.asyncIterator in input
+  ) {
+    return FilebaseClient.storeDirectory(
+      service,
+      /** @type {FilesSource} */ (input),
+      null,
+      options
+    )
+  }
+  const token = await FilebaseClient.store(
+    service,
+    /** @type {import('./lib/interface.js').TokenInput} */ (input),
+    null,
+    options
+  )
+  return token.ipnft
+}
+
+/**
+ * @param {any} value
+ * @returns {value is Blob}
+ */
+const isBlobLike = (value) =>
+  value instanceof Blob ||
+  (typeof value === "object" &&
+    value !== null &&
+    typeof value.size === "number" &&
+    typeof value.stream === "function" &&
+    typeof value.arrayBuffer === "function")
+
+/**
+ * Compares a CID with the string representation of another, ignoring
+ * differences in CID version and multibase encoding.
+ *
+ * @param {CID} cid
+ * @param {string} other
+ * @returns {boolean}
+ */
+const isSameCid = (cid, other) => {
+  try {
+    return cid.toV1().equals(CID.parse(other).toV1())
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Shards are numbered with leading zeros, so they are listed in order.
+ *
+ * @param {string} objectName
+ * @param {number} index
+ */
+const toShardKey = (objectName, index) =>
+  `${objectName}/shards/${String(index).padStart(6, '0')}`
+
+/**
+ * Lists the keys of the shards stored under the object name, in order.
+ *
+ * @param {import('./lib/interface.js').ResolvedService} service
+ * @param {string} objectName
+ * @param {AbortSignal} [signal]
+ * @returns {AsyncIterable<string>}
+ */
+async function* listShardKeys({ client: s3client, bucket }, objectName, signal) {
+  /** @type {string | undefined} */
+  let continuationToken
+  do {
+    throwIfAborted(signal)
+    const page = await s3client
+      .send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: `${objectName}/shards/`,
+        ContinuationToken: continuationToken,
+      }), { abortSignal: signal })
+      .catch((error) => { throw toAbortError(error, signal) });
+    for (const { Key } of page.Contents || []) {
+      if (typeof Key === "string") {
+        yield Key
+      }
+    }
+    continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined
+  } while (continuationToken)
+}
+
+/**
+ * Maps a HeadObject response for a CAR imported object, and its tags if they
+ * were looked up, to a `StatusResult`.
+ *
+ * @param {import('@aws-sdk/client-s3').HeadObjectCommandOutput} carHeader
+ * @param {Record<string, string>} [tags]
+ * @returns {import('./lib/interface.js').StatusResult}
+ */
+const toStatusResult = (carHeader, tags) => {
+  if (typeof carHeader.Metadata === "undefined" || typeof carHeader.Metadata['cid'] === "undefined") {
+    throw invalidResponse(`No CID Returned from Remote`, carHeader)
+  }
+
+  if (typeof carHeader['ContentLength'] !== "number") {
+    throw invalidResponse(`Invalid Content Length`, carHeader)
+  }
+
+  const displayDate = carHeader.LastModified;
+
+  if (typeof displayDate === "undefined") {
+    throw invalidResponse('Invalid Date', carHeader)
+  }
+
+  return {
+    cid: carHeader.Metadata['cid'],
+    size: carHeader['ContentLength'],
+    deals: [],
+    pin: {
+      cid: carHeader.Metadata['cid'],
+      name: carHeader.Metadata['cid'],
+      status: 'pinned',
+      created: displayDate,
+    },
+    created: displayDate,
+    metadata: fromCarMetadata(carHeader.Metadata),
+    ...(tags ? { tags } : {}),
+  }
+}
+
+/**
+ * Looks up the tags of an object. Some S3 compatible services answer with a
+ * `NoSuchTagSet` error rather than an empty tag set for objects without
+ * tags, which is taken as the object having no tags. Other errors, such as
+ * missing tagging permission, are thrown.
+ *
+ * @param {import('@aws-sdk/client-s3').S3Client} s3client
+ * @param {string | undefined} bucket
+ * @param {string | undefined} key
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Record<string, string>>}
+ */
+const getTags = async (s3client, bucket, key, signal) => {
+  try {
+    const { TagSet } = await s3client.send(
+      new GetObjectTaggingCommand({ Bucket: bucket, Key: key }),
+      { abortSignal: signal }
+    )
+    return fromTagSet(TagSet)
+  } catch (error) {
+    if (isNoSuchTagSet(error)) {
+      return {}
+    }
+    throw error
+  }
+}
+
+/**
+ * @param {unknown} error
+ */
+const isNoSuchTagSet = (error) =>
+  (error instanceof NotFoundError && !(error instanceof BucketNotFoundError)) ||
+  (error instanceof ServiceError && error.code === 'NoSuchTagSet')
+
 /**
  * @template {import('./lib/interface.js').TokenInput} T
  * @param {T} metadata
@@ -765,15 +1889,16 @@ For more context please see ERC-721 specification https://eips.ethereum.org/EIPS
 }
 
 /**
- * @param {import('ipfs-car/pack').ImportCandidateStream|Array<{ path: string, content: import('./platform.js').ReadableStream }>} input
+ * @param {import('./encoding.js').PackCandidate[]|AsyncIterable<import('./encoding.js').PackCandidate>} input
  * @param {object} [options]
  * @param {BlockstoreI} [options.blockstore]
  * @param {boolean} [options.wrapWithDirectory]
+ * @param {EncodingOptions} [options.encoding]
  */
-const packCar = async (input, { blockstore, wrapWithDirectory } = {}) => {
+const packCar = async (input, { blockstore, wrapWithDirectory, encoding } = {}) => {
   /* c8 ignore next 1 */
   blockstore = blockstore || new Blockstore()
-  const { root: cid, out } = await pack({ input, blockstore, wrapWithDirectory, rawLeaves: false, cidVersion: 0 })
+  const { root: cid, out } = await pack({ input, blockstore, wrapWithDirectory, encoding })
   const car = new BlockstoreCarReader(1, [cid], blockstore)
   return { cid, carReader: car, car: out }
 }
@@ -784,19 +1909,54 @@ const packCar = async (input, { blockstore, wrapWithDirectory } = {}) => {
  * the stream is created only when needed.
  *
  * @param {string} path
- * @param {Pick<Blob, 'stream'>|{ stream: () => AsyncIterable<Uint8Array> }} blob
- * @returns {import('ipfs-core-types/src/utils.js').ImportCandidate}
+ * @param {Pick<Blob, 'stream' | 'size'>|{ stream: () => AsyncIterable<Uint8Array>, size: number }} blob
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {EncodeProgress} [options.progress]
+ * @returns {import('./encoding.js').PackCandidate}
  */
-function toImportCandidate(path, blob) {
-  /** @type {AsyncIterable<Uint8Array>} */
+function toImportCandidate(path, blob, { signal, progress } = {}) {
+  /** @type {AsyncIterable<Uint8Array> | ReadableStream<Uint8Array>} */
   let stream
   return {
     path,
     get content() {
-      stream = stream || blob.stream()
+      if (!stream) {
+        stream = signal ? abortable(blob.stream(), signal) : blob.stream()
+        stream = progress ? progress.track(path, blob.size, stream) : stream
+      }
       return stream
     },
   }
 }
 
-export { FilebaseClient, File, Blob, FormData, toGatewayURL, Token }
+export {
+  FilebaseClient,
+  PinningClient,
+  BucketClient,
+  UploadStateStore,
+  MemoryUploadStateStore,
+  DEFAULT_ENCODING,
+  FilebaseError,
+  AbortError,
+  InvalidTokenError,
+  AuthenticationError,
+  NotFoundError,
+  BucketNotFoundError,
+  QuotaExceededError,
+  EmptyContentError,
+  CidMismatchError,
+  InvalidCarError,
+  InvalidPathError,
+  DeleteObjectsError,
+  ServiceError,
+  createToken,
+  parseToken,
+  File,
+  Blob,
+  FormData,
+  filesFromPaths,
+  toGatewayURL,
+  fetchVerified,
+  Token,
+}
@@ -4,11 +4,14 @@ export type { CID }
 import type { BlockDecoder } from 'multiformats/block'
 export type { BlockDecoder }
 
-import type { CarReader } from '@ipld/car/api'
+import type { CarReader, RootsReader, BlockReader } from '@ipld/car/api'
 export type { CarReader }
 
-import type { S3ClientConfig } from "@aws-sdk/client-s3"
-export type { S3ClientConfig }
+import type { S3Client, S3ClientConfig } from "@aws-sdk/client-s3"
+export type { S3Client, S3ClientConfig }
+
+import type { MultihashHasher } from 'multiformats/hashes/interface'
+export type { MultihashHasher }
 
 /**
  * Define nominal type of U based on type of T. Similar to Opaque types in Flow
@@ -20,6 +23,83 @@ export interface Service {
   token?: Array<string> | string
   s3config?: S3ClientConfig
   bucket?: string
+  encoding?: EncodingOptions
+  /**
+   * Profile of the config file to take credentials from, when there is no
+   * token or `s3config`. Default: `FILEBASE_PROFILE` or `default`
+   */
+  profile?: string
+  /**
+   * S3 client to send requests with instead of creating one per call.
+   */
+  client?: S3Client
+  /**
+   * Rate limiter all requests to the service go through.
+   */
+  rateLimiter?: RateLimiter
+}
+
+/**
+ * Options controlling how content is encoded into a UnixFS DAG, and so the
+ * CIDs it gets. Defaults match `ipfs add` in kubo.
+ */
+export interface EncodingOptions {
+  /**
+   * CID version of the produced CIDs. CIDv0 requires sha2-256 and no raw
+   * leaves. Default: 0
+   */
+  cidVersion?: 0 | 1
+  /**
+   * Store file leaves as raw blocks instead of wrapping them in UnixFS nodes.
+   * Default: true with `cidVersion: 1`, false otherwise
+   */
+  rawLeaves?: boolean
+  /**
+   * How files are split into chunks: `fixed` size or content defined
+   * `rabin` chunks. Kubo style chunker strings like `size-1048576` or
+   * `rabin-16384-262144-393216` are accepted as well. Default: `fixed`
+   */
+  chunker?: 'fixed' | 'rabin' | string
+  /**
+   * Chunk size in bytes, the average size for the rabin chunker.
+   * Default: 262144
+   */
+  chunkSize?: number
+  /**
+   * Minimum chunk size of the rabin chunker. Default: a third of `chunkSize`
+   */
+  minChunkSize?: number
+  /**
+   * Maximum chunk size of the rabin chunker. Default: 1.5 times `chunkSize`
+   */
+  maxChunkSize?: number
+  /**
+   * Layout of the DAG built from the chunks. Default: `balanced`
+   */
+  layout?: 'balanced' | 'trickle'
+  /**
+   * Maximum number of links per DAG node. Default: 174
+   */
+  maxChildrenPerNode?: number
+  /**
+   * Hash function, by name or as a multihash hasher. Default: `sha2-256`
+   */
+  hasher?: 'sha2-256' | 'sha2-512' | MultihashHasher
+}
+
+/**
+ * Service with its token parsed and the S3 client to send requests with,
+ * resolved once per client. S3 clients are shared by all services with
+ * the same endpoint, credentials and rate limiter.
+ */
+export interface ResolvedService {
+  readonly endpoint: string
+  readonly bucket?: string
+  readonly s3config: S3ClientConfig
+  readonly maxAttempts?: number | (() => Promise<number>)
+  readonly client: S3Client
+  readonly rateLimiter?: RateLimiter
+  readonly encoding?: EncodingOptions
 }
 
 export interface PublicService {
@@ -34,6 +114,56 @@ export interface FileObject {
   stream: () => AsyncIterable<any>
 }
 
+/**
+ * A file retrieved by `get`. Its content is streamed from the retrieved
+ * blocks, so it has to be read before the next file is asked for.
+ */
+export interface RetrievedFile extends FileObject {
+  /**
+   * Path of the file within the retrieved directory, or the CID of the
+   * content when it is a single file.
+   */
+  name: string
+  size: number
+  stream: () => AsyncIterable<Uint8Array>
+}
+
+export interface FilesFromPathsOptions {
+  /**
+   * Only include files matching these globs e.g. `**\/*.html`.
+   */
+  glob?: string | string[]
+  /**
+   * `.gitignore` style patterns of files and directories to leave out.
+   */
+  ignore?: string[]
+  /**
+   * Path to a `.gitignore` style file with more patterns to leave out.
+   */
+  ignoreFile?: string
+  /**
+   * Include files and directories whose name starts with a `.`.
+   * Default: false
+   */
+  hidden?: boolean
+  /**
+   * Follow symbolic links found in directories, otherwise they are skipped.
+   * Default: true
+   */
+  followSymlinks?: boolean
+  /**
+   * Directory that file names are made relative to. Default: the parent
+   * directory of each given path.
+   */
+  pathPrefix?: string
+  /**
+   * Called with entries under the given paths that cannot be read, e.g.
+   * broken symbolic links, which are skipped. Default: they are skipped
+   * without being reported.
+   */
+  onError?: (error: Error, file: string) => void
+}
+
 export type FilesSource =
 | Iterable<File>
 | Iterable<FileObject>
@@ -76,9 +206,8 @@ export interface API {
   ): Promise<{ cid: CID; car: CarReader }>
   /**
    * Encodes a directory of files to a CAR file and also returns the root CID.
-   * Provided files **MUST** be within the same directory, otherwise error is
-   * raised e.g. `foo/bar.png`, `foo/bla/baz.json` is ok but `foo/bar.png`,
-   * `bla/baz.json` is not.
+   * File names are paths within the directory, directories shared by all
+   * files are stripped except for the top level one.
    */
   encodeDirectory(files: Iterable<File>): Promise<{ cid: CID; car: CarReader }>
   /**
@@ -105,19 +234,30 @@ export interface API {
    */
   storeBlob(service: Service, content: Blob | File): Promise<CIDString>
   /**
-   * Stores a CAR file and returns it's root CID.
+   * Stores a CAR file and returns it's root CID. The object name defaults to
+   * the root CID.
    */
   storeCar(
     service: Service,
-    content: Blob | CarReader,
+    car: CarInput,
+    objectName?: string | null,
     options?: CarStorerOptions
   ): Promise<CIDString>
   /**
-   * Stores a directory of files and returns a CID. Provided files **MUST**
-   * be within the same directory, otherwise error is raised e.g. `foo/bar.png`,
-   * `foo/bla/baz.json` is ok but `foo/bar.png`, `bla/baz.json` is not.
+   * Stores a directory of files and returns a CID. File names are paths
+   * within the directory, directories shared by all files are stripped
+   * except for the top level one.
    */
   storeDirectory(service: Service, files: FilesSource): Promise<CIDString>
+  /**
+   * Stores many blobs, directories or NFT tokens concurrently, reporting
+   * each item's CID or error as it completes.
+   */
+  storeMany<T extends BatchInput>(
+    service: Service,
+    items: Iterable<T> | AsyncIterable<T>,
+    options?: BatchOptions
+  ): Batch<T>
   /**
    * Returns current status of the stored NFT by its CID. Note the NFT must
    * have previously been stored by this account.
@@ -129,8 +269,144 @@ export interface API {
    * replicated it might still continue providing it.
    */
   delete(service: Service, cid: string): Promise<void>
+  /**
+   * Lists content stored in the bucket, paging through results as they are
+   * consumed.
+   */
+  list(service: Service, options?: ListOptions): AsyncIterable<StatusResult>
+  /**
+   * Retrieves stored content by its CID and unpacks it back into files,
+   * verifying every block against its CID.
+   */
+  get(service: Service, cid: string): AsyncIterable<File>
+  /**
+   * Stores a CAR split into shards that are each stored as a CAR object.
+   */
+  storeCarSharded(
+    service: Service,
+    car: CarInput,
+    objectName?: string | null,
+    options?: ShardedStoreOptions
+  ): Promise<ShardedUpload>
+  /**
+   * Returns the status of content stored with `storeCarSharded`.
+   */
+  statusShards(
+    service: Service,
+    cid: string,
+    objectName?: string | null,
+    options?: RequestOptions
+  ): Promise<ShardedStatusResult>
+  /**
+   * Removes content stored with `storeCarSharded` with all of its shards.
+   */
+  deleteShards(
+    service: Service,
+    cid: string,
+    objectName?: string | null,
+    options?: RequestOptions
+  ): Promise<void>
+  /**
+   * Creates presigned URLs for uploading a CAR without credentials.
+   */
+  createPresignedUpload(
+    service: Service,
+    objectName: string,
+    options: PresignedUploadOptions
+  ): Promise<PresignedUpload>
+  /**
+   * Replaces the tags of stored content.
+   */
+  setTags(
+    service: Service,
+    cid: string,
+    tags: Record<string, string>,
+    objectName?: string | null,
+    options?: RequestOptions
+  ): Promise<void>
+  /**
+   * Stores an object under a key as is, without encoding it into a CAR.
+   */
+  putObject(
+    service: Service,
+    key: string,
+    body: ObjectBody,
+    options?: PutObjectOptions
+  ): Promise<PutObjectResult>
+  /**
+   * Retrieves an object by its key.
+   */
+  getObject(
+    service: Service,
+    key: string,
+    options?: RequestOptions
+  ): Promise<GetObjectResult>
+  /**
+   * Returns information about an object without retrieving its content.
+   */
+  headObject(
+    service: Service,
+    key: string,
+    options?: RequestOptions
+  ): Promise<ObjectInfo>
+  /**
+   * Copies an object to another key.
+   */
+  copyObject(
+    service: Service,
+    source: string,
+    destination: string,
+    options?: CopyObjectOptions
+  ): Promise<PutObjectResult>
 }
 
+export interface ListOptions extends RequestOptions {
+  /**
+   * Only list objects whose name starts with this prefix.
+   */
+  prefix?: string
+  /**
+   * Maximum number of results to return. Default: all of them.
+   */
+  limit?: number
+  /**
+   * Only list content created before this date.
+   */
+  before?: Date | string
+}
+
+/**
+ * An object listed by `list`.
+ */
+export interface ListedObject {
+  /**
+   * Name of the object, the CID of the content unless it was stored under
+   * another name.
+   */
+  key: string
+  size: number
+  created: Date
+  etag?: string
+  /**
+   * Looks up the CID, metadata and tags of the object like `status` does,
+   * which takes another request. Objects that were not imported as CARs
+   * have no CID and fail with a `ServiceError`.
+   */
+  status(options?: RequestOptions): Promise<StatusResult>
+}
+
+/**
+ * CAR to store: its bytes, a stream or async iterable of them, a `CarReader`
+ * or, in Node.js, the path of a CAR file.
+ */
+export type CarInput =
+  | Blob
+  | Uint8Array
+  | ReadableStream<Uint8Array>
+  | AsyncIterable<Uint8Array>
+  | (RootsReader & BlockReader)
+  | string
+
 export interface CarStorerOptions {
   /**
    * Callback called after each chunk of data has been uploaded. By default,
@@ -142,6 +418,10 @@ export interface CarStorerOptions {
    * Callback called after CAR has finished uploading.
    */
   onComplete?: () => void
+  /**
+   * Callback called with structured progress events while uploading.
+   */
+  onProgress?: (event: ProgressEvent) => void
   /**
    * Maximum times to retry a failed upload. Default: 5
    */
@@ -150,6 +430,175 @@ export interface CarStorerOptions {
    * Object Name to set for CAR on Pinning Service
   * */
   objectName?: string
+  /**
+   * Saves the progress of the multipart upload after every part so that an
+   * interrupted upload can be continued by storing the same CAR under the
+   * same object name again. Pass `true` to keep the state in the default
+   * store (files under `~/.filebase/uploads` in Node.js, memory in browsers).
+   */
+  resumable?: boolean | ResumableOptions
+  /**
+   * Root CID the stored CAR is expected to have. Defaults to the root in the
+   * CAR header. If the CID reported by the service does not match it, storing
+   * fails with a `CidMismatchError`.
+   */
+  expectedCid?: CID | string
+  /**
+   * User metadata to store the CAR with, sent as `x-amz-meta-*` headers.
+   * Keys are lowercased, `import` and `cid` are reserved.
+   */
+  metadata?: Record<string, string>
+  /**
+   * Tags to store the CAR with, at most 10.
+   */
+  tags?: Record<string, string>
+  /**
+   * Signal to cancel the upload with. Aborting rejects with an `AbortError`.
+   */
+  signal?: AbortSignal
+}
+
+export interface RequestOptions {
+  /**
+   * Signal to cancel the request with. Aborting rejects with an `AbortError`.
+   */
+  signal?: AbortSignal
+}
+
+export interface StoreOptions {
+  /**
+   * Encoding to use for this content, overriding the client's encoding.
+   */
+  encoding?: EncodingOptions
+  /**
+   * Signal to cancel encoding and uploading with. Aborting rejects with an
+   * `AbortError`.
+   */
+  signal?: AbortSignal
+  /**
+   * Callback called with structured progress events while the content is
+   * encoded and then uploaded.
+   */
+  onProgress?: (event: ProgressEvent) => void
+  /**
+   * User metadata to store the content with, sent as `x-amz-meta-*` headers.
+   * Keys are lowercased, `import` and `cid` are reserved.
+   */
+  metadata?: Record<string, string>
+  /**
+   * Tags to store the content with, at most 10.
+   */
+  tags?: Record<string, string>
+}
+
+export interface DirectoryStoreOptions extends StoreOptions {
+  /**
+   * Keep the directories shared by all files, e.g. `foo` for `foo/bar.png`
+   * and `foo/bla/baz.json`. When `false` they are stripped, leaving
+   * `bar.png` and `bla/baz.json`. Default: true
+   */
+  keepTopLevel?: boolean
+}
+
+/**
+ * Item of a `storeMany` batch: a blob or file, a directory of files or an
+ * NFT token input.
+ */
+export type BatchInput = Blob | FilesSource | TokenInput
+
+export interface BatchOptions {
+  /**
+   * Maximum number of items encoded and uploaded at the same time.
+   * Default: 8
+   */
+  concurrency?: number
+  /**
+   * Encoding to use for all items, overriding the client's encoding.
+   */
+  encoding?: EncodingOptions
+  /**
+   * Signal to cancel the batch with. No further items are started and the
+   * iteration ends with an `AbortError`.
+   */
+  signal?: AbortSignal
+}
+
+export type BatchResult<T> =
+  | { input: T; index: number; cid: CIDString; error?: undefined }
+  | { input: T; index: number; error: Error; cid?: undefined }
+
+export interface BatchSummary {
+  /**
+   * Number of items that were started.
+   */
+  total: number
+  stored: number
+  failed: number
+}
+
+export interface Batch<T> extends AsyncIterable<BatchResult<T>> {
+  /**
+   * Resolves once the results have been consumed, or iteration ended early.
+   */
+  summary: Promise<BatchSummary>
+}
+
+interface ProgressInfo {
+  /**
+   * Total bytes of the current phase: the size of the encoded files while
+   * encoding and the size of the CAR while uploading. The size of a CAR
+   * passed as a stream is not set until the whole CAR has been read.
+   */
+  total?: number
+  /**
+   * Bytes of the current phase processed so far.
+   */
+  processed: number
+}
+
+export type ProgressEvent =
+  | ({ type: 'encode:file-start'; path: string; size: number } & ProgressInfo)
+  | ({ type: 'encode:bytes'; path: string; bytes: number } & ProgressInfo)
+  | ({ type: 'encode:done'; cid: CIDString } & ProgressInfo)
+  | ({ type: 'upload:part'; part?: number; bytes: number } & ProgressInfo)
+  | ({ type: 'upload:retry'; attempt: number; error: unknown } & ProgressInfo)
+  | ({ type: 'upload:done'; cid: CIDString } & ProgressInfo)
+
+export interface ResumableOptions {
+  /**
+   * Where upload progress is saved.
+   */
+  store?: UploadStateStore
+  /**
+   * Size of each uploaded part in bytes, at least 5MiB. Default: 10MiB
+   */
+  partSize?: number
+}
+
+export interface UploadedPart {
+  PartNumber: number
+  ETag?: string
+  Size: number
+  /**
+   * Base64 encoded SHA-256 of the bytes of the part, which tells whether the
+   * same bytes are passed again when the upload is resumed.
+   */
+  ChecksumSHA256?: string
+}
+
+export interface UploadState {
+  uploadId: string
+  partSize: number
+  parts: UploadedPart[]
+}
+
+/**
+ * Pluggable storage for the progress of resumable uploads.
+ */
+export interface UploadStateStore {
+  get(key: string): Promise<UploadState | undefined>
+  set(key: string, state: UploadState): Promise<void>
+  delete(key: string): Promise<void>
 }
 
 export interface ParseTokenResult {
@@ -157,12 +606,28 @@ export interface ParseTokenResult {
   bucket: string
 }
 
+/**
+ * Credentials found by `loadCredentials`, with the endpoint when the
+ * environment or profile names one.
+ */
+export interface Credentials extends ParseTokenResult {
+  endpoint?: string
+}
+
 export interface StatusResult {
   cid: string
   size: number
   deals: Deal[]
   pin: Pin
   created: Date
+  /**
+   * User metadata the content was stored with.
+   */
+  metadata: Record<string, string>
+  /**
+   * Tags of the stored content.
+   */
+  tags?: Record<string, string>
 }
 
 export type Deal =
@@ -253,6 +718,298 @@ export interface Pin {
 
 export type PinStatus = 'queued' | 'pinning' | 'pinned' | 'failed'
 
+export interface PinningService {
+  endpoint?: string
+  token: Array<string> | string
+  /**
+   * The `fetch` to send requests with, which is the platform one by default.
+   */
+  fetch?: typeof fetch
+}
+
+export interface BucketInfo {
+  name: string
+  created?: Date
+}
+
+export interface BucketUsage {
+  /**
+   * Number of objects in the bucket.
+   */
+  objects: number
+  /**
+   * Total size of the objects in the bucket, in bytes.
+   */
+  bytes: number
+}
+
+export interface CreateBucketOptions extends RequestOptions {
+  /**
+   * Network the bucket stores its objects on. Default: `ipfs`
+   */
+  network?: string
+}
+
+export interface DeleteBucketOptions extends RequestOptions {
+  /**
+   * Delete all objects in the bucket and abort uploads in progress first,
+   * instead of failing when the bucket is not empty. Default: false
+   */
+  force?: boolean
+}
+
+export type ObjectBody =
+  | string
+  | Uint8Array
+  | Blob
+  | ReadableStream<Uint8Array>
+  | AsyncIterable<Uint8Array>
+
+export interface PutObjectOptions extends RequestOptions {
+  /**
+   * Content type of the object. Default: `application/octet-stream`
+   */
+  contentType?: string
+  /**
+   * User defined metadata stored with the object.
+   */
+  metadata?: Record<string, string>
+}
+
+export interface PutObjectResult {
+  key: string
+  etag?: string
+  /**
+   * Version of the object, for buckets with versioning enabled.
+   */
+  versionId?: string
+}
+
+export interface ObjectInfo {
+  key: string
+  /**
+   * Size of the object in bytes.
+   */
+  size?: number
+  contentType?: string
+  etag?: string
+  lastModified?: Date
+  versionId?: string
+  /**
+   * User defined metadata stored with the object.
+   */
+  metadata: Record<string, string>
+  /**
+   * CID of the object, for objects in IPFS buckets.
+   */
+  cid?: string
+}
+
+export interface GetObjectResult extends ObjectInfo {
+  /**
+   * Content of the object.
+   */
+  body: AsyncIterable<Uint8Array>
+}
+
+export interface CopyObjectOptions extends RequestOptions {
+  /**
+   * Bucket to copy the object from. Default: the bucket of the client.
+   */
+  sourceBucket?: string
+  /**
+   * Content type to give the copy, instead of that of the source.
+   */
+  contentType?: string
+  /**
+   * Metadata to give the copy, replacing that of the source.
+   */
+  metadata?: Record<string, string>
+}
+
+export interface ShardedStoreOptions
+  extends Omit<CarStorerOptions, 'objectName' | 'expectedCid'> {
+  /**
+   * Target size of each shard in bytes. A shard can be larger when a single
+   * block and the blocks on the path to it from the root are. Default: 1GiB
+   */
+  shardSize?: number
+}
+
+export interface Shard {
+  /**
+   * Object name the shard is stored under.
+   */
+  key: string
+  /**
+   * Size of the shard CAR in bytes.
+   */
+  size: number
+}
+
+export interface ShardedUpload {
+  /**
+   * Root CID of the whole CAR, which is also the root of every shard.
+   */
+  cid: CIDString
+  shards: Shard[]
+}
+
+export interface ShardedStatusResult {
+  cid: CIDString
+  /**
+   * Total size of the shards in bytes.
+   */
+  size: number
+  /**
+   * When the last shard was stored.
+   */
+  created: Date
+  shards: Array<StatusResult & { key: string }>
+}
+
+export interface PresignedUploadOptions extends RequestOptions {
+  /**
+   * Size of the CAR that is going to be uploaded, in bytes.
+   */
+  size: number
+  /**
+   * Size of the parts of a multipart upload, CARs of up to this size are
+   * uploaded with a single request. Default: 10MiB
+   */
+  partSize?: number
+  /**
+   * Seconds until the URLs expire. Default: 3600
+   */
+  expiresIn?: number
+  /**
+   * User metadata to store the CAR with. Keys are lowercased, `import` and
+   * `cid` are reserved.
+   */
+  metadata?: Record<string, string>
+  /**
+   * Tags to store the CAR with, at most 10.
+   */
+  tags?: Record<string, string>
+}
+
+interface PresignedUploadBase {
+  /**
+   * Object name the CAR is stored under.
+   */
+  key: string
+  /**
+   * When the URLs expire, as an ISO 8601 date.
+   */
+  expires: string
+  /**
+   * URL to read back the CID of the stored CAR with a HEAD request.
+   */
+  status: string
+}
+
+export interface SinglePresignedUpload extends PresignedUploadBase {
+  type: 'single'
+  /**
+   * URL to PUT the whole CAR to.
+   */
+  url: string
+  /**
+   * Size in bytes of the largest CAR that is uploaded with the URL, larger
+   * ones are rejected before they are uploaded.
+   */
+  partSize: number
+}
+
+export interface MultipartPresignedUpload extends PresignedUploadBase {
+  type: 'multipart'
+  uploadId: string
+  partSize: number
+  /**
+   * URL to PUT each part to, in order of part number.
+   */
+  parts: string[]
+  /**
+   * URL to complete the multipart upload with.
+   */
+  complete: string
+  /**
+   * URL to abort the multipart upload with.
+   */
+  abort: string
+}
+
+/**
+ * Presigned URLs created by `createPresignedUpload`, which can be passed to
+ * the browser as JSON.
+ */
+export type PresignedUpload = SinglePresignedUpload | MultipartPresignedUpload
+
+export interface PresignedStoreOptions extends RequestOptions {
+  /**
+   * Callback called after each part of the CAR has been uploaded with its
+   * size in bytes.
+   */
+  onStoredChunk?: (size: number) => void
+  /**
+   * The `fetch` to upload with, which is the platform one by default.
+   */
+  fetch?: typeof fetch
+}
+
+/**
+ * Pin request tracked by the IPFS Pinning Service API.
+ */
+export interface PinRequest extends Pin {
+  /**
+   * Identifier of the pin request, used to query or remove it.
+   */
+  requestid: string
+  /**
+   * Multiaddrs of peers known to provide the content.
+   */
+  origins: string[]
+  meta: Record<string, string>
+  /**
+   * Multiaddrs of the service nodes that will be pinning the content, the
+   * client should connect to them to speed up content discovery.
+   */
+  delegates: string[]
+  info: Record<string, string>
+}
+
+export interface PinOptions {
+  /**
+   * Optional name for the pinned content.
+   */
+  name?: string
+  /**
+   * Multiaddrs of peers known to provide the content.
+   */
+  origins?: string[]
+  /**
+   * Arbitrary metadata to store with the pin request.
+   */
+  meta?: Record<string, string>
+}
+
+export interface PinListOptions {
+  cid?: string | string[]
+  name?: string
+  match?: 'exact' | 'iexact' | 'partial' | 'ipartial'
+  /**
+   * Only return pins in these states. Default: `pinned`
+   */
+  status?: PinStatus | PinStatus[]
+  before?: Date | string
+  after?: Date | string
+  /**
+   * Maximum number of results to return. Default: all of them.
+   */
+  limit?: number
+  meta?: Record<string, string>
+}
+
 /**
  * This is an input used to construct the Token metadata as per EIP-1155
  * @see https://eips.ethereum.org/EIPS/eip-1155#metadata
@@ -334,6 +1091,12 @@ export interface Token<T extends TokenInput> {
    */
   data: Encoded<T, [[Blob, URL]]>
 
+  /**
+   * CIDs of the assets referenced by the token, keyed by the `.` joined path
+   * where they appear in `data` e.g. `image` or `properties.video`.
+   */
+  assets: Map<string, CID>
+
   /**
    * Token data just like in `data` field except urls corresponding to
    * Files/Blobs are substituted with IPFS gateway URLs so they can be
@@ -404,5 +1167,35 @@ type Rule<Format extends Pattern<any, any>> = Format extends [infer I, infer O]
  * that does not exceed the rate limit.
  */
 export interface RateLimiter {
-  (): Promise<void>
+  /**
+   * Waits until a request may be sent, rejecting with an `AbortError` when
+   * the signal is aborted first.
+   */
+  (signal?: AbortSignal): Promise<void>
+  /**
+   * Reports a request the service throttled, pausing all requests for at
+   * least `retryAfter` milliseconds.
+   */
+  throttled(retryAfter?: number): void
+  /**
+   * Reports a request that went through, resetting the throttling backoff.
+   */
+  succeeded(): void
+  /**
+   * Runs an upload once fewer than the maximum number of concurrent uploads
+   * are in progress, rejecting with an `AbortError` when the signal is
+   * aborted while it waits.
+   */
+  upload<T>(upload: () => Promise<T>, signal?: AbortSignal): Promise<T>
+}
+
+export interface RateLimitOptions {
+  /**
+   * Maximum number of requests sent to the service per second. Default: 50
+   */
+  requestsPerSecond?: number
+  /**
+   * Maximum number of uploads in progress at the same time. Default: 8
+   */
+  maxConcurrentUploads?: number
 }
@@ -0,0 +1,93 @@
+/**
+ * Metadata keys the service and the client set on stored content, which can
+ * not be set by users.
+ */
+const RESERVED_METADATA = new Set(['import', 'cid'])
+
+/**
+ * Limits the service puts on object tags.
+ */
+const MAX_TAGS = 10
+const MAX_TAG_KEY_LENGTH = 128
+const MAX_TAG_VALUE_LENGTH = 256
+
+/**
+ * Adds user metadata to the metadata every CAR import is stored with. Keys
+ * are lowercased as the service does, so they read back the same way.
+ *
+ * @param {Record<string, string>} [metadata]
+ * @returns {Record<string, string>}
+ */
+export const toCarMetadata = (metadata = {}) => {
+  /** @type {Record<string, string>} */
+  const result = {}
+  for (const [name, value] of Object.entries(metadata)) {
+    const key = name.toLowerCase()
+    if (!/^[a-z0-9_-]+$/.test(key)) {
+      throw new TypeError(
+        `Invalid metadata key "${name}", keys are letters, numbers, "-" and "_"`
+      )
+    }
+    if (RESERVED_METADATA.has(key)) {
+      throw new TypeError(`Metadata key "${name}" is reserved`)
+    }
+    if (typeof value !== 'string') {
+      throw new TypeError(`Metadata value of "${name}" must be a string`)
+    }
+    result[key] = value
+  }
+  return { ...result, import: 'car' }
+}
+
+/**
+ * Returns the user metadata of stored content, without the keys set by the
+ * client and the service.
+ *
+ * @param {Record<string, string>} [metadata]
+ * @returns {Record<string, string>}
+ */
+export const fromCarMetadata = (metadata = {}) =>
+  Object.fromEntries(
+    Object.entries(metadata).filter(([key]) => !RESERVED_METADATA.has(key))
+  )
+
+/**
+ * Converts tags into an S3 tag set.
+ *
+ * @param {Record<string, string>} tags
+ * @returns {Array<{ Key: string, Value: string }>}
+ */
+export const toTagSet = (tags) => {
+  const entries = Object.entries(tags)
+  if (entries.length > MAX_TAGS) {
+    throw new RangeError(`At most ${MAX_TAGS} tags can be set, got ${entries.length}`)
+  }
+  return entries.map(([key, value]) => {
+    if (key === '' || key.length > MAX_TAG_KEY_LENGTH) {
+      throw new RangeError(`Tag keys must be 1 to ${MAX_TAG_KEY_LENGTH} characters, got "${key}"`)
+    }
+    if (typeof value !== 'string' || value.length > MAX_TAG_VALUE_LENGTH) {
+      throw new RangeError(`Tag "${key}" must be a string of at most ${MAX_TAG_VALUE_LENGTH} characters`)
+    }
+    return { Key: key, Value: value }
+  })
+}
+
+/**
+ * Converts tags into the query string format of the `x-amz-tagging` header,
+ * which is how tags are set when a multipart upload is created.
+ *
+ * @param {Record<string, string>} tags
+ * @returns {string}
+ */
+export const toTagging = (tags) =>
+  toTagSet(tags)
+    .map(({ Key, Value }) => `${encodeURIComponent(Key)}=${encodeURIComponent(Value)}`)
+    .join('&')
+
+/**
+ * @param {Array<{ Key?: string, Value?: string }>} [tagSet]
+ * @returns {Record<string, string>}
+ */
+export const fromTagSet = (tagSet = []) =>
+  Object.fromEntries(tagSet.map(({ Key = '', Value = '' }) => [Key, Value]))
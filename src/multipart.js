@@ -0,0 +1,320 @@
+import {
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  ListPartsCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} from '@aws-sdk/client-s3'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { base64pad } from 'multiformats/bases/base64'
+import { throwIfAborted, toAbortError } from './abort.js'
+import { ServiceError, NotFoundError, BucketNotFoundError } from './errors.js'
+
+/**
+ * Smallest part size S3 accepts for every part except the last one.
+ */
+export const MIN_PART_SIZE = 5 * 1024 * 1024
+export const DEFAULT_PART_SIZE = 10 * 1024 * 1024
+
+/**
+ * @typedef {import('@aws-sdk/client-s3').S3Client} S3Client
+ * @typedef {import('./lib/interface.js').UploadState} UploadState
+ * @typedef {import('./lib/interface.js').UploadStateStore} UploadStateStore
+ * @typedef {import('./lib/interface.js').UploadedPart} UploadedPart
+ */
+
+/**
+ * Uploads the body as a multipart upload whose progress is saved to the given
+ * state store after every part. If the store already holds the state of an
+ * unfinished upload for the same object, parts that were already uploaded are
+ * skipped and the upload continues from there. Parts are only skipped if the
+ * body produces the same bytes for them as before and the service holds the
+ * part that was uploaded for them, other parts are uploaded again.
+ *
+ * Parts are left on the service if the upload fails, so that it can be
+ * resumed later. Aborting through the signal is taken as giving up on the
+ * upload: the multipart upload is aborted on the service and its saved state
+ * is removed.
+ *
+ * @param {object} options
+ * @param {S3Client} options.client
+ * @param {string | undefined} options.bucket
+ * @param {string} options.key
+ * @param {AsyncIterable<Uint8Array>} options.body
+ * @param {Record<string, string>} options.metadata
+ * @param {string} [options.tagging] Tags in the format of the `x-amz-tagging` header.
+ * @param {UploadStateStore} options.store
+ * @param {number} [options.partSize]
+ * @param {number} [options.queueSize]
+ * @param {(part: UploadedPart) => void} [options.onPart]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<void>}
+ */
+export const resumableUpload = async ({
+  client,
+  bucket,
+  key,
+  body,
+  metadata,
+  tagging,
+  store,
+  partSize = DEFAULT_PART_SIZE,
+  queueSize = 1,
+  onPart,
+  signal,
+}) => {
+  if (partSize < MIN_PART_SIZE) {
+    throw new RangeError(`Part size must be at least ${MIN_PART_SIZE} bytes`)
+  }
+  throwIfAborted(signal)
+
+  const stateKey = `${bucket}/${key}`
+  const state = await resumeState(client, bucket, key, await store.get(stateKey), signal)
+    || await createState(client, bucket, key, { metadata, tagging }, partSize, signal)
+  await store.set(stateKey, state)
+
+  try {
+    await uploadParts({ client, bucket, key, body, store, stateKey, state, queueSize, onPart, signal })
+  } catch (error) {
+    if (signal && signal.aborted) {
+      // Best effort, the upload is left to expire if aborting fails as well
+      await client
+        .send(
+          new AbortMultipartUploadCommand({
+            Bucket: bucket,
+            Key: key,
+            UploadId: state.uploadId,
+          })
+        )
+        .catch(() => {})
+      await store.delete(stateKey)
+    }
+    throw toAbortError(error, signal)
+  }
+  await store.delete(stateKey)
+}
+
+/**
+ * Uploads the parts that are missing from the state and completes the
+ * multipart upload.
+ *
+ * @param {object} options
+ * @param {S3Client} options.client
+ * @param {string | undefined} options.bucket
+ * @param {string} options.key
+ * @param {AsyncIterable<Uint8Array>} options.body
+ * @param {UploadStateStore} options.store
+ * @param {string} options.stateKey
+ * @param {UploadState} options.state
+ * @param {number} options.queueSize
+ * @param {(part: UploadedPart) => void} [options.onPart]
+ * @param {AbortSignal} [options.signal]
+ */
+const uploadParts = async ({
+  client,
+  bucket,
+  key,
+  body,
+  store,
+  stateKey,
+  state,
+  queueSize,
+  onPart,
+  signal,
+}) => {
+
+  /** @type {Map<number, UploadedPart>} */
+  const parts = new Map(state.parts.map((part) => [part.PartNumber, part]))
+  let saving = Promise.resolve()
+  const save = () => {
+    saving = saving.then(() =>
+      store.set(stateKey, { ...state, parts: [...parts.values()] })
+    )
+    return saving
+  }
+
+  /** @type {Set<Promise<void>>} */
+  const inFlight = new Set()
+  /** @type {unknown} */
+  let failure
+
+  let partNumber = 0
+  for await (const bytes of chunk(body, state.partSize)) {
+    throwIfAborted(signal)
+    partNumber++
+    const uploaded = parts.get(partNumber)
+    const checksum = await checksumOf(bytes)
+    if (uploaded && uploaded.Size === bytes.byteLength && uploaded.ChecksumSHA256 === checksum) {
+      continue
+    }
+
+    const PartNumber = partNumber
+    const upload = client
+      .send(
+        new UploadPartCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: state.uploadId,
+          PartNumber,
+          Body: bytes,
+        }),
+        { abortSignal: signal }
+      )
+      .then(async ({ ETag }) => {
+        const part = { PartNumber, ETag, Size: bytes.byteLength, ChecksumSHA256: checksum }
+        parts.set(PartNumber, part)
+        await save()
+        onPart && onPart(part)
+      })
+      .catch((error) => {
+        failure = failure || error
+      })
+      .finally(() => {
+        inFlight.delete(upload)
+      })
+    inFlight.add(upload)
+
+    if (inFlight.size >= queueSize) {
+      await Promise.race(inFlight)
+    }
+    if (failure) {
+      break
+    }
+  }
+
+  await Promise.all(inFlight)
+  if (failure) {
+    throw failure
+  }
+
+  await client.send(
+    new CompleteMultipartUploadCommand({
+      Bucket: bucket,
+      Key: key,
+      UploadId: state.uploadId,
+      MultipartUpload: {
+        Parts: [...parts.values()]
+          .filter((part) => part.PartNumber <= partNumber)
+          .sort((a, b) => a.PartNumber - b.PartNumber)
+          .map(({ PartNumber, ETag }) => ({ PartNumber, ETag })),
+      },
+    }),
+    { abortSignal: signal }
+  )
+}
+
+/**
+ * Starts a new multipart upload.
+ *
+ * @param {S3Client} client
+ * @param {string | undefined} bucket
+ * @param {string} key
+ * @param {{ metadata: Record<string, string>, tagging?: string }} object
+ * @param {number} partSize
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<UploadState>}
+ */
+const createState = async (client, bucket, key, { metadata, tagging }, partSize, signal) => {
+  const { UploadId } = await client.send(
+    new CreateMultipartUploadCommand({
+      Bucket: bucket,
+      Key: key,
+      Metadata: metadata,
+      Tagging: tagging || undefined,
+    }),
+    { abortSignal: signal }
+  )
+  if (typeof UploadId === 'undefined') {
+    throw new ServiceError(`No Upload ID Returned from Remote`, { code: 'INVALID_RESPONSE' })
+  }
+  return { uploadId: UploadId, partSize, parts: [] }
+}
+
+/**
+ * Checks a saved upload state against the parts the service actually holds,
+ * keeping the saved parts the service holds with the same ETag. Returns
+ * `null` if the upload no longer exists and has to be started over.
+ *
+ * @param {S3Client} client
+ * @param {string | undefined} bucket
+ * @param {string} key
+ * @param {UploadState | undefined} saved
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<UploadState | null>}
+ */
+const resumeState = async (client, bucket, key, saved, signal) => {
+  if (!saved) {
+    return null
+  }
+
+  const savedParts = new Map(saved.parts.map((part) => [part.PartNumber, part]))
+  /** @type {UploadedPart[]} */
+  const parts = []
+  /** @type {string | undefined} */
+  let marker
+  try {
+    do {
+      const page = await client.send(
+        new ListPartsCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: saved.uploadId,
+          PartNumberMarker: marker,
+        }),
+        { abortSignal: signal }
+      )
+      for (const { PartNumber, ETag, Size } of page.Parts || []) {
+        const part = typeof PartNumber === 'number' ? savedParts.get(PartNumber) : undefined
+        if (part && part.ETag === ETag && part.Size === Size) {
+          parts.push(part)
+        }
+      }
+      marker = page.IsTruncated ? page.NextPartNumberMarker : undefined
+    } while (marker)
+  } catch (error) {
+    // The upload was completed or aborted in the meantime
+    if (error instanceof NotFoundError && !(error instanceof BucketNotFoundError)) {
+      return null
+    }
+    throw error
+  }
+
+  return { ...saved, parts }
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Promise<string>}
+ */
+const checksumOf = async (bytes) =>
+  base64pad.baseEncode((await sha256.digest(bytes)).digest)
+
+/**
+ * Re-chunks a byte stream into chunks of exactly `size` bytes, except for
+ * the last one which may be smaller.
+ *
+ * @param {AsyncIterable<Uint8Array>} source
+ * @param {number} size
+ * @returns {AsyncIterable<Uint8Array>}
+ */
+export async function* chunk(source, size) {
+  let buffer = new Uint8Array(size)
+  let offset = 0
+  for await (const bytes of source) {
+    let position = 0
+    while (position < bytes.byteLength) {
+      const length = Math.min(size - offset, bytes.byteLength - position)
+      buffer.set(bytes.subarray(position, position + length), offset)
+      offset += length
+      position += length
+      if (offset === size) {
+        yield buffer
+        buffer = new Uint8Array(size)
+        offset = 0
+      }
+    }
+  }
+  if (offset > 0) {
+    yield buffer.subarray(0, offset)
+  }
+}
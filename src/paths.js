@@ -0,0 +1,106 @@
+import { EmptyContentError, InvalidPathError } from './errors.js'
+
+/**
+ * @typedef {import('./lib/interface.js').FileObject} FileObject
+ * @typedef {import('./lib/interface.js').FilesSource} FilesSource
+ */
+
+/**
+ * Reads all files from the source and works out the path each of them gets
+ * in the directory. Paths are normalised (Windows separators, leading
+ * slashes and `.` segments) and the directories all files have in common are
+ * kept, unless `keepTopLevel` is `false` in which case they are stripped.
+ * Invalid, duplicate or conflicting paths, and a mix of absolute and
+ * relative ones, are rejected with an `InvalidPathError`.
+ *
+ * @param {FilesSource} files
+ * @param {object} [options]
+ * @param {boolean} [options.keepTopLevel]
+ * @returns {Promise<Array<{ path: string, file: File | FileObject }>>}
+ */
+export const toDirectoryEntries = async (files, { keepTopLevel = true } = {}) => {
+  /** @type {Array<{ segments: string[], file: File | FileObject }>} */
+  const entries = []
+  /** @type {Set<boolean>} */
+  const absolute = new Set()
+  for await (const file of files) {
+    entries.push({ segments: toSegments(file.name, entries.length), file })
+    absolute.add(/^[\\/]/.test(file.name))
+  }
+  if (entries.length === 0) {
+    throw new EmptyContentError('No files provided, make sure to provide some content')
+  }
+  if (absolute.size > 1) {
+    throw new InvalidPathError('Invalid paths: names must be either all absolute or all relative')
+  }
+
+  const common = keepTopLevel ? 0 : commonDirectory(entries.map(({ segments }) => segments))
+
+  /** @type {Set<string>} */
+  const filePaths = new Set()
+  /** @type {Set<string>} */
+  const directories = new Set()
+  const result = entries.map(({ segments, file }) => {
+    const path = segments.slice(common).join('/')
+    if (filePaths.has(path)) {
+      throw new InvalidPathError(`Duplicate path "${path}" in directory`)
+    }
+    filePaths.add(path)
+    for (let end = common + 1; end < segments.length; end++) {
+      directories.add(segments.slice(common, end).join('/'))
+    }
+    return { path, file }
+  })
+
+  for (const path of filePaths) {
+    if (directories.has(path)) {
+      throw new InvalidPathError(`Path "${path}" is used for both a file and a directory`)
+    }
+  }
+  return result
+}
+
+/**
+ * @param {unknown} name
+ * @param {number} index
+ * @returns {string[]}
+ */
+const toSegments = (name, index) => {
+  if (typeof name !== 'string' || name === '') {
+    throw new TypeError(`File at index ${index} has no name`)
+  }
+  const segments = name
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter((segment) => segment !== '' && segment !== '.')
+  if (segments.includes('..')) {
+    throw new InvalidPathError(`Invalid path "${name}": paths must not contain ".." segments`)
+  }
+  if (segments.length === 0) {
+    throw new InvalidPathError(`Invalid path "${name}": it does not name a file`)
+  }
+  return segments
+}
+
+/**
+ * Number of leading directories shared by every path.
+ *
+ * @param {string[][]} paths
+ */
+const commonDirectory = (paths) => {
+  const [first, ...rest] = paths
+  if (!first) {
+    return 0
+  }
+  // The last segment of each path is the file name, never a directory
+  let length = first.length - 1
+  for (const segments of rest) {
+    length = Math.min(length, segments.length - 1)
+    let shared = 0
+    while (shared < length && segments[shared] === first[shared]) {
+      shared++
+    }
+    length = shared
+  }
+  return length
+}
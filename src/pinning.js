@@ -0,0 +1,325 @@
+import { fetch } from './platform.js'
+import { createToken } from './credentials.js'
+import {
+  AuthenticationError,
+  NotFoundError,
+  QuotaExceededError,
+  ServiceError,
+} from './errors.js'
+
+export const PINNING_ENDPOINT = 'https://api.filebase.io/v1/ipfs'
+
+const MAX_LIST_PAGE_SIZE = 1000
+
+/**
+ * @typedef {import('./lib/interface.js').PinningService} PinningService
+ * @typedef {import('./lib/interface.js').PinRequest} PinRequest
+ * @typedef {import('./lib/interface.js').PinOptions} PinOptions
+ * @typedef {import('./lib/interface.js').PinListOptions} PinListOptions
+ */
+
+/**
+ * A client for the [IPFS Pinning Service API](https://ipfs.github.io/pinning-services-api-spec/)
+ * that allows content that is already available on the IPFS network to be
+ * pinned by reference, without uploading it.
+ */
+class PinningClient {
+  /**
+   * Constructs a client bound to the given `options.token` and
+   * `options.endpoint`.
+   *
+   * @example
+   * ```js
+   * import { PinningClient } from "@filebase/client"
+   * const pins = new PinningClient({ token: API_TOKEN })
+   *
+   * const request = await pins.add('bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi')
+   * ```
+   *
+   * @param {PinningService} options
+   */
+  constructor({ token, endpoint = PINNING_ENDPOINT, fetch }) {
+    this.token = token
+    this.endpoint = endpoint
+    this.fetch = fetch
+  }
+
+  /**
+   * Requests that the given CID is pinned. Returns the pin request, which can
+   * be polled with `get` until its status is `pinned` or `failed`.
+   *
+   * @param {PinningService} service
+   * @param {string} cid
+   * @param {PinOptions} [options]
+   * @returns {Promise<PinRequest>}
+   */
+  static async add(service, cid, { name, origins, meta } = {}) {
+    const pinStatus = await request(service, 'POST', '/pins', {
+      cid,
+      name,
+      origins,
+      meta,
+    })
+    return toPinRequest(pinStatus)
+  }
+
+  /**
+   * Lists pin requests matching the given filters, most recently created
+   * first, paging through the results as they are consumed.
+   *
+   * @param {PinningService} service
+   * @param {PinListOptions} [options]
+   * @returns {AsyncIterable<PinRequest>}
+   */
+  static async *ls(
+    service,
+    { cid, name, match, status, before, after, limit, meta } = {}
+  ) {
+    let remaining = typeof limit === 'number' ? limit : Infinity
+    // Pins are paged by their creation time. As several pins may share one,
+    // every page after the first also asks for the pins created at the time
+    // of the last one seen and skips those that were already yielded.
+    let cursor = before && new Date(before)
+    let inclusive = false
+    /** @type {Set<string>} */
+    let seen = new Set()
+
+    while (remaining > 0) {
+      const query = new URLSearchParams()
+      cid && query.set('cid', joinList(cid))
+      name && query.set('name', name)
+      match && query.set('match', match)
+      status && query.set('status', joinList(status))
+      cursor && query.set('before', new Date(cursor.getTime() + (inclusive ? 1 : 0)).toISOString())
+      after && query.set('after', new Date(after).toISOString())
+      meta && query.set('meta', JSON.stringify(meta))
+      const pageSize = Math.min(remaining + seen.size, MAX_LIST_PAGE_SIZE)
+      query.set('limit', String(pageSize))
+
+      /** @type {{ count: number, results: any[] }} */
+      const page = await request(service, 'GET', `/pins?${query}`)
+      let yielded = 0
+      for (const pinStatus of page.results) {
+        const pin = toPinRequest(pinStatus)
+        if (seen.has(pin.requestid)) {
+          continue
+        }
+        if (!cursor || pin.created.getTime() !== cursor.getTime()) {
+          cursor = pin.created
+          seen = new Set()
+        }
+        seen.add(pin.requestid)
+        inclusive = true
+        yield pin
+        yielded++
+        if (--remaining === 0) {
+          return
+        }
+      }
+
+      if (page.results.length < pageSize) {
+        return
+      }
+      if (yielded === 0) {
+        // More pins share a creation time than fit in a page, so the rest of
+        // them can only be skipped
+        inclusive = false
+        seen = new Set()
+      }
+    }
+  }
+
+  /**
+   * Returns the current state of a pin request.
+   *
+   * @param {PinningService} service
+   * @param {string} requestid
+   * @returns {Promise<PinRequest>}
+   */
+  static async get(service, requestid) {
+    const pinStatus = await request(
+      service,
+      'GET',
+      `/pins/${encodeURIComponent(requestid)}`
+    )
+    return toPinRequest(pinStatus)
+  }
+
+  /**
+   * Removes a pin request. The content is unpinned from the service.
+   *
+   * @param {PinningService} service
+   * @param {string} requestid
+   * @returns {Promise<void>}
+   */
+  static async remove(service, requestid) {
+    await request(service, 'DELETE', `/pins/${encodeURIComponent(requestid)}`)
+  }
+
+  /**
+   * Requests that the given CID is pinned.
+   *
+   * @example
+   * ```js
+   * const request = await pins.add(cid, {
+   *   name: 'backup',
+   *   origins: ['/ip4/203.0.113.1/tcp/4001/p2p/QmSourcePeerId']
+   * })
+   * request.status //> 'queued'
+   * ```
+   *
+   * @param {string} cid
+   * @param {PinOptions} [options]
+   */
+  add(cid, options) {
+    return PinningClient.add(this, cid, options)
+  }
+
+  /**
+   * Lists pin requests, most recently created first.
+   *
+   * @example
+   * ```js
+   * for await (const pin of pins.ls({ status: ['queued', 'pinning'] })) {
+   *   console.log(pin.requestid, pin.cid, pin.status)
+   * }
+   * ```
+   *
+   * @param {PinListOptions} [options]
+   */
+  ls(options) {
+    return PinningClient.ls(this, options)
+  }
+
+  /**
+   * Returns the current state of a pin request.
+   *
+   * @example
+   * ```js
+   * const { status } = await pins.get(request.requestid)
+   * ```
+   *
+   * @param {string} requestid
+   */
+  get(requestid) {
+    return PinningClient.get(this, requestid)
+  }
+
+  /**
+   * Removes a pin request.
+   *
+   * @example
+   * ```js
+   * await pins.remove(request.requestid)
+   * ```
+   *
+   * @param {string} requestid
+   */
+  remove(requestid) {
+    return PinningClient.remove(this, requestid)
+  }
+}
+
+/**
+ * Sends a request to the pinning service and returns the parsed JSON body.
+ *
+ * @param {PinningService} service
+ * @param {string} method
+ * @param {string} path
+ * @param {object} [body]
+ * @returns {Promise<any>}
+ */
+const request = async (
+  { endpoint = PINNING_ENDPOINT, token, fetch: fetchResponse = fetch },
+  method,
+  path,
+  body
+) => {
+  const response = await fetchResponse(new URL(`${endpoint.replace(/\/$/, '')}${path}`).href, {
+    method,
+    headers: {
+      Authorization: `Bearer ${encodeToken(token)}`,
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  })
+
+  if (!response.ok) {
+    /** @type {{ error?: { reason?: string, details?: string } }} */
+    const failure = await response.json().catch(() => ({}))
+    const reason = (failure.error && failure.error.reason) || response.statusText
+    const details = failure.error && failure.error.details
+    throw toPinningError(
+      details ? `${reason}: ${details}` : reason,
+      response.status,
+      failure.error && failure.error.reason
+    )
+  }
+
+  // Removing a pin is acknowledged with an empty body
+  const text = await response.text()
+  return text ? JSON.parse(text) : undefined
+}
+
+/**
+ * Maps an error response of the pinning service onto the matching error
+ * class by its status.
+ *
+ * @param {string} message
+ * @param {number} status
+ * @param {string} [reason]
+ */
+const toPinningError = (message, status, reason) => {
+  if (status === 401 || status === 403) {
+    return new AuthenticationError(message)
+  }
+  if (status === 404) {
+    return new NotFoundError(message)
+  }
+  if (reason === 'INSUFFICIENT_FUNDS') {
+    return new QuotaExceededError(message)
+  }
+  return new ServiceError(message, { code: reason, status })
+}
+
+/**
+ * @param {string | string[]} value
+ * @returns {string}
+ */
+const joinList = (value) => (Array.isArray(value) ? value.join(',') : value)
+
+/**
+ * Maps a `PinStatus` object returned by the pinning service to a `PinRequest`.
+ *
+ * @param {any} pinStatus
+ * @returns {PinRequest}
+ */
+const toPinRequest = ({ requestid, status, created, pin, delegates, info }) => ({
+  requestid,
+  cid: pin.cid,
+  name: pin.name,
+  status,
+  created: new Date(created),
+  origins: pin.origins || [],
+  meta: pin.meta || {},
+  delegates: delegates || [],
+  info: info || {},
+})
+
+/**
+ * Returns the bearer token for the pinning service, which is the same base64
+ * encoded `key:secret:bucket` token used for the S3 API.
+ *
+ * @param {string | string[]} token
+ * @returns {string}
+ */
+const encodeToken = (token) => {
+  if (!Array.isArray(token)) {
+    return token
+  }
+  // Missing parts are rejected by createToken
+  const [key = '', secret = '', bucket = ''] = token
+  return createToken(key, secret, bucket)
+}
+
+export { PinningClient }
@@ -1,8 +1,27 @@
-import fetch, { Request, Response, Headers } from '@web-std/fetch'
+import * as webFetch from '@web-std/fetch'
 import { FormData } from '@web-std/form-data'
 import { ReadableStream } from '@web-std/blob'
 import { File, Blob } from '@web-std/file'
 import { FsBlockStore as Blockstore } from 'ipfs-car/blockstore/fs'
+import { FileUploadStateStore as UploadStateStore } from './fs-upload-state.js'
+import { filesFromPaths, readFileStream } from './fs-files.js'
+import { getEnv, readConfigFile, DEFAULT_CONFIG_FILE } from './fs-config.js'
+import { Readable } from 'stream'
+
+/**
+ * Turns content into a body the S3 client can upload in Node.js.
+ *
+ * @param {AsyncIterable<Uint8Array>} source
+ * @returns {Readable}
+ */
+const toUploadBody = (source) => Readable.from(source)
+
+// The built-in fetch of Node.js 18+ is preferred, as the polyfill does not
+// work on recent versions of Node.js.
+const fetch = globalThis.fetch ? globalThis.fetch.bind(globalThis) : webFetch.default
+const Request = globalThis.Request || webFetch.Request
+const Response = globalThis.Response || webFetch.Response
+const Headers = globalThis.Headers || webFetch.Headers
 
 export {
   fetch,
@@ -14,4 +33,11 @@ export {
   File,
   ReadableStream,
   Blockstore,
+  UploadStateStore,
+  filesFromPaths,
+  readFileStream,
+  getEnv,
+  readConfigFile,
+  DEFAULT_CONFIG_FILE,
+  toUploadBody,
 }
@@ -1,4 +1,6 @@
 import { MemoryBlockStore } from 'ipfs-car/blockstore/memory'
+import { MemoryUploadStateStore } from './upload-state.js'
+import { toReadableStream } from './streams.js'
 
 export const fetch = globalThis.fetch
 export const FormData = globalThis.FormData
@@ -9,3 +11,24 @@ export const Blob = globalThis.Blob
 export const File = globalThis.File
 export const ReadableStream = globalThis.ReadableStream
 export const Blockstore = MemoryBlockStore
+export const UploadStateStore = MemoryUploadStateStore
+export const DEFAULT_CONFIG_FILE = '~/.filebase/config'
+
+export const toUploadBody = (
+  source: AsyncIterable<Uint8Array>
+): ReadableStream<Uint8Array> => toReadableStream(source)
+
+export const getEnv = (): Record<string, string | undefined> => ({})
+
+export const readConfigFile = (_file: string): string | undefined => undefined
+
+export const readFileStream = (_file: string): AsyncIterable<Uint8Array> => {
+  throw new Error('Reading files from paths is only available in Node.js')
+}
+
+export async function* filesFromPaths(
+  _paths: string[],
+  _options?: import('./lib/interface.js').FilesFromPathsOptions
+): AsyncIterable<import('./lib/interface.js').FileObject> {
+  throw new Error('filesFromPaths is only available in Node.js')
+}
@@ -1,4 +1,6 @@
 import { MemoryBlockStore } from 'ipfs-car/blockstore/memory'
+import { MemoryUploadStateStore } from './upload-state.js'
+import { toReadableStream } from './streams.js'
 
 export const fetch = globalThis.fetch
 export const FormData = globalThis.FormData
@@ -9,3 +11,46 @@ export const Blob = globalThis.Blob
 export const File = globalThis.File
 export const ReadableStream = globalThis.ReadableStream
 export const Blockstore = MemoryBlockStore
+export const UploadStateStore = MemoryUploadStateStore
+export const DEFAULT_CONFIG_FILE = '~/.filebase/config'
+
+/**
+ * Turns content into a body the S3 client can upload, which is a web
+ * `ReadableStream` in browsers and workers.
+ *
+ * @param {AsyncIterable<Uint8Array>} source
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export const toUploadBody = (source) => toReadableStream(source)
+
+/**
+ * There are no environment variables in browsers.
+ *
+ * @returns {Record<string, string | undefined>}
+ */
+export const getEnv = () => ({})
+
+/**
+ * There are no config files in browsers.
+ *
+ * @param {string} _file
+ * @returns {string | undefined}
+ */
+export const readConfigFile = (_file) => undefined
+
+/**
+ * @param {string} _file
+ * @returns {AsyncIterable<Uint8Array>}
+ */
+export const readFileStream = (_file) => {
+  throw new Error('Reading files from paths is only available in Node.js')
+}
+
+/**
+ * @param {string[]} _paths
+ * @param {import('./lib/interface.js').FilesFromPathsOptions} [_options]
+ * @returns {AsyncIterable<import('./lib/interface.js').FileObject>}
+ */
+export async function* filesFromPaths(_paths, _options) {
+  throw new Error('filesFromPaths is only available in Node.js')
+}
@@ -0,0 +1,291 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  HeadObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} from '@aws-sdk/client-s3'
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
+import { CID } from 'multiformats/cid'
+import { fetch, Blob } from './platform.js'
+import { resolveService } from './service.js'
+import { throwIfAborted, toAbortError } from './abort.js'
+import { CidMismatchError, InvalidCarError, ServiceError, toServiceError } from './errors.js'
+import { toCarMetadata, toTagging } from './metadata.js'
+import { chunk, DEFAULT_PART_SIZE, MIN_PART_SIZE } from './multipart.js'
+import { peekCarHeader } from './car-header.js'
+import { iterate } from './streams.js'
+
+/**
+ * @typedef {import('./lib/interface.js').Service} Service
+ * @typedef {import('./lib/interface.js').PresignedUpload} PresignedUpload
+ * @typedef {import('./lib/interface.js').PresignedUploadOptions} PresignedUploadOptions
+ * @typedef {import('./lib/interface.js').PresignedStoreOptions} PresignedStoreOptions
+ */
+
+const DEFAULT_EXPIRES_IN = 60 * 60
+const MAX_PARTS = 10000
+const MAX_CONCURRENT_PARTS = 4
+
+/**
+ * Creates presigned URLs for uploading a CAR to the given object name, for
+ * use where the credentials can not be, such as in browsers. CARs of up to
+ * `options.partSize` bytes are uploaded with a single PUT, larger ones with a
+ * multipart upload that is started right away. The upload is stored with the
+ * `import: car` metadata and can be completed with `uploadToPresignedUrls`.
+ *
+ * The result only holds strings and numbers, so it can be sent to the
+ * browser as JSON.
+ *
+ * @param {Service} service
+ * @param {string} key
+ * @param {PresignedUploadOptions} options
+ * @returns {Promise<PresignedUpload>}
+ */
+export const createPresignedUpload = async (
+  service,
+  key,
+  {
+    size,
+    partSize = DEFAULT_PART_SIZE,
+    expiresIn = DEFAULT_EXPIRES_IN,
+    metadata,
+    tags,
+    signal,
+  }
+) => {
+  if (!Number.isInteger(size) || size < 1) {
+    throw new TypeError(`CAR size must be a positive integer, got ${size}`)
+  }
+  if (partSize < MIN_PART_SIZE) {
+    throw new RangeError(`Part size must be at least ${MIN_PART_SIZE} bytes`)
+  }
+  const partCount = Math.ceil(size / partSize)
+  if (partCount > MAX_PARTS) {
+    throw new RangeError(`CAR of ${size} bytes needs more than ${MAX_PARTS} parts of ${partSize} bytes`)
+  }
+
+  throwIfAborted(signal)
+  const { client, bucket, s3config } = resolveService(service)
+  const object = { Bucket: bucket, Key: key }
+  const tagging = tags ? toTagging(tags) : undefined
+  // URLs are signed by a client of their own, as by default the SDK adds the
+  // checksum of an empty body to the query string of uploads, which the
+  // uploaded content would then not match
+  const signer = new S3Client({ ...s3config, requestChecksumCalculation: 'WHEN_REQUIRED' })
+  /**
+   * @param {any} command
+   * @returns {Promise<string>}
+   */
+  const sign = (command) => getSignedUrl(signer, command, { expiresIn })
+
+  const expires = new Date(Date.now() + expiresIn * 1000).toISOString()
+  const status = await sign(new HeadObjectCommand(object))
+
+  if (partCount === 1) {
+    // Metadata and tagging headers are moved into the query string of the
+    // URL, so uploading only takes the body
+    const url = await sign(
+      new PutObjectCommand({ ...object, Metadata: toCarMetadata(metadata), Tagging: tagging })
+    )
+    return { type: 'single', key, expires, url, partSize, status }
+  }
+
+  const { UploadId } = await client
+    .send(
+      new CreateMultipartUploadCommand({ ...object, Metadata: toCarMetadata(metadata), Tagging: tagging }),
+      { abortSignal: signal }
+    )
+    .catch((error) => { throw toAbortError(error, signal) })
+  if (typeof UploadId === 'undefined') {
+    throw new ServiceError(`No Upload ID Returned from Remote`, { code: 'INVALID_RESPONSE' })
+  }
+
+  const upload = { ...object, UploadId }
+  /** @type {string[]} */
+  const parts = []
+  for (let PartNumber = 1; PartNumber <= partCount; PartNumber++) {
+    parts.push(await sign(new UploadPartCommand({ ...upload, PartNumber })))
+  }
+
+  return {
+    type: 'multipart',
+    key,
+    expires,
+    uploadId: UploadId,
+    partSize,
+    parts,
+    complete: await sign(new CompleteMultipartUploadCommand(upload)),
+    abort: await sign(new AbortMultipartUploadCommand(upload)),
+    status,
+  }
+}
+
+/**
+ * Uploads a CAR to URLs created by `createPresignedUpload` and returns the
+ * CID the service reports for it, which is checked against the root of the
+ * CAR. Needs no credentials, so it can run in browsers. The bucket must allow
+ * the origin through CORS and expose the `ETag` and `x-amz-meta-cid` headers.
+ * A CAR larger than the upload was created for is rejected with a
+ * `RangeError`.
+ *
+ * If a multipart upload fails it is aborted, so the URLs can not be used
+ * again.
+ *
+ * @param {AsyncIterable<Uint8Array> | Blob} car
+ * @param {PresignedUpload} upload
+ * @param {PresignedStoreOptions} [options]
+ * @returns {Promise<string>}
+ */
+export const uploadToPresignedUrls = async (
+  car,
+  upload,
+  { onStoredChunk, signal, fetch: fetchResponse = fetch } = {}
+) => {
+  throwIfAborted(signal)
+  const peeked = await peekCarHeader(
+    iterate('stream' in car ? /** @type {ReadableStream<Uint8Array>} */ (car.stream()) : car)
+  )
+  const { roots } = peeked.header
+  if (roots.length !== 1) {
+    throw new InvalidCarError(`CAR must have exactly one root to be stored, got ${roots.length}`)
+  }
+  const [root] = /** @type {[CID]} */ (roots)
+
+  try {
+    if (upload.type === 'single') {
+      /** @type {Uint8Array[]} */
+      const chunks = []
+      let size = 0
+      for await (const bytes of peeked.car) {
+        throwIfAborted(signal)
+        size += bytes.byteLength
+        if (size > upload.partSize) {
+          throw new RangeError(`CAR is larger than the ${upload.partSize} bytes the upload was created for`)
+        }
+        chunks.push(bytes)
+      }
+      await send(fetchResponse, upload.url, { method: 'PUT', body: new Blob(chunks), signal })
+      onStoredChunk && onStoredChunk(size)
+    } else {
+      await uploadParts(peeked.car, upload, { onStoredChunk, signal, fetch: fetchResponse })
+    }
+  } catch (error) {
+    throw toAbortError(error, signal)
+  }
+
+  const response = await send(fetchResponse, upload.status, { method: 'HEAD', signal })
+  const cid = response.headers.get('x-amz-meta-cid')
+  if (!cid) {
+    throw new ServiceError(
+      `No CID Returned from Remote, the bucket must expose the x-amz-meta-cid header through CORS`,
+      { code: 'INVALID_RESPONSE', requestId: response.headers.get('x-amz-request-id') || undefined }
+    )
+  }
+  if (!CID.parse(cid).toV1().equals(root.toV1())) {
+    throw new CidMismatchError(root.toString(), cid, {
+      requestId: response.headers.get('x-amz-request-id') || undefined,
+    })
+  }
+  return cid
+}
+
+/**
+ * Uploads the parts of a multipart upload, a few at a time, and completes
+ * it. The upload is aborted if any part fails.
+ *
+ * @param {AsyncIterable<Uint8Array>} car
+ * @param {Extract<PresignedUpload, { type: 'multipart' }>} upload
+ * @param {PresignedStoreOptions} options
+ */
+const uploadParts = async (car, upload, { onStoredChunk, signal, fetch: fetchResponse = fetch }) => {
+  /** @type {Array<{ PartNumber: number, ETag: string }>} */
+  const completed = []
+  /** @type {Set<Promise<void>>} */
+  const inFlight = new Set()
+  /** @type {unknown} */
+  let failure
+
+  try {
+    let index = 0
+    for await (const bytes of chunk(car, upload.partSize)) {
+      throwIfAborted(signal)
+      if (failure) {
+        break
+      }
+      if (index >= upload.parts.length) {
+        throw new RangeError(`CAR is larger than the ${upload.parts.length} parts the upload was created for`)
+      }
+      const url = /** @type {string} */ (upload.parts[index])
+      const PartNumber = ++index
+      const part = send(fetchResponse, url, { method: 'PUT', body: bytes, signal })
+        .then((response) => {
+          completed.push({ PartNumber, ETag: response.headers.get('etag') || '' })
+          onStoredChunk && onStoredChunk(bytes.byteLength)
+        })
+        .catch((error) => { failure = failure || error })
+        .finally(() => inFlight.delete(part))
+      inFlight.add(part)
+      if (inFlight.size >= MAX_CONCURRENT_PARTS) {
+        await Promise.race(inFlight)
+      }
+    }
+    await Promise.all(inFlight)
+    if (failure) {
+      throw failure
+    }
+    if (completed.some(({ ETag }) => ETag === '')) {
+      throw new ServiceError(
+        `No ETag Returned from Remote, the bucket must expose the ETag header through CORS`,
+        { code: 'INVALID_RESPONSE' }
+      )
+    }
+
+    const body = [...completed]
+      .sort((a, b) => a.PartNumber - b.PartNumber)
+      .map(({ PartNumber, ETag }) => `<Part><PartNumber>${PartNumber}</PartNumber><ETag>${ETag}</ETag></Part>`)
+      .join('')
+    await send(fetchResponse, upload.complete, {
+      method: 'POST',
+      body: `<CompleteMultipartUpload>${body}</CompleteMultipartUpload>`,
+      signal,
+    })
+  } catch (error) {
+    await Promise.all(inFlight)
+    // Best effort, the upload is left to expire if aborting fails as well
+    await fetchResponse(upload.abort, { method: 'DELETE' }).catch(() => {})
+    throw error
+  }
+}
+
+/**
+ * Sends a request to a presigned URL, turning S3 error responses into the
+ * same errors as those of the S3 client. Completing a multipart upload can
+ * fail with a successful status, so error documents are checked for as well.
+ *
+ * @param {typeof fetch} fetchResponse
+ * @param {string} url
+ * @param {{ method: string, body?: BodyInit, signal?: AbortSignal }} init
+ * @returns {Promise<Response>}
+ */
+const send = async (fetchResponse, url, init) => {
+  const response = await fetchResponse(url, init)
+  const text = init.method === 'POST' || !response.ok ? await response.text() : ''
+  if (response.ok && !text.includes('<Error>')) {
+    return response
+  }
+
+  const code = (text.match(/<Code>([^<]*)<\/Code>/) || [])[1]
+  const message = (text.match(/<Message>([^<]*)<\/Message>/) || [])[1]
+  throw toServiceError({
+    name: code || 'UnknownError',
+    Code: code,
+    message: message || `Request failed with status ${response.status}`,
+    $metadata: {
+      httpStatusCode: response.ok ? 500 : response.status,
+      requestId: response.headers.get('x-amz-request-id') || undefined,
+    },
+  })
+}
@@ -0,0 +1,198 @@
+import { iterate } from './streams.js'
+
+/**
+ * @typedef {import('./lib/interface.js').ProgressEvent} ProgressEvent
+ * @typedef {(event: ProgressEvent) => void} ProgressHandler
+ * @typedef {import('@aws-sdk/client-s3').S3Client} S3Client
+ */
+
+/**
+ * Reports the progress of encoding files into a DAG. Bytes are counted as
+ * the importer reads them from the files.
+ */
+export class EncodeProgress {
+  /**
+   * @param {ProgressHandler} onProgress
+   * @param {number} [total] Total bytes of all files, if known up front.
+   */
+  constructor(onProgress, total) {
+    /**
+     * @private
+     */
+    this._onProgress = onProgress
+    this.total = total
+    this.processed = 0
+  }
+
+  /**
+   * Passes the content of a file through, reporting when it starts being
+   * read and every chunk read from it.
+   *
+   * @param {string} path
+   * @param {number} size
+   * @param {AsyncIterable<Uint8Array> | ReadableStream<Uint8Array>} content
+   * @returns {AsyncIterable<Uint8Array>}
+   */
+  async *track(path, size, content) {
+    const { total, processed } = this
+    this._onProgress({ type: 'encode:file-start', path, size, total, processed })
+    for await (const chunk of iterate(content)) {
+      this.processed += chunk.byteLength
+      this._onProgress({
+        type: 'encode:bytes',
+        path,
+        bytes: chunk.byteLength,
+        total: this.total,
+        processed: this.processed,
+      })
+      yield chunk
+    }
+  }
+
+  /**
+   * @param {import('multiformats').CID} cid
+   */
+  done(cid) {
+    const { total, processed } = this
+    this._onProgress({ type: 'encode:done', cid: cid.toString(), total, processed })
+  }
+}
+
+/**
+ * Reports the progress of uploading a CAR. The total is the size of the CAR
+ * when it is known up front, otherwise it becomes known once the whole CAR
+ * has been read.
+ */
+export class UploadProgress {
+  /**
+   * @param {ProgressHandler} onProgress
+   * @param {number} [total] Size of the CAR, if known up front.
+   */
+  constructor(onProgress, total) {
+    /**
+     * @private
+     */
+    this._onProgress = onProgress
+    this.total = total
+    this.processed = 0
+  }
+
+  /**
+   * Passes the CAR through, counting its bytes to work out the total.
+   *
+   * @param {AsyncIterable<Uint8Array>} car
+   * @returns {AsyncIterable<Uint8Array>}
+   */
+  async *count(car) {
+    let size = 0
+    for await (const chunk of car) {
+      size += chunk.byteLength
+      yield chunk
+    }
+    this.total = size
+  }
+
+  /**
+   * @param {number} bytes Bytes uploaded since the last report.
+   * @param {number} [part] Number of the part that was uploaded.
+   */
+  part(bytes, part) {
+    this.processed += bytes
+    const { total, processed } = this
+    this._onProgress({ type: 'upload:part', part, bytes, total, processed })
+  }
+
+  /**
+   * @param {number} attempt Number of the attempt that is about to be made.
+   * @param {unknown} error Error that made the previous attempt fail.
+   */
+  retry(attempt, error) {
+    const { total, processed } = this
+    this._onProgress({ type: 'upload:retry', attempt, error, total, processed })
+  }
+
+  /**
+   * @param {string} cid
+   */
+  done(cid) {
+    const { total, processed } = this
+    this._onProgress({ type: 'upload:done', cid, total, processed })
+  }
+
+  /**
+   * Reports retries of the requests the client makes for the object until
+   * the returned function is called.
+   *
+   * @param {S3Client} client
+   * @param {string | undefined} bucket
+   * @param {string} key
+   * @returns {() => void}
+   */
+  observe(client, bucket, key) {
+    const observers = retryObservers.get(client)
+    if (!observers) {
+      return () => {}
+    }
+    const id = toObjectId(bucket, key)
+    const uploads = observers.get(id) || new Set()
+    observers.set(id, uploads.add(this))
+    return () => {
+      uploads.delete(this)
+      uploads.size === 0 && observers.delete(id)
+    }
+  }
+}
+
+/**
+ * Uploads observing retries, per client and then per object.
+ *
+ * @type {WeakMap<S3Client, Map<string, Set<UploadProgress>>>}
+ */
+const retryObservers = new WeakMap()
+
+/**
+ * Adds a middleware to the S3 client that reports every request that is
+ * being retried to the uploads observing the object it is for. Clients are
+ * shared by concurrent uploads, so retries are matched to uploads by bucket
+ * and key.
+ *
+ * @param {S3Client} client
+ */
+export const observeRetries = (client) => {
+  /** @type {Map<string, Set<UploadProgress>>} */
+  const observers = new Map()
+  retryObservers.set(client, observers)
+  client.middlewareStack.addRelativeTo(
+    /** @type {import('@aws-sdk/types').FinalizeRequestMiddleware<any, any>} */
+    (next) => {
+      let attempts = 0
+      /** @type {unknown} */
+      let lastError
+      return async (args) => {
+        if (attempts++ > 0) {
+          const { Bucket, Key } = args.input
+          for (const upload of observers.get(toObjectId(Bucket, Key)) || []) {
+            upload.retry(attempts, lastError)
+          }
+        }
+        try {
+          return await next(args)
+        } catch (error) {
+          lastError = error
+          throw error
+        }
+      }
+    },
+    {
+      relation: 'after',
+      toMiddleware: 'retryMiddleware',
+      name: 'uploadRetryProgressMiddleware',
+    }
+  )
+}
+
+/**
+ * @param {string | undefined} bucket
+ * @param {string} key
+ */
+const toObjectId = (bucket, key) => `${bucket}/${key}`
@@ -0,0 +1,210 @@
+import throttledQueue from 'throttled-queue'
+import { AbortError } from './errors.js'
+import { onAbort, throwIfAborted } from './abort.js'
+
+/**
+ * @typedef {import('./lib/interface.js').RateLimiter} RateLimiter
+ * @typedef {import('./lib/interface.js').RateLimitOptions} RateLimitOptions
+ */
+
+const RATE_LIMIT_PERIOD = 1000
+const DEFAULT_REQUESTS_PER_SECOND = 50
+const DEFAULT_MAX_CONCURRENT_UPLOADS = 8
+const MIN_THROTTLE_BACKOFF = 500
+const MAX_THROTTLE_BACKOFF = 30 * 1000
+
+/**
+ * Creates a rate limiter that lets at most `requestsPerSecond` requests and
+ * `maxConcurrentUploads` uploads through at a time. When the service
+ * throttles a request every following request waits, for as long as its
+ * `Retry-After` header asks or otherwise for a backoff that grows with each
+ * throttled response in a row. Waiting stops with an `AbortError` when the
+ * signal of the request is aborted.
+ *
+ * @param {RateLimitOptions} [options]
+ * @returns {RateLimiter}
+ */
+export const createRateLimiter = ({
+  requestsPerSecond = DEFAULT_REQUESTS_PER_SECOND,
+  maxConcurrentUploads = DEFAULT_MAX_CONCURRENT_UPLOADS,
+} = {}) => {
+  checkLimit('requestsPerSecond', requestsPerSecond, 1)
+  checkLimit('maxConcurrentUploads', maxConcurrentUploads, 1)
+
+  const throttle = throttledQueue(requestsPerSecond, RATE_LIMIT_PERIOD)
+  let pausedUntil = 0
+  let throttled = 0
+  let uploads = 0
+  /** @type {Array<() => void>} */
+  const queuedUploads = []
+
+  /** @param {AbortSignal} [signal] */
+  const rateLimiter = async (signal) => {
+    await untilAborted(throttle(() => {}), signal)
+    // The pause can be extended by other requests while this one waits
+    let delay = pausedUntil - Date.now()
+    while (delay > 0) {
+      await sleep(delay, signal)
+      delay = pausedUntil - Date.now()
+    }
+  }
+
+  /** @param {number} [retryAfter] */
+  rateLimiter.throttled = (retryAfter) => {
+    const backoff = Math.min(
+      MIN_THROTTLE_BACKOFF * 2 ** throttled++,
+      MAX_THROTTLE_BACKOFF
+    )
+    const delay = Math.max(backoff, retryAfter || 0)
+    pausedUntil = Math.max(pausedUntil, Date.now() + delay)
+  }
+
+  rateLimiter.succeeded = () => {
+    throttled = 0
+  }
+
+  /**
+   * @template T
+   * @param {() => Promise<T>} upload
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<T>}
+   */
+  rateLimiter.upload = async (upload, signal) => {
+    throwIfAborted(signal)
+    if (uploads < maxConcurrentUploads) {
+      uploads++
+    } else {
+      // The slot of a finishing upload is handed over as is, so no other
+      // upload can take it in between
+      await new Promise((resolve, reject) => {
+        const next = () => {
+          unsubscribe()
+          resolve(undefined)
+        }
+        const unsubscribe = onAbort(signal, () => {
+          queuedUploads.splice(queuedUploads.indexOf(next), 1)
+          reject(new AbortError())
+        })
+        queuedUploads.push(next)
+      })
+    }
+    try {
+      return await upload()
+    } finally {
+      const next = queuedUploads.shift()
+      if (next) {
+        next()
+      } else {
+        uploads--
+      }
+    }
+  }
+
+  return rateLimiter
+}
+
+/**
+ * Sends every request of an S3 client through the rate limiter, and reports
+ * the responses of the service that throttled it (503 and 429 responses). It
+ * wraps the request handler, which each attempt of the SDK's retries goes
+ * through and which is given the signal of the request, so throttled
+ * requests are retried by the SDK like any other failed request. The
+ * `Retry-After` header is taken off throttled responses, as the SDK would
+ * wait for it without observing the signal, and the pause of the rate
+ * limiter waits for it instead.
+ *
+ * @param {import('@aws-sdk/client-s3').S3Client} client
+ * @param {RateLimiter} rateLimiter
+ */
+export const applyRateLimit = (client, rateLimiter) => {
+  const { requestHandler } = client.config
+  client.config.requestHandler = Object.assign(Object.create(requestHandler), {
+    /**
+     * @param {any} request
+     * @param {{ abortSignal?: any }} [options]
+     */
+    handle: async (request, options = {}) => {
+      await rateLimiter(options.abortSignal)
+      const output = await requestHandler.handle(request, options)
+      const { statusCode, headers } = output.response
+      if (isThrottled(statusCode)) {
+        rateLimiter.throttled(retryAfter(headers))
+        delete headers['retry-after']
+        delete headers['Retry-After']
+      } else {
+        rateLimiter.succeeded()
+      }
+      return output
+    },
+  })
+}
+
+/**
+ * The service throttles requests with `SlowDown` errors, which are 503
+ * responses, and may respond with 429 as well.
+ *
+ * @param {number} status
+ */
+const isThrottled = (status) => status === 429 || status === 503
+
+/**
+ * Reads the `Retry-After` header of a throttled response, in delay seconds or
+ * as an HTTP date, in milliseconds.
+ *
+ * @param {Record<string, string | undefined>} headers
+ * @returns {number | undefined}
+ */
+const retryAfter = (headers) => {
+  const value = headers['retry-after'] || headers['Retry-After']
+  if (typeof value !== 'string') {
+    return undefined
+  }
+  const seconds = Number(value)
+  if (value.trim() !== '' && Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000)
+  }
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now())
+}
+
+/**
+ * @param {string} name
+ * @param {number} value
+ * @param {number} min
+ */
+const checkLimit = (name, value, min) => {
+  if (!Number.isInteger(value) || value < min) {
+    throw new TypeError(`${name} must be an integer of at least ${min}, got ${value}`)
+  }
+}
+
+/**
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    throwIfAborted(signal)
+    const timeout = setTimeout(() => {
+      unsubscribe()
+      resolve()
+    }, ms)
+    const unsubscribe = onAbort(signal, () => {
+      clearTimeout(timeout)
+      reject(new AbortError())
+    })
+  })
+
+/**
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+const untilAborted = (promise, signal) =>
+  new Promise((resolve, reject) => {
+    throwIfAborted(signal)
+    const unsubscribe = onAbort(signal, () => reject(new AbortError()))
+    promise.then(resolve, reject).finally(unsubscribe)
+  })
@@ -0,0 +1,144 @@
+import { S3Client } from '@aws-sdk/client-s3'
+import { InvalidTokenError, applyServiceErrors } from './errors.js'
+import { loadCredentials } from './credentials.js'
+import { applyRateLimit } from './rate-limit.js'
+import { observeRetries } from './progress.js'
+
+export const DEFAULT_ENDPOINT = 'https://s3.filebase.com'
+export const MAX_STORE_RETRIES = 5
+
+/**
+ * @typedef {import('./lib/interface.js').Service} Service
+ * @typedef {import('./lib/interface.js').ResolvedService} ResolvedService
+ * @typedef {import('./lib/interface.js').RateLimiter} RateLimiter
+ * @typedef {import('./lib/interface.js').S3ClientConfig} S3ClientConfig
+ */
+
+/** @type {WeakSet<ResolvedService>} */
+const resolved = new WeakSet()
+
+/**
+ * Clients are kept per rate limiter, so clients of different
+ * `FilebaseClient`s are not limited together, and then per endpoint and
+ * credentials.
+ *
+ * @type {WeakMap<object, { byKey: Map<string, S3Client>, byConfig: WeakMap<S3ClientConfig, S3Client> }>}
+ */
+const clients = new WeakMap()
+const UNLIMITED = {}
+
+/**
+ * Endpoint and credentials of the configs derived from tokens.
+ *
+ * @type {WeakMap<S3ClientConfig, string>}
+ */
+const tokenConfigs = new WeakMap()
+
+/**
+ * Resolves a service into an immutable object holding the bucket and the S3
+ * client to use for it. Without a token or `s3config` credentials are
+ * looked up with `loadCredentials`. Clients are cached per endpoint and
+ * credentials, so connections to the service are kept alive and reused
+ * across calls.
+ * Services that are already resolved are returned as is, unless
+ * `maxAttempts` asks for a different number of attempts per request.
+ *
+ * @param {Service} service
+ * @param {{ maxAttempts?: number }} [options]
+ * @returns {ResolvedService}
+ */
+export const resolveService = (service, { maxAttempts } = {}) => {
+  if (resolved.has(/** @type {ResolvedService} */ (service))) {
+    const resolvedService = /** @type {ResolvedService} */ (service)
+    if (typeof maxAttempts === "undefined" || maxAttempts === resolvedService.maxAttempts) {
+      return resolvedService
+    }
+  }
+
+  const { token, bucket, profile, encoding, rateLimiter } = service
+  let { s3config } = service
+  let selectedBucket = bucket
+  let endpoint = service.endpoint || DEFAULT_ENDPOINT
+
+  if (typeof s3config === "undefined") {
+    const found = loadCredentials({ token, bucket, profile })
+    if (typeof found === "undefined") {
+      throw new InvalidTokenError(
+        `No credentials found, pass a token or s3config, set FILEBASE_TOKEN or add a profile to ~/.filebase/config`
+      )
+    }
+    const [accessKeyId = "", secretAccessKey = ""] = found.credentials
+    const attempts = maxAttempts || MAX_STORE_RETRIES
+    selectedBucket = found.bucket
+    endpoint = service.endpoint || found.endpoint || DEFAULT_ENDPOINT
+    s3config = {
+      credentials: { accessKeyId, secretAccessKey },
+      endpoint,
+      maxAttempts: attempts,
+      region: "us-east-1",
+      forcePathStyle: true,
+    }
+    tokenConfigs.set(
+      s3config,
+      JSON.stringify([endpoint, accessKeyId, secretAccessKey])
+    )
+  } else if (typeof s3config.credentials === "undefined") {
+    throw new InvalidTokenError(`Must pass credentials`)
+  } else if (typeof maxAttempts !== "undefined") {
+    const key = tokenConfigs.get(s3config)
+    s3config = { ...s3config, maxAttempts }
+    // Keeps sharing clients when a resolved service is resolved again
+    key && tokenConfigs.set(s3config, key)
+  }
+
+  const result = Object.freeze({
+    endpoint,
+    bucket: selectedBucket,
+    s3config,
+    maxAttempts: s3config.maxAttempts,
+    client: service.client && typeof maxAttempts === "undefined"
+      ? service.client
+      : getClient(s3config, rateLimiter),
+    rateLimiter,
+    encoding,
+  })
+  resolved.add(result)
+  return result
+}
+
+/**
+ * Returns the cached client for the config, creating it on first use.
+ * Configs derived from a token are compared by endpoint, credentials and
+ * attempts, configs that were passed in by identity.
+ *
+ * @param {S3ClientConfig} s3config
+ * @param {RateLimiter} [rateLimiter]
+ * @returns {S3Client}
+ */
+const getClient = (s3config, rateLimiter) => {
+  const cache = clients.get(rateLimiter || UNLIMITED) || {
+    byKey: new Map(),
+    byConfig: new WeakMap(),
+  }
+  clients.set(rateLimiter || UNLIMITED, cache)
+
+  const credentials = tokenConfigs.get(s3config)
+  const key = credentials && `${credentials}:${s3config.maxAttempts}`
+  const cached = key ? cache.byKey.get(key) : cache.byConfig.get(s3config)
+  if (cached) {
+    return cached
+  }
+
+  const client = new S3Client(s3config)
+  applyServiceErrors(client)
+  if (rateLimiter) {
+    applyRateLimit(client, rateLimiter)
+  }
+  observeRetries(client)
+  if (key) {
+    cache.byKey.set(key, client)
+  } else {
+    cache.byConfig.set(s3config, client)
+  }
+  return client
+}
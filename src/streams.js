@@ -0,0 +1,56 @@
+/**
+ * Iterates over the chunks of a stream. Web `ReadableStream`s are not async
+ * iterable in every browser, so they are read through a reader instead.
+ *
+ * @template T
+ * @param {AsyncIterable<T> | ReadableStream<T>} source
+ * @returns {AsyncIterable<T>}
+ */
+export async function* iterate(source) {
+  if (Symbol.asyncIterator in source) {
+    yield* /** @type {AsyncIterable<T>} */ (source)
+    return
+  }
+
+  const reader = /** @type {ReadableStream<T>} */ (source).getReader()
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) {
+        return
+      }
+      yield /** @type {T} */ (value)
+    }
+  } finally {
+    reader.releaseLock()
+  }
+}
+
+/**
+ * Turns an async iterable into a web `ReadableStream`, pulling chunks from
+ * it only as the stream is read.
+ *
+ * @template T
+ * @param {AsyncIterable<T>} source
+ * @returns {ReadableStream<T>}
+ */
+export const toReadableStream = (source) => {
+  const iterator = source[Symbol.asyncIterator]()
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await iterator.next()
+        if (done) {
+          controller.close()
+        } else {
+          controller.enqueue(value)
+        }
+      } catch (error) {
+        controller.error(error)
+      }
+    },
+    async cancel(reason) {
+      await (iterator.return && iterator.return(reason))
+    },
+  })
+}
@@ -1,10 +1,17 @@
-import { pack } from 'ipfs-car/pack'
 import { CID } from 'multiformats/cid'
 import * as Block from 'multiformats/block'
 import { sha256 } from 'multiformats/hashes/sha2'
 import * as dagCbor from '@ipld/dag-cbor'
+import { exporter } from 'ipfs-unixfs-exporter'
 import { Blob, FormData, Blockstore } from './platform.js'
-import { toGatewayURL, GATEWAY } from './gateway.js'
+import { toGatewayURL, fetchCar, GATEWAY } from './gateway.js'
+import { writeCar } from './bs-car-reader.js'
+import { importCar, verifyBlock } from './verify.js'
+import { abortable, throwIfAborted } from './abort.js'
+import { EncodeProgress } from './progress.js'
+import { pack } from './encoding.js'
+import { toCarSource } from './car-source.js'
+import { InvalidCarError } from './errors.js'
 
 /**
  * @typedef {import('./gateway.js').GatewayURLOptions} EmbedOptions
@@ -27,6 +34,12 @@ import { toGatewayURL, GATEWAY } from './gateway.js'
  * @typedef {import('./lib/interface.js').Token<T>} TokenType
  */
 
+/**
+ * @typedef {import('./lib/interface.js').CarReader} CarReader
+ * @typedef {CarReader | Uint8Array | AsyncIterable<Uint8Array> | CID | string} TokenSource
+ * @typedef {EmbedOptions & { fetcher?: (cid: CID) => AsyncIterable<Uint8Array> }} LoadOptions
+ */
+
 /**
  * @template {TokenInput} T
  * @implements {TokenType<T>}
@@ -36,19 +49,23 @@ export class Token {
    * @param {import('./lib/interface.js').CIDString} ipnft
    * @param {import('./lib/interface.js').EncodedURL} url
    * @param {import('./lib/interface.js').Encoded<T, [[Blob, URL]]>} data
+   * @param {Map<string, CID>} [assets]
    */
-  constructor(ipnft, url, data) {
+  constructor(ipnft, url, data, assets = new Map()) {
     /** @readonly */
     this.ipnft = ipnft
     /** @readonly */
     this.url = url
     /** @readonly */
     this.data = data
+    /** @readonly */
+    this.assets = assets
 
     Object.defineProperties(this, {
       ipnft: { enumerable: true, writable: false },
       url: { enumerable: true, writable: false },
       data: { enumerable: false, writable: false },
+      assets: { enumerable: false, writable: false },
     })
   }
   /**
@@ -90,38 +107,53 @@ export class Token {
    *
    * @template {TokenInput} T
    * @param {T} input
+   * @param {object} [options]
+   * @param {Blockstore} [options.blockstore]
+   * @param {AbortSignal} [options.signal]
+   * @param {import('./progress.js').ProgressHandler} [options.onProgress]
+   * @param {import('./lib/interface.js').EncodingOptions} [options.encoding]
    * @returns {Promise<{ cid: CID, token: TokenType<T>, car: AsyncIterable<Uint8Array> }>}
    */
-  static async encode(input) {
-    const blockstore = new Blockstore()
+  static async encode(input, { blockstore = new Blockstore(), signal, onProgress, encoding } = {}) {
     const [blobs, meta] = mapTokenInputBlobs(input)
     /** @type {EncodedBlobUrl<T>} */
     const data = JSON.parse(JSON.stringify(meta))
     /** @type {import('./lib/interface.js').Encoded<T, [[Blob, CID]]>} */
     const dag = JSON.parse(JSON.stringify(meta))
+    /** @type {Map<string, CID>} */
+    const assets = new Map()
+    const progress = onProgress && new EncodeProgress(
+      onProgress,
+      [...blobs.values()].reduce((total, blob) => total + blob.size, 0)
+    )
 
     for (const [dotPath, blob] of blobs.entries()) {
-      /** @type {string|undefined} */
+      /** @type {string} */
       // @ts-ignore blob may be a File!
       const name = blob.name || 'blob'
-      /** @type {import('./platform.js').ReadableStream} */
-      const content = blob.stream()
+      /** @type {import('./platform.js').ReadableStream|AsyncIterable<Uint8Array>} */
+      let content = signal ? abortable(blob.stream(), signal) : blob.stream()
+      content = progress ? progress.track(name, blob.size, content) : content
       const { root: cid } = await pack({
         input: [{ path: name, content }],
         blockstore,
         wrapWithDirectory: true,
+        encoding,
       })
 
       const href = new URL(`ipfs://${cid}/${name}`)
       const path = dotPath.split('.')
       setIn(data, path, href)
       setIn(dag, path, cid)
+      assets.set(dotPath, cid)
     }
+    throwIfAborted(signal)
 
-    const { root: metadataJsonCid, out } = await pack({
+    const { root: metadataJsonCid } = await pack({
       input: [{ path: 'metadata.json', content: JSON.stringify(data) }],
       blockstore,
       wrapWithDirectory: false,
+      encoding,
     })
 
     const block = await Block.encode({
@@ -134,15 +166,82 @@ export class Token {
       hasher: sha256,
     })
     await blockstore.put(block.cid, block.bytes)
+    progress && progress.done(block.cid)
 
     return {
       cid: block.cid,
       token: new Token(
         block.cid.toString(),
         `ipfs://${block.cid}/metadata.json`,
-        data
+        data,
+        assets
       ),
-      car: out
+      car: writeCar([block.cid], blockstore)
+    }
+  }
+
+  /**
+   * Re-opens a previously stored token from its DAG. The source can be a CAR
+   * reader, the bytes of a CAR file or the `ipnft` CID of the token, in which
+   * case the CAR is fetched with `options.fetcher` (by default from an IPFS
+   * gateway). Every block is verified against its CID.
+   *
+   * @example
+   * ```js
+   * const token = await Token.load('bafyreib4pff766vhpbxbhjbqqnsh5emeznvujayjj4z2iu533cprgbz23m')
+   * console.log(token.url, token.data.image, token.assets.get('image'))
+   * ```
+   *
+   * @template {TokenInput} T
+   * @param {TokenSource} source
+   * @param {LoadOptions} [options]
+   * @returns {Promise<TokenType<T>>}
+   */
+  static async load(source, options = {}) {
+    const blockstore = new Blockstore()
+    try {
+      const root = await loadTokenBlocks(source, blockstore, options)
+      if (root.code !== dagCbor.code) {
+        throw new InvalidCarError(`Block ${root} is not the root of an NFT`)
+      }
+      const block = await Block.create({
+        cid: root,
+        bytes: await blockstore.get(root),
+        codec: dagCbor,
+        hasher: sha256,
+      })
+
+      const dag = /** @type {Record<string, unknown>} */ (block.value)
+      if (!isObject(dag) || dag['type'] !== 'nft') {
+        throw new InvalidCarError(`Block ${root} is not the root of an NFT`)
+      }
+      const metadataJsonCid = CID.asCID(dag['metadata.json'])
+      if (metadataJsonCid == null) {
+        throw new InvalidCarError(`NFT ${root} does not link to a metadata.json`)
+      }
+
+      const entry = await exporter(metadataJsonCid, blockstore)
+      const chunks = []
+      for await (const chunk of entry.content()) {
+        chunks.push(chunk)
+      }
+      const json = await new Blob(chunks).text()
+
+      /** @type {Record<string, any>} */
+      const assetDag = { ...dag }
+      delete assetDag['metadata.json']
+      delete assetDag['type']
+      /** @type {[Map<string, CID>, unknown]} */
+      const [assets] = mapValueWith(assetDag, isCID, collectCID, new Map(), [])
+
+      return new Token(
+        root.toString(),
+        `ipfs://${root}/metadata.json`,
+        mapWith(JSON.parse(json), isEncodedURL, decodeURL, new Set(assets.keys())),
+        assets
+      )
+    } finally {
+      await blockstore.close()
     }
   }
 }
@@ -165,6 +264,71 @@ export const embed = (input, options) =>
 export const decode = ({ ipnft, url, data }, paths) =>
   new Token(ipnft, url, mapWith(data, isEncodedURL, decodeURL, paths))
 
+/**
+ * Re-opens a previously stored token from its DAG, see `Token.load`.
+ *
+ * @template {TokenInput} T
+ * @param {TokenSource} source
+ * @param {LoadOptions} [options]
+ * @returns {Promise<TokenType<T>>}
+ */
+export const load = (source, options) => Token.load(source, options)
+
+/**
+ * Writes the blocks of a token DAG from the given source into the blockstore,
+ * verifying each of them, and returns the root CID of the token.
+ *
+ * @param {TokenSource} source
+ * @param {import('ipfs-car/blockstore').Blockstore} blockstore
+ * @param {LoadOptions} options
+ * @returns {Promise<CID>}
+ */
+const loadTokenBlocks = async (source, blockstore, options) => {
+  const cid = typeof source === 'string' ? CID.parse(source) : CID.asCID(source)
+  if (cid) {
+    const fetcher =
+      options.fetcher || ((cid) => fetchCar(`ipfs://${cid}`, options))
+    await importCar(fetcher(cid), blockstore)
+    return cid
+  }
+
+  /** @type {CID[]} */
+  let roots
+  if (typeof source === 'object' && 'getRoots' in source) {
+    for await (const block of source.blocks()) {
+      await verifyBlock(block)
+      await blockstore.put(block.cid, block.bytes)
+    }
+    roots = await source.getRoots()
+  } else {
+    // CIDs and strings were loaded by CID above
+    roots = await importCar(toCarSource(/** @type {Uint8Array | AsyncIterable<Uint8Array>} */ (source)), blockstore)
+  }
+
+  const [root] = roots
+  if (typeof root === 'undefined') {
+    throw new InvalidCarError('CAR has no root to load the token from')
+  }
+  return root
+}
+
+/**
+ * @param {any} value
+ * @returns {value is CID}
+ */
+const isCID = (value) => CID.asCID(value) != null
+
+/**
+ * @param {Map<string, CID>} assets
+ * @param {CID} cid
+ * @param {PropertyKey[]} path
+ * @returns {[Map<string, CID>, CID]}
+ */
+const collectCID = (assets, cid, path) => {
+  assets.set(path.join('.'), cid)
+  return [assets, cid]
+}
+
 /**
  * @param {any} value
  * @returns {value is URL}
@@ -327,15 +491,17 @@ const mapValueWith = (input, p, f, state, path) =>
  */
 const mapObjectWith = (input, p, f, init, path) => {
   let state = init
-  const output =
-    /** @type {import('./lib/interface.js').Encoded<T, [[I, O]]>} */ ({})
+  /** @type {Record<string, unknown>} */
+  const output = {}
   for (const [key, value] of Object.entries(input)) {
     const [next, out] = mapValueWith(value, p, f, state, [...path, key])
-    // @ts-ignore
     output[key] = out
     state = next
   }
-  return [state, output]
+  return [
+    state,
+    /** @type {import('./lib/interface.js').Encoded<T, [[I, O]]>} */ (output),
+  ]
 }
 
 /**
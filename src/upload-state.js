@@ -0,0 +1,42 @@
+/**
+ * @typedef {import('./lib/interface.js').UploadState} UploadState
+ * @typedef {import('./lib/interface.js').UploadStateStore} UploadStateStoreI
+ */
+
+/**
+ * Keeps the state of resumable uploads in memory, so uploads can only be
+ * resumed within the same process.
+ *
+ * @implements {UploadStateStoreI}
+ */
+export class MemoryUploadStateStore {
+  constructor() {
+    /**
+     * @private
+     * @type {Map<string, UploadState>}
+     */
+    this._states = new Map()
+  }
+
+  /**
+   * @param {string} key
+   */
+  async get(key) {
+    return this._states.get(key)
+  }
+
+  /**
+   * @param {string} key
+   * @param {UploadState} state
+   */
+  async set(key, state) {
+    this._states.set(key, state)
+  }
+
+  /**
+   * @param {string} key
+   */
+  async delete(key) {
+    this._states.delete(key)
+  }
+}
@@ -0,0 +1,47 @@
+import { CarBlockIterator } from '@ipld/car'
+import { bytes, CID } from 'multiformats'
+import { CidMismatchError, InvalidCarError } from './errors.js'
+import { getHasher } from './hashers.js'
+
+/**
+ * @typedef {import('ipfs-car/blockstore').Blockstore} Blockstore
+ */
+
+const { equals } = bytes
+
+/**
+ * Checks that the bytes of a block hash to the multihash in its CID, throwing
+ * if they do not.
+ *
+ * @param {{ cid: CID, bytes: Uint8Array }} block
+ * @returns {Promise<void>}
+ */
+export const verifyBlock = async ({ cid, bytes }) => {
+  const hasher = getHasher(cid.multihash.code)
+  if (typeof hasher === 'undefined') {
+    throw new InvalidCarError(
+      `Unable to verify block ${cid}: unsupported hash function 0x${cid.multihash.code.toString(16)}`
+    )
+  }
+  const digest = await hasher.digest(bytes)
+  if (!equals(digest.bytes, cid.multihash.bytes)) {
+    throw new CidMismatchError(cid.toString(), CID.create(cid.version, cid.code, digest).toString())
+  }
+}
+
+/**
+ * Reads a CAR file, verifying every block against its CID before writing it
+ * to the given blockstore. Returns the roots from the CAR header.
+ *
+ * @param {AsyncIterable<Uint8Array>} car
+ * @param {Blockstore} blockstore
+ * @returns {Promise<CID[]>}
+ */
+export const importCar = async (car, blockstore) => {
+  const blocks = await CarBlockIterator.fromIterable(car)
+  for await (const block of blocks) {
+    await verifyBlock(block)
+    await blockstore.put(block.cid, block.bytes)
+  }
+  return blocks.getRoots()
+}
@@ -0,0 +1,142 @@
+import * as assert from 'uvu/assert'
+import { batch } from '../src/batch.js'
+import { FilebaseClient, File, Blob, AbortError, EmptyContentError } from '../src/lib.js'
+
+const { FILEBASE_TOKEN: token, FILEBASE_ENDPOINT: endpoint } = process.env
+
+/**
+ * @template T
+ * @typedef {import('../src/lib/interface.js').BatchResult<T>} BatchResult
+ */
+
+describe('batches', () => {
+  /**
+   * @param {number} ms
+   */
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+  /**
+   * @template T
+   * @param {AsyncIterable<BatchResult<T>>} results
+   */
+  const collect = async (results) => {
+    /** @type {BatchResult<T>[]} */
+    const collected = []
+    for await (const result of results) {
+      collected.push(result)
+    }
+    return collected
+  }
+
+  describe('storeMany', () => {
+    const client = new FilebaseClient({ token, endpoint })
+
+    it('stores blobs, directories and NFTs', async () => {
+      const blob = new Blob(['batched blob'])
+      const files = [new File(['batched'], 'dir/batched.txt')]
+      const nft = {
+        name: 'batched',
+        description: 'A batched NFT',
+        image: new File(['batched image'], 'batched.png', { type: 'image/png' }),
+      }
+      const items = /** @type {Array<Blob | File[] | typeof nft>} */ ([blob, files, nft])
+      const stored = client.storeMany(items)
+      const results = (await collect(stored)).sort((a, b) => a.index - b.index)
+
+      assert.equal(results.map(({ input }) => input), items)
+      assert.is(results[0]?.cid, (await FilebaseClient.encodeBlob(blob)).cid.toString())
+      assert.is(results[1]?.cid, (await FilebaseClient.encodeDirectory(files)).cid.toString())
+      assert.ok(results[2]?.cid)
+      assert.equal(await stored.summary, { total: 3, stored: 3, failed: 0 })
+    })
+
+    it('reports failed items and carries on', async () => {
+      const items = [new Blob(['first']), new Blob([]), new Blob(['third'])]
+      const stored = client.storeMany(items, { concurrency: 1 })
+      const results = await collect(stored)
+
+      assert.equal(results.map(({ index }) => index), [0, 1, 2])
+      const [first, failed, third] = results
+      assert.ok(first && first.cid)
+      assert.instance(failed && failed.error, EmptyContentError)
+      assert.is(failed && failed.input, items[1])
+      assert.ok(third && third.cid)
+      assert.equal(await stored.summary, { total: 3, stored: 2, failed: 1 })
+    })
+  })
+
+  it('runs at most the given number of items at once', async () => {
+    let running = 0
+    let maxRunning = 0
+    const results = batch(
+      [1, 2, 3, 4, 5, 6, 7],
+      async (item) => {
+        maxRunning = Math.max(maxRunning, ++running)
+        await sleep(5)
+        running--
+        return String(item)
+      },
+      { concurrency: 3 }
+    )
+    const cids = (await collect(results)).map(({ cid }) => cid)
+    assert.equal(cids.sort(), ['1', '2', '3', '4', '5', '6', '7'])
+    assert.is(maxRunning, 3)
+  })
+
+  it('yields results in the order they complete', async () => {
+    const results = batch([30, 1, 15], async (ms) => {
+      await sleep(ms)
+      return String(ms)
+    })
+    assert.equal((await collect(results)).map(({ index }) => index), [1, 2, 0])
+  })
+
+  it('reads items from async iterables as they are needed', async () => {
+    let read = 0
+    const items = (async function* () {
+      for (let item = 0; item < 10; item++) {
+        read++
+        yield item
+      }
+    })()
+    const results = batch(items, async (item) => String(item), { concurrency: 2 })
+    for await (const result of results) {
+      assert.is(result.cid, '0')
+      break
+    }
+    assert.is(read, 2)
+    assert.equal(await results.summary, { total: 2, stored: 1, failed: 0 })
+  })
+
+  it('stops starting items when aborted', async () => {
+    const controller = new AbortController()
+    /** @type {number[]} */
+    const started = []
+    const results = batch(
+      [1, 2, 3, 4],
+      async (item) => {
+        started.push(item)
+        await sleep(5)
+        return String(item)
+      },
+      { concurrency: 1, signal: controller.signal }
+    )
+    try {
+      for await (const result of results) {
+        assert.is(result.cid, '1')
+        controller.abort()
+      }
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, AbortError)
+    }
+    assert.equal(started, [1])
+    assert.equal(await results.summary, { total: 1, stored: 1, failed: 0 })
+  })
+
+  it('rejects concurrencies that are not positive integers', () => {
+    for (const concurrency of [0, -1, 1.5, NaN]) {
+      assert.throws(() => batch([], async () => '', { concurrency }), TypeError)
+    }
+  })
+})
@@ -0,0 +1,122 @@
+import * as assert from 'uvu/assert'
+import * as dagCbor from '@ipld/dag-cbor'
+import { varint } from 'multiformats'
+import { peekCarHeader } from '../src/car-header.js'
+import { FilebaseClient, Blob, InvalidCarError } from '../src/lib.js'
+
+const { FILEBASE_TOKEN: token, FILEBASE_ENDPOINT: endpoint } = process.env
+
+describe('CAR headers', () => {
+  /** @type {{ cid: import('multiformats').CID, bytes: Uint8Array }} */
+  let car
+  before(async () => {
+    const encoded = await FilebaseClient.encodeBlob(new Blob(['header content']))
+    car = { cid: encoded.cid, bytes: await bytesOf(encoded.car) }
+  })
+
+  /**
+   * @param {AsyncIterable<Uint8Array>} source
+   */
+  const bytesOf = async (source) => {
+    /** @type {Uint8Array[]} */
+    const chunks = []
+    for await (const chunk of source) {
+      chunks.push(chunk)
+    }
+    return new Uint8Array(await new Blob(chunks).arrayBuffer())
+  }
+
+  /**
+   * Yields the bytes in chunks of the given size, counting the chunks read.
+   *
+   * @param {Uint8Array} bytes
+   * @param {number} size
+   */
+  const chunked = (bytes, size) => {
+    const source = {
+      read: 0,
+      async *[Symbol.asyncIterator]() {
+        for (let offset = 0; offset < bytes.byteLength; offset += size) {
+          source.read++
+          yield bytes.subarray(offset, offset + size)
+        }
+      },
+    }
+    return source
+  }
+
+  /**
+   * A CAR header with the given content and no blocks.
+   *
+   * @param {unknown} header
+   */
+  const headerOf = (header) => {
+    const bytes = dagCbor.encode(header)
+    const prefix = varint.encodingLength(bytes.byteLength)
+    const car = new Uint8Array(prefix + bytes.byteLength)
+    varint.encodeTo(bytes.byteLength, car)
+    car.set(bytes, prefix)
+    return car
+  }
+
+  /**
+   * @param {Uint8Array[]} chunks
+   */
+  const rejects = async (chunks) => {
+    try {
+      await peekCarHeader((async function* () { yield* chunks })())
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, InvalidCarError)
+    }
+  }
+
+  it('reads the header and passes the whole CAR on', async () => {
+    const { header, car: source } = await peekCarHeader(chunked(car.bytes, car.bytes.byteLength))
+    assert.is(header.version, 1)
+    assert.equal(header.roots.map(String), [car.cid.toString()])
+    assert.equal(await bytesOf(source), car.bytes)
+  })
+
+  it('reads a header split over chunks and no more chunks than it needs', async () => {
+    const source = chunked(car.bytes, 1)
+    const { header, car: rest } = await peekCarHeader(source)
+    assert.equal(header.roots.map(String), [car.cid.toString()])
+    assert.is(source.read, headerOf({ version: 1, roots: [car.cid] }).byteLength)
+    assert.equal(await bytesOf(rest), car.bytes)
+  })
+
+  it('reads any number of roots', async () => {
+    const { header: none } = await peekCarHeader(chunked(headerOf({ version: 1, roots: [] }), 4))
+    assert.equal(none.roots, [])
+    const { header: two } = await peekCarHeader(chunked(headerOf({ version: 1, roots: [car.cid, car.cid] }), 4))
+    assert.is(two.roots.length, 2)
+  })
+
+  it('rejects streams that end before the header', async () => {
+    await rejects([])
+    await rejects([car.bytes.subarray(0, 10)])
+  })
+
+  it('rejects headers that are not valid', async () => {
+    await rejects([new Uint8Array([0])])
+    await rejects([new Uint8Array(10).fill(0xff)])
+    await rejects([new Uint8Array([3, 0xff, 0xff, 0xff])])
+    await rejects([headerOf({ version: 2, roots: [car.cid] })])
+    await rejects([headerOf({ version: 1, roots: ['not a CID'] })])
+    await rejects([headerOf({ version: 1 })])
+    await rejects([headerOf(null)])
+  })
+
+  it('rejects storing CARs without exactly one root', async () => {
+    const client = new FilebaseClient({ token, endpoint })
+    for (const roots of [[], [car.cid, car.cid]]) {
+      try {
+        await client.storeCar(headerOf({ version: 1, roots }), 'roots')
+        assert.unreachable('should have thrown')
+      } catch (error) {
+        assert.instance(error, InvalidCarError)
+      }
+    }
+  })
+})
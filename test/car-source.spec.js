@@ -0,0 +1,108 @@
+import * as assert from 'uvu/assert'
+import { CarReader } from '@ipld/car'
+import { MemoryBlockStore } from 'ipfs-car/blockstore/memory'
+import { toCarSource, toCarSize } from '../src/car-source.js'
+import { BlockstoreCarReader } from '../src/bs-car-reader.js'
+import { importCar } from '../src/verify.js'
+import { FilebaseClient, File, Blob } from '../src/lib.js'
+
+describe('CAR sources', () => {
+  /** @type {{ cid: import('multiformats').CID, bytes: Uint8Array }} */
+  let car
+  before(async () => {
+    const encoded = await FilebaseClient.encodeDirectory([
+      new File(['first'], 'dir/first.txt'),
+      new File(['second'], 'dir/second.txt'),
+    ])
+    car = { cid: encoded.cid, bytes: await bytesOf(encoded.car) }
+  })
+
+  /**
+   * @param {AsyncIterable<Uint8Array>} source
+   */
+  const bytesOf = async (source) => {
+    /** @type {Uint8Array[]} */
+    const chunks = []
+    for await (const chunk of source) {
+      chunks.push(chunk)
+    }
+    return new Uint8Array(await new Blob(chunks).arrayBuffer())
+  }
+
+  /**
+   * Yields the bytes a few at a time.
+   *
+   * @param {Uint8Array} bytes
+   */
+  async function* chunked(bytes) {
+    for (let offset = 0; offset < bytes.byteLength; offset += 7) {
+      yield bytes.subarray(offset, offset + 7)
+    }
+  }
+
+  it('reads bytes, blobs, web streams and async iterables as they are', async () => {
+    const inputs = [
+      car.bytes,
+      new Blob([car.bytes]),
+      /** @type {ReadableStream<Uint8Array>} */ (new Blob([car.bytes]).stream()),
+      chunked(car.bytes),
+    ]
+    for (const input of inputs) {
+      assert.equal(await bytesOf(toCarSource(input)), car.bytes)
+    }
+  })
+
+  it('writes CAR readers back out', async () => {
+    const reader = await CarReader.fromBytes(car.bytes)
+    const written = await bytesOf(toCarSource(reader))
+    assert.equal(await (await CarReader.fromBytes(written)).getRoots(), [car.cid])
+    assert.is(written.byteLength, car.bytes.byteLength)
+  })
+
+  it('writes the blocks of a blockstore out', async () => {
+    const blockstore = new MemoryBlockStore()
+    await importCar(toCarSource(car.bytes), blockstore)
+    const reader = new BlockstoreCarReader(1, [car.cid], blockstore)
+    const written = await CarReader.fromBytes(await bytesOf(toCarSource(reader)))
+    assert.equal(await written.getRoots(), [car.cid])
+    const blocks = []
+    for await (const { cid } of written.blocks()) {
+      blocks.push(cid.toString())
+    }
+    const expected = []
+    for await (const { cid } of (await CarReader.fromBytes(car.bytes)).blocks()) {
+      expected.push(cid.toString())
+    }
+    assert.equal(blocks.sort(), expected.sort())
+    await blockstore.close()
+  })
+
+  it('rejects anything else', () => {
+    for (const input of [null, 42, {}, { getRoots: () => [] }]) {
+      assert.throws(() => toCarSource(/** @type {any} */ (input)), TypeError)
+    }
+  })
+
+  describe('sizes', () => {
+    it('are known for bytes and blobs', async () => {
+      assert.is(await toCarSize(car.bytes), car.bytes.byteLength)
+      assert.is(await toCarSize(new Blob([car.bytes])), car.bytes.byteLength)
+    })
+
+    it('are worked out for CAR readers from their blocks', async () => {
+      const reader = await CarReader.fromBytes(car.bytes)
+      assert.is(await toCarSize(reader), (await bytesOf(toCarSource(reader))).byteLength)
+
+      const blockstore = new MemoryBlockStore()
+      await importCar(toCarSource(car.bytes), blockstore)
+      const fromBlockstore = new BlockstoreCarReader(1, [car.cid], blockstore)
+      assert.is(await toCarSize(fromBlockstore), (await bytesOf(toCarSource(fromBlockstore))).byteLength)
+      await blockstore.close()
+    })
+
+    it('are unknown for streams', async () => {
+      assert.is(await toCarSize(chunked(car.bytes)), undefined)
+      assert.is(await toCarSize(/** @type {ReadableStream<Uint8Array>} */ (new Blob([car.bytes]).stream())), undefined)
+    })
+  })
+})
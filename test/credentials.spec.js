@@ -0,0 +1,108 @@
+import * as assert from 'uvu/assert'
+import { parseProfiles, loadCredentials } from '../src/credentials.js'
+import { createToken, parseToken, InvalidTokenError } from '../src/lib.js'
+
+describe('credentials', () => {
+  /**
+   * @param {() => unknown} fn
+   */
+  const rejects = (fn) => {
+    try {
+      fn()
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, InvalidTokenError)
+    }
+  }
+
+  describe('tokens', () => {
+    it('are created from a key, secret and bucket', () => {
+      const token = createToken('key', 'secret', 'bucket')
+      assert.is(token, btoa('key:secret:bucket'))
+      assert.equal(parseToken(token), { credentials: ['key', 'secret', 'bucket'], bucket: 'bucket' })
+    })
+
+    it('are not created from parts that are empty or hold a ":"', () => {
+      rejects(() => createToken('', 'secret', 'bucket'))
+      rejects(() => createToken('key', 'sec:ret', 'bucket'))
+      rejects(() => createToken('key', 'secret', /** @type {any} */ (undefined)))
+    })
+
+    it('are parsed from URL safe and unpadded base64', () => {
+      const token = btoa('key:???>>>:bucket')
+      assert.match(token, /\+.*=$/)
+      const urlSafe = token.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+      assert.equal(parseToken(urlSafe).credentials, ['key', '???>>>', 'bucket'])
+      assert.equal(parseToken(` ${token}\n`).credentials, ['key', '???>>>', 'bucket'])
+    })
+
+    it('are parsed from lists of a key, secret and bucket', () => {
+      assert.equal(parseToken(['key', 'secret', 'bucket']), {
+        credentials: ['key', 'secret', 'bucket'],
+        bucket: 'bucket',
+      })
+      rejects(() => parseToken(['key', 'secret']))
+    })
+
+    it('are rejected without a key, secret or bucket', () => {
+      rejects(() => parseToken(btoa(':secret:bucket')))
+      rejects(() => parseToken(btoa('key::bucket')))
+      rejects(() => parseToken(btoa('key:secret')))
+      rejects(() => parseToken('not base64!'))
+      rejects(() => parseToken(/** @type {any} */ (undefined)))
+    })
+  })
+
+  describe('loadCredentials', () => {
+    it('prefers the token it is given', () => {
+      const token = createToken('key', 'secret', 'bucket')
+      assert.equal(loadCredentials({ token }), { credentials: ['key', 'secret', 'bucket'], bucket: 'bucket' })
+    })
+
+    it('prefers the bucket it is given to the one of the token', () => {
+      const token = createToken('key', 'secret', 'bucket')
+      const { bucket, credentials } = /** @type {import('../src/lib/interface.js').Credentials} */ (
+        loadCredentials({ token, bucket: 'other' })
+      )
+      assert.is(bucket, 'other')
+      assert.equal(credentials, ['key', 'secret', 'bucket'])
+    })
+  })
+
+  describe('parseProfiles', () => {
+    it('reads a section per profile', () => {
+      const profiles = parseProfiles(
+        [
+          '# credentials',
+          '[default]',
+          'token = abc=',
+          '',
+          '[profile backups]',
+          '; keys rather than a token',
+          'Key = key',
+          'secret=secret = with equals',
+          'bucket = backups',
+          'endpoint = https://s3.example.com',
+        ].join('\r\n')
+      )
+      assert.equal([...profiles.keys()], ['default', 'backups'])
+      assert.equal(profiles.get('default'), { token: 'abc=' })
+      assert.equal(profiles.get('backups'), {
+        key: 'key',
+        secret: 'secret = with equals',
+        bucket: 'backups',
+        endpoint: 'https://s3.example.com',
+      })
+    })
+
+    it('ignores lines outside of sections and without a name', () => {
+      const profiles = parseProfiles('token = outside\n[default]\n= value\nnot a setting\nkey = key')
+      assert.equal([...profiles.entries()], [['default', { key: 'key' }]])
+    })
+
+    it('merges sections of the same profile', () => {
+      const profiles = parseProfiles('[default]\nkey = key\n[other]\n[default]\nsecret = secret')
+      assert.equal(profiles.get('default'), { key: 'key', secret: 'secret' })
+    })
+  })
+})
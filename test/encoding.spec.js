@@ -0,0 +1,68 @@
+import * as assert from 'uvu/assert'
+import { CID } from 'multiformats/cid'
+import { sha512 } from 'multiformats/hashes/sha2'
+import { MemoryBlockStore } from 'ipfs-car/blockstore/memory'
+import { importCar } from '../src/verify.js'
+import { FilebaseClient, Blob } from '../src/lib.js'
+
+describe('encoding', () => {
+  /**
+   * @param {string} content
+   * @param {import('../src/lib/interface.js').EncodingOptions} [encoding]
+   */
+  const cidOf = async (content, encoding) => {
+    const { cid } = await FilebaseClient.encodeBlob(new Blob([content]), { encoding })
+    return cid.toString()
+  }
+
+  // CIDs `ipfs add` in kubo gives the same content, e.g.
+  // `echo "hello world" | ipfs add --cid-version=1`
+  it('matches the CIDs of kubo', async () => {
+    assert.is(await cidOf('hello world\n'), 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o')
+    assert.is(await cidOf('hello world'), 'Qmf412jQZiuVUtdgnB36FXFX7xg5V6KEbSJ4dpQuhkLyfD')
+    assert.is(
+      await cidOf('hello world', { cidVersion: 1 }),
+      'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e'
+    )
+    assert.is(
+      await cidOf('hello world', { cidVersion: 1, rawLeaves: false }),
+      'bafybeihykld7uyxzogax6vgyvag42y7464eywpf55gxi5qpoisibh3c5wa'
+    )
+  })
+
+  it('uses raw leaves for CIDv1 unless told otherwise', async () => {
+    const raw = CID.parse(await cidOf('raw leaves', { cidVersion: 1 }))
+    assert.is(raw.code, 0x55)
+    const wrapped = CID.parse(await cidOf('raw leaves', { cidVersion: 1, rawLeaves: false }))
+    assert.is(wrapped.code, 0x70)
+    // The same node as CIDv0 gives
+    assert.is(wrapped.toString(), CID.parse(await cidOf('raw leaves')).toV1().toString())
+  })
+
+  it('verifies CARs encoded with any hasher it encodes with', async () => {
+    const { cid, car } = await FilebaseClient.encodeBlob(new Blob(['sha2-512 content']), {
+      encoding: { cidVersion: 1, hasher: 'sha2-512' },
+    })
+    assert.is(cid.multihash.code, sha512.code)
+    const blockstore = new MemoryBlockStore()
+    const roots = await importCar(car, blockstore)
+    assert.equal(roots.map(String), [cid.toString()])
+    await blockstore.close()
+  })
+
+  it('rejects encodings kubo would not produce', async () => {
+    const invalid = /** @type {import('../src/lib/interface.js').EncodingOptions[]} */ ([
+      { cidVersion: 0, rawLeaves: true },
+      { cidVersion: 0, hasher: 'sha2-512' },
+      { cidVersion: 1, hasher: /** @type {any} */ ('md5') },
+    ])
+    for (const encoding of invalid) {
+      try {
+        await cidOf('invalid', encoding)
+        assert.unreachable('should have thrown')
+      } catch (error) {
+        assert.instance(error, TypeError)
+      }
+    }
+  })
+})
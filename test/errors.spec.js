@@ -0,0 +1,147 @@
+import * as assert from 'uvu/assert'
+import { toServiceError } from '../src/errors.js'
+import {
+  FilebaseClient,
+  File,
+  FilebaseError,
+  AbortError,
+  InvalidTokenError,
+  AuthenticationError,
+  NotFoundError,
+  BucketNotFoundError,
+  QuotaExceededError,
+  EmptyContentError,
+  CidMismatchError,
+  InvalidCarError,
+  InvalidPathError,
+  DeleteObjectsError,
+  ServiceError,
+} from '../src/lib.js'
+
+describe('errors', () => {
+  /**
+   * An error as the S3 client throws it for an error response.
+   *
+   * @param {string} name
+   * @param {number} status
+   */
+  const s3Error = (name, status) =>
+    Object.assign(new Error(`${name} message`), {
+      name,
+      $metadata: { httpStatusCode: status, requestId: 'request-1' },
+    })
+
+  describe('toServiceError', () => {
+    const cases = /** @type {Array<[string, number, Function]>} */ ([
+      ['NoSuchBucket', 404, BucketNotFoundError],
+      ['NoSuchKey', 404, NotFoundError],
+      ['NotFound', 404, NotFoundError],
+      ['NoSuchUpload', 404, NotFoundError],
+      ['UnknownError', 404, NotFoundError],
+      ['AccessDenied', 403, AuthenticationError],
+      ['InvalidAccessKeyId', 403, AuthenticationError],
+      ['SignatureDoesNotMatch', 403, AuthenticationError],
+      ['UnknownError', 401, AuthenticationError],
+      ['QuotaExceeded', 403, QuotaExceededError],
+      ['TooManyBuckets', 400, QuotaExceededError],
+      ['SlowDown', 503, ServiceError],
+    ])
+    for (const [name, status, type] of cases) {
+      it(`maps ${name} (${status}) to ${type.name}`, () => {
+        const cause = s3Error(name, status)
+        const error = toServiceError(cause)
+        assert.instance(error, type)
+        assert.instance(error, FilebaseError)
+        const { message, requestId } = /** @type {FilebaseError} */ (error)
+        assert.is(message, `${name} message`)
+        assert.is(requestId, 'request-1')
+        assert.is(/** @type {FilebaseError} */ (error).cause, cause)
+      })
+    }
+
+    it('keeps the code and status of other errors', () => {
+      const error = /** @type {ServiceError} */ (toServiceError(s3Error('SlowDown', 503)))
+      assert.is(error.code, 'SlowDown')
+      assert.is(error.status, 503)
+    })
+
+    it('prefers the S3 error code to the name', () => {
+      const error = toServiceError({
+        name: 'Error',
+        Code: 'NoSuchKey',
+        message: 'missing',
+        $metadata: { httpStatusCode: 400 },
+      })
+      assert.instance(error, NotFoundError)
+    })
+
+    it('returns errors that are not service responses as they are', () => {
+      const network = new TypeError('fetch failed')
+      assert.is(toServiceError(network), network)
+      const mapped = new NotFoundError('missing')
+      assert.is(toServiceError(mapped), mapped)
+      assert.is(toServiceError(undefined), undefined)
+    })
+  })
+
+  describe('classes', () => {
+    it('have a name and a code', () => {
+      const errors = [
+        [new AbortError(), 'AbortError', 'ABORT_ERR'],
+        [new InvalidTokenError('bad token'), 'InvalidTokenError', 'INVALID_TOKEN'],
+        [new AuthenticationError('denied'), 'AuthenticationError', 'AUTHENTICATION_FAILED'],
+        [new NotFoundError('missing'), 'NotFoundError', 'NOT_FOUND'],
+        [new BucketNotFoundError('missing'), 'BucketNotFoundError', 'BUCKET_NOT_FOUND'],
+        [new QuotaExceededError('full'), 'QuotaExceededError', 'QUOTA_EXCEEDED'],
+        [new EmptyContentError('empty'), 'EmptyContentError', 'EMPTY_CONTENT'],
+        [new InvalidCarError('bad CAR'), 'InvalidCarError', 'INVALID_CAR'],
+        [new InvalidPathError('bad path'), 'InvalidPathError', 'INVALID_PATH'],
+        [new CidMismatchError('a', 'b'), 'CidMismatchError', 'CID_MISMATCH'],
+        [new DeleteObjectsError([{ key: 'a' }]), 'DeleteObjectsError', 'DELETE_FAILED'],
+        [new ServiceError('failed'), 'ServiceError', 'SERVICE_ERROR'],
+      ]
+      for (const [error, name, code] of errors) {
+        assert.instance(error, FilebaseError)
+        assert.instance(error, Error)
+        assert.is(/** @type {FilebaseError} */ (error).name, name)
+        assert.is(/** @type {FilebaseError} */ (error).code, code)
+      }
+      assert.instance(new BucketNotFoundError('missing'), NotFoundError)
+    })
+
+    it('describe mismatching CIDs', () => {
+      const error = new CidMismatchError('expected-cid', 'actual-cid', { requestId: 'request-1' })
+      assert.is(error.expected, 'expected-cid')
+      assert.is(error.actual, 'actual-cid')
+      assert.is(error.requestId, 'request-1')
+      assert.match(error.message, /actual-cid.*expected-cid/)
+    })
+
+    it('list the objects that failed to be deleted', () => {
+      const failures = Array.from({ length: 12 }, (_, index) => ({ key: `key-${index}`, code: 'AccessDenied' }))
+      const error = new DeleteObjectsError(failures)
+      assert.equal(error.keys, failures.map(({ key }) => key))
+      assert.equal(error.errors, failures)
+      assert.match(error.message, /^Failed to delete 12 object\(s\): key-0, .*key-9, 2 more$/)
+    })
+  })
+
+  describe('raised by the client', () => {
+    it('rejects invalid paths with an InvalidPathError', async () => {
+      const invalid = [
+        [new File(['a'], '../escape.txt')],
+        [new File(['a'], './')],
+        [new File(['a'], 'dir/a.txt'), new File(['b'], 'dir/a.txt')],
+        [new File(['a'], 'dir/a'), new File(['b'], 'dir/a/b.txt')],
+      ]
+      for (const files of invalid) {
+        try {
+          await FilebaseClient.encodeDirectory(files)
+          assert.unreachable('should have thrown')
+        } catch (error) {
+          assert.instance(error, InvalidPathError)
+        }
+      }
+    })
+  })
+})
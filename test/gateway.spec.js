@@ -0,0 +1,133 @@
+import * as assert from 'uvu/assert'
+import {
+  FilebaseClient,
+  File,
+  Blob,
+  CidMismatchError,
+  InvalidPathError,
+  NotFoundError,
+  ServiceError,
+  fetchVerified,
+  toGatewayURL,
+} from '../src/lib.js'
+
+describe('gateway', () => {
+  /**
+   * @param {AsyncIterable<Uint8Array>} source
+   */
+  const toBytes = async (source) => {
+    /** @type {Uint8Array[]} */
+    const chunks = []
+    for await (const chunk of source) {
+      chunks.push(chunk)
+    }
+    return new Uint8Array(await new Blob(chunks).arrayBuffer())
+  }
+
+  /**
+   * A gateway that answers every request with the given CAR and records the
+   * URLs it was asked for.
+   *
+   * @param {Uint8Array} car
+   * @param {ResponseInit} [init]
+   */
+  const stubGateway = (car, init) => {
+    /** @type {string[]} */
+    const requests = []
+    /** @type {typeof globalThis.fetch} */
+    const fetch = async (url) => {
+      requests.push(String(url))
+      return new Response(car, init)
+    }
+    return { requests, fetch }
+  }
+
+  it('turns ipfs:// URLs into gateway URLs', () => {
+    assert.is(
+      toGatewayURL('ipfs://bafkqaaa/cat.png').href,
+      'https://ipfs.filebase.io/ipfs/bafkqaaa/cat.png'
+    )
+    assert.is(
+      toGatewayURL('ipfs://bafkqaaa', { gateway: 'https://dweb.link' }).href,
+      'https://dweb.link/ipfs/bafkqaaa'
+    )
+    assert.is(toGatewayURL('https://example.com/a').href, 'https://example.com/a')
+  })
+
+  it('fetches and verifies a file', async () => {
+    const encoded = await FilebaseClient.encodeBlob(new Blob(['hello gateway']))
+    const gateway = stubGateway(await toBytes(encoded.car))
+
+    const content = await toBytes(fetchVerified(`ipfs://${encoded.cid}`, gateway))
+    assert.is(new TextDecoder().decode(content), 'hello gateway')
+    assert.equal(gateway.requests, [`https://ipfs.filebase.io/ipfs/${encoded.cid}?format=car`])
+  })
+
+  it('fetches a file by its path in a directory', async () => {
+    const encoded = await FilebaseClient.encodeDirectory([
+      new File(['first'], 'first.txt'),
+      new File(['second'], 'nested/second file.txt'),
+    ])
+    const gateway = stubGateway(await toBytes(encoded.car))
+
+    const url = `ipfs://${encoded.cid}/nested/second%20file.txt`
+    const content = await toBytes(fetchVerified(url, { ...gateway, gateway: 'https://dweb.link' }))
+    assert.is(new TextDecoder().decode(content), 'second')
+    assert.equal(gateway.requests, [
+      `https://dweb.link/ipfs/${encoded.cid}/nested/second%20file.txt?format=car`,
+    ])
+  })
+
+  it('rejects tampered blocks', async () => {
+    const encoded = await FilebaseClient.encodeBlob(new Blob(['hello gateway']))
+    const car = await toBytes(encoded.car)
+    // The content is the last block of the CAR
+    car[car.length - 1] ^= 1
+    const gateway = stubGateway(car)
+
+    try {
+      await toBytes(fetchVerified(`ipfs://${encoded.cid}`, gateway))
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, CidMismatchError)
+    }
+  })
+
+  it('rejects failed responses', async () => {
+    const gateway = stubGateway(new Uint8Array(), { status: 504, statusText: 'Gateway Timeout' })
+    try {
+      await toBytes(fetchVerified('ipfs://bafkqaaa', gateway))
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, ServiceError)
+      assert.is(/** @type {ServiceError} */ (error).status, 504)
+    }
+
+    try {
+      await toBytes(fetchVerified('ipfs://bafkqaaa', stubGateway(new Uint8Array(), { status: 404 })))
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, NotFoundError)
+    }
+  })
+
+  it('rejects paths to directories', async () => {
+    const encoded = await FilebaseClient.encodeDirectory([new File(['first'], 'dir/first.txt')])
+    const gateway = stubGateway(await toBytes(encoded.car))
+    try {
+      await toBytes(fetchVerified(`ipfs://${encoded.cid}/dir`, gateway))
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, InvalidPathError)
+    }
+  })
+
+  it('rejects URLs that are not ipfs:// URLs', async () => {
+    try {
+      await toBytes(fetchVerified('https://example.com/a'))
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, TypeError)
+    }
+  })
+})
@@ -0,0 +1,114 @@
+import * as assert from 'uvu/assert'
+import { FilebaseClient, File, Blob, AbortError, CidMismatchError } from '../src/lib.js'
+
+const { FILEBASE_TOKEN: token, FILEBASE_ENDPOINT: endpoint } = process.env
+
+describe('get', () => {
+  const client = new FilebaseClient({ token, endpoint })
+
+  /**
+   * @param {AsyncIterable<Uint8Array>} source
+   */
+  const toBytes = async (source) => {
+    /** @type {Uint8Array[]} */
+    const chunks = []
+    for await (const chunk of source) {
+      chunks.push(chunk)
+    }
+    return new Uint8Array(await new Blob(chunks).arrayBuffer())
+  }
+
+  /**
+   * Reads every retrieved file, as their content has to be read before the
+   * next one is asked for.
+   *
+   * @param {string} cid
+   * @param {string | null} [objectName]
+   */
+  const retrieve = async (cid, objectName = null) => {
+    /** @type {Record<string, { size: number, text: string }>} */
+    const files = {}
+    for await (const file of client.get(cid, objectName)) {
+      const text = new TextDecoder().decode(await toBytes(file.stream()))
+      files[file.name] = { size: file.size, text }
+    }
+    return files
+  }
+
+  it('retrieves a file named by its CID', async () => {
+    const cid = await client.storeBlob(new Blob(['retrieved content']))
+    assert.equal(await retrieve(cid), {
+      [cid]: { size: 17, text: 'retrieved content' },
+    })
+  })
+
+  it('streams files of several chunks', async () => {
+    const content = new Uint8Array(600 * 1024).map((_, index) => index % 251)
+    const cid = await client.storeBlob(new Blob([content]), 'get-chunked')
+    let chunks = 0
+    for await (const file of client.get(cid, 'get-chunked')) {
+      assert.is(file.size, content.byteLength)
+      /** @type {Uint8Array[]} */
+      const read = []
+      for await (const chunk of file.stream()) {
+        chunks++
+        read.push(chunk)
+      }
+      assert.equal(new Uint8Array(await new Blob(read).arrayBuffer()), content)
+    }
+    assert.ok(chunks > 1)
+  })
+
+  it('retrieves nested directories by their paths', async () => {
+    const cid = await client.storeDirectory([
+      new File(['top'], 'top.txt'),
+      new File(['nested'], 'a/nested.txt'),
+      new File(['deeper'], 'a/b/c/deeper.txt'),
+    ])
+    assert.equal(await retrieve(cid), {
+      'top.txt': { size: 3, text: 'top' },
+      'a/nested.txt': { size: 6, text: 'nested' },
+      'a/b/c/deeper.txt': { size: 6, text: 'deeper' },
+    })
+  })
+
+  it('rejects corrupted blocks', async () => {
+    const encoded = await FilebaseClient.encodeBlob(new Blob(['content to corrupt']))
+    const car = await toBytes(encoded.car)
+    // The content is the last block of the CAR
+    car[car.length - 1] ^= 1
+    await client.storeCar(car, 'get-corrupted')
+    try {
+      await retrieve(encoded.cid.toString(), 'get-corrupted')
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, CidMismatchError)
+    }
+  })
+
+  it('rejects content with another root', async () => {
+    const stored = await client.storeBlob(new Blob(['other content']), 'get-other')
+    const { cid } = await FilebaseClient.encodeBlob(new Blob(['expected content']))
+    try {
+      await retrieve(cid.toString(), 'get-other')
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, CidMismatchError)
+      assert.is(/** @type {CidMismatchError} */ (error).actual, stored)
+    }
+  })
+
+  it('stops when aborted', async () => {
+    const cid = await client.storeBlob(new Blob(['aborted content']))
+    const controller = new AbortController()
+    controller.abort()
+    try {
+      for await (const _ of client.get(cid, null, { signal: controller.signal })) {
+        assert.unreachable('should not yield')
+      }
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, AbortError)
+    }
+  })
+})
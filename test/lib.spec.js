@@ -0,0 +1,150 @@
+import * as assert from 'uvu/assert'
+import { ListMultipartUploadsCommand } from '@aws-sdk/client-s3'
+import { Upload } from '@aws-sdk/lib-storage'
+import { FilebaseClient, File, Blob, CidMismatchError, AbortError } from '../src/lib.js'
+
+// Runs in Node.js and, through playwright-test, in browsers, where the
+// bundle fails to build if the client pulls in a Node.js module
+const { FILEBASE_TOKEN: token, FILEBASE_ENDPOINT: endpoint } = process.env
+
+describe('client', () => {
+  const client = new FilebaseClient({ token, endpoint })
+
+  /**
+   * @param {AsyncIterable<Uint8Array>} car
+   */
+  const toBytes = async (car) => {
+    /** @type {Uint8Array[]} */
+    const chunks = []
+    for await (const chunk of car) {
+      chunks.push(chunk)
+    }
+    return new Uint8Array(await new Blob(chunks).arrayBuffer())
+  }
+
+  describe('storeBlob', () => {
+    it('stores a blob and returns its CID', async () => {
+      const blob = new Blob(['hello world'])
+      const { cid } = await FilebaseClient.encodeBlob(blob)
+      const stored = await client.storeBlob(blob)
+      assert.is(stored, cid.toString())
+
+      const status = await client.status(stored)
+      assert.is(status.cid, stored)
+      assert.is(status.pin.status, 'pinned')
+    })
+
+    it('rejects empty blobs', async () => {
+      try {
+        await client.storeBlob(new Blob([]))
+        assert.unreachable('should have thrown')
+      } catch (error) {
+        assert.is(/** @type {Error} */ (error).name, 'EmptyContentError')
+      }
+    })
+  })
+
+  describe('storeDirectory', () => {
+    it('stores files with their paths', async () => {
+      const files = [
+        new File(['hello'], 'hello.txt'),
+        new File(['world'], 'nested/world.txt'),
+      ]
+      const { cid } = await FilebaseClient.encodeDirectory(files)
+      const stored = await client.storeDirectory(files)
+      assert.is(stored, cid.toString())
+
+      const names = []
+      for await (const file of client.get(stored)) {
+        names.push(file.name)
+      }
+      assert.equal(names.sort(), ['hello.txt', 'nested/world.txt'])
+    })
+  })
+
+  describe('storeCar', () => {
+    /** @type {{ cid: string, bytes: Uint8Array }} */
+    let car
+    before(async () => {
+      const encoded = await FilebaseClient.encodeBlob(new Blob(['car content']))
+      car = { cid: encoded.cid.toString(), bytes: await toBytes(encoded.car) }
+    })
+
+    it('stores a CAR from bytes', async () => {
+      assert.is(await client.storeCar(car.bytes), car.cid)
+    })
+
+    it('stores a CAR from a blob', async () => {
+      assert.is(await client.storeCar(new Blob([car.bytes])), car.cid)
+    })
+
+    it('stores a CAR from a web stream', async () => {
+      const stream = /** @type {ReadableStream<Uint8Array>} */ (new Blob([car.bytes]).stream())
+      assert.is(await client.storeCar(stream), car.cid)
+    })
+
+    it('checks the stored CID against the expected one', async () => {
+      const other = await FilebaseClient.encodeBlob(new Blob(['other content']))
+      try {
+        await client.storeCar(car.bytes, 'mismatch', { expectedCid: other.cid.toString() })
+        assert.unreachable('should have thrown')
+      } catch (error) {
+        assert.instance(error, CidMismatchError)
+      }
+    })
+
+    it('aborts the upload when the signal is aborted mid-upload', async function () {
+      this.timeout(10000)
+      // Large enough for a multipart upload of a few parts
+      const content = new Uint8Array(11 * 1024 * 1024).map((_, index) => (index * 7919) % 251)
+      const { car: large } = await FilebaseClient.encodeBlob(new Blob([content]))
+      const bytes = await toBytes(large)
+
+      const { abort } = Upload.prototype
+      let aborted = 0
+      Upload.prototype.abort = function () {
+        aborted++
+        return abort.call(this)
+      }
+      const controller = new AbortController()
+      try {
+        await client.storeCar(bytes, 'aborted-upload', {
+          signal: controller.signal,
+          onStoredChunk: () => controller.abort(),
+        })
+        assert.unreachable('should have thrown')
+      } catch (error) {
+        assert.instance(error, AbortError)
+      } finally {
+        Upload.prototype.abort = abort
+      }
+      assert.is(aborted, 1)
+
+      // The multipart upload is aborted on the service after the upload
+      // rejected, in the background
+      const list = new ListMultipartUploadsCommand({ Bucket: client.bucket, Prefix: 'aborted-upload' })
+      let uploads = ['aborted-upload']
+      for (let attempt = 0; attempt < 50 && uploads.length > 0; attempt++) {
+        await new Promise((resolve) => setTimeout(resolve, 20))
+        const { Uploads } = await client.service.client.send(list)
+        uploads = (Uploads || []).map(({ Key = '' }) => Key)
+      }
+      assert.equal(uploads, [])
+    })
+  })
+
+  describe('store', () => {
+    it('stores an NFT with its assets', async () => {
+      const token = await client.store({
+        name: 'test',
+        description: 'test NFT',
+        image: new File(['fake image'], 'cat.png', { type: 'image/png' }),
+      })
+      assert.match(token.url, /^ipfs:\/\/.+\/metadata\.json$/)
+      assert.match(String(token.data.image), /^ipfs:\/\/[^/]+\/cat\.png$/)
+
+      const status = await client.status(token.ipnft)
+      assert.is(status.cid, token.ipnft)
+    })
+  })
+})
@@ -0,0 +1,100 @@
+import * as assert from 'uvu/assert'
+import { FilebaseClient, Blob, AbortError, ServiceError } from '../src/lib.js'
+
+const { FILEBASE_TOKEN: token, FILEBASE_ENDPOINT: endpoint } = process.env
+
+describe('list', () => {
+  const client = new FilebaseClient({ token, endpoint })
+
+  /**
+   * @param {number} ms
+   */
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+  /**
+   * @param {import('../src/lib/interface.js').ListOptions} options
+   */
+  const keysOf = async (options) => {
+    const keys = []
+    for await (const { key } of client.list(options)) {
+      keys.push(key)
+    }
+    return keys
+  }
+
+  /** @type {string[]} */
+  const cids = []
+  /** @type {Date} */
+  let between
+  before(async () => {
+    for (const name of ['a', 'b', 'c', 'd', 'e']) {
+      cids.push(await client.storeBlob(new Blob([`listed ${name}`]), `list/${name}`))
+      if (name === 'b') {
+        await sleep(10)
+        between = new Date()
+        await sleep(10)
+      }
+    }
+    await client.putObject('list/plain', new Blob(['not a CAR']))
+  })
+
+  it('lists objects and looks their status up when asked', async () => {
+    const items = []
+    for await (const item of client.list({ prefix: 'list/', limit: 2 })) {
+      items.push(item)
+    }
+    assert.equal(items.map(({ key }) => key), ['list/a', 'list/b'])
+    const [item] = items
+    assert.ok(item)
+    assert.is(item.size, (await client.headObject('list/a')).size)
+    assert.instance(item.created, Date)
+    assert.is(item.etag, '"list/a"')
+
+    const status = await item.status()
+    assert.is(status.cid, cids[0])
+    assert.is(status.size, item.size)
+  })
+
+  it('fails to look up the status of objects that are not CARs', async () => {
+    let listed = 0
+    for await (const item of client.list({ prefix: 'list/plain' })) {
+      listed++
+      try {
+        await item.status()
+        assert.unreachable('should have thrown')
+      } catch (error) {
+        assert.instance(error, ServiceError)
+      }
+    }
+    assert.is(listed, 1)
+  })
+
+  it('lists every object with the prefix', async () => {
+    assert.equal(await keysOf({ prefix: 'list/' }), [
+      'list/a',
+      'list/b',
+      'list/c',
+      'list/d',
+      'list/e',
+      'list/plain',
+    ])
+    assert.equal(await keysOf({ prefix: 'list/c' }), ['list/c'])
+  })
+
+  it('lists objects created before a date up to the limit', async () => {
+    assert.equal(await keysOf({ prefix: 'list/', before: between }), ['list/a', 'list/b'])
+    assert.equal(await keysOf({ prefix: 'list/', before: between.toISOString(), limit: 1 }), ['list/a'])
+    assert.equal(await keysOf({ prefix: 'list/', before: new Date(0) }), [])
+  })
+
+  it('stops when aborted', async () => {
+    const controller = new AbortController()
+    controller.abort()
+    try {
+      await keysOf({ prefix: 'list/', signal: controller.signal })
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, AbortError)
+    }
+  })
+})
@@ -0,0 +1,463 @@
+import http from 'http'
+import { CarReader } from '@ipld/car'
+
+/**
+ * A mock of the parts of the Filebase S3 API the client uses, keeping objects
+ * in memory. Like the service it reads the root of uploaded CARs and stores
+ * it as the `cid` metadata of the object. CORS is allowed from any origin,
+ * so it can be used from browsers as well.
+ *
+ * Uploads of the second shard of content named `fail-*` are rejected, which
+ * is how failing sharded uploads are tested, and batch deletes of objects
+ * with `locked` in their name fail for those objects. Downloads of objects
+ * named `throttled-<count>-<seconds>` are throttled the first `<count>` times
+ * with a `SlowDown` error that asks to retry after `<seconds>`. The second
+ * part of multipart uploads to objects named `interrupted-*` is rejected the
+ * first time it is uploaded, which is how resuming uploads is tested.
+ *
+ * Objects keep the content type, metadata and tags they are uploaded or
+ * tagged with, which copies of them take over unless they are replaced.
+ * Like some S3 compatible services, asking for the tags of an object without
+ * any fails with a `NoSuchTagSet` error, and tagging requests for objects
+ * named `untaggable-*` are denied.
+ *
+ * Presigned URLs are accepted without checking their signature, but like
+ * the service uploads to them are rejected when the body does not match a
+ * CRC32 checksum in the query string.
+ *
+ * @typedef {{ metadata: Record<string, string>, tags: Record<string, string>, contentType: string }} ObjectProperties
+ * @typedef {ObjectProperties & { body: Uint8Array, modified: Date }} StoredObject
+ * @typedef {ObjectProperties & { key: string, parts: Map<number, { body: Uint8Array, etag: string }>, uploaded: number }} MultipartUpload
+ */
+
+export const ACCESS_KEY = 'mock-key'
+export const SECRET = 'mock-secret'
+export const BUCKET = 'mock-bucket'
+
+/**
+ * Starts the mock on a free port.
+ *
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+export const listen = async () => {
+  /** @type {Map<string, StoredObject>} */
+  const objects = new Map()
+  /** @type {Map<string, MultipartUpload>} */
+  const uploads = new Map()
+  /** @type {Map<string, number>} */
+  const throttled = new Map()
+  /** @type {Set<string>} */
+  const interrupted = new Set()
+  let uploadCount = 0
+
+  const server = http.createServer((request, response) => {
+    handle(request, response, { objects, uploads, throttled, interrupted, nextUploadId: () => `upload-${++uploadCount}` })
+      .catch((error) => {
+        send(response, 500, errorDocument('InternalError', String(error)))
+      })
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(undefined)))
+  const { port } = /** @type {import('net').AddressInfo} */ (server.address())
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  }
+}
+
+/**
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ * @param {object} state
+ * @param {Map<string, StoredObject>} state.objects
+ * @param {Map<string, MultipartUpload>} state.uploads
+ * @param {Map<string, number>} state.throttled
+ * @param {Set<string>} state.interrupted
+ * @param {() => string} state.nextUploadId
+ */
+const handle = async (request, response, { objects, uploads, throttled, interrupted, nextUploadId }) => {
+  response.setHeader('access-control-allow-origin', '*')
+  response.setHeader('access-control-expose-headers', 'etag, retry-after, x-amz-meta-cid, x-amz-request-id')
+  if (request.method === 'OPTIONS') {
+    response.setHeader('access-control-allow-methods', 'GET, HEAD, PUT, POST, DELETE')
+    response.setHeader('access-control-allow-headers', request.headers['access-control-request-headers'] || '*')
+    return send(response, 204)
+  }
+
+  const url = new URL(request.url || '/', 'http://localhost')
+  const [, bucket = '', ...path] = url.pathname.split('/').map(decodeURIComponent)
+  const key = path.join('/')
+  const query = url.searchParams
+  if (bucket !== BUCKET) {
+    return send(response, 404, errorDocument('NoSuchBucket', `Bucket ${bucket} does not exist`))
+  }
+
+  if (key === '') {
+    if (request.method === 'GET' && query.get('list-type') === '2') {
+      return send(response, 200, listDocument(objects, query))
+    }
+    if (request.method === 'GET' && query.has('uploads')) {
+      const prefix = query.get('prefix') || ''
+      const listed = [...uploads.entries()]
+        .filter(([, upload]) => upload.key.startsWith(prefix))
+        .map(([id, upload]) => `<Upload><Key>${escapeXml(upload.key)}</Key><UploadId>${id}</UploadId></Upload>`)
+      return send(response, 200, `<ListMultipartUploadsResult><Bucket>${BUCKET}</Bucket><IsTruncated>false</IsTruncated>${listed.join('')}</ListMultipartUploadsResult>`)
+    }
+    if (request.method === 'POST' && query.has('delete')) {
+      const body = new TextDecoder().decode(await readBody(request))
+      const errors = []
+      for (const [, name = ''] of body.matchAll(/<Key>([^<]*)<\/Key>/g)) {
+        if (unescapeXml(name).includes('locked')) {
+          errors.push(`<Error><Key>${name}</Key><Code>AccessDenied</Code><Message>Access Denied</Message></Error>`)
+        } else {
+          objects.delete(unescapeXml(name))
+        }
+      }
+      return send(response, 200, `<DeleteResult>${errors.join('')}</DeleteResult>`)
+    }
+    return send(response, 400, errorDocument('InvalidRequest', 'Unsupported bucket request'))
+  }
+
+  const uploadId = query.get('uploadId')
+  if (request.method === 'POST' && query.has('uploads')) {
+    const id = nextUploadId()
+    uploads.set(id, { key, ...readProperties(request, query), parts: new Map(), uploaded: 0 })
+    return send(response, 200, `<InitiateMultipartUploadResult><Bucket>${BUCKET}</Bucket><Key>${escapeXml(key)}</Key><UploadId>${id}</UploadId></InitiateMultipartUploadResult>`)
+  }
+  if (uploadId !== null) {
+    const upload = uploads.get(uploadId)
+    if (!upload) {
+      return send(response, 404, errorDocument('NoSuchUpload', `Upload ${uploadId} does not exist`))
+    }
+    if (request.method === 'PUT') {
+      const body = await readBody(request)
+      if (!matchesChecksum(body, query)) {
+        return send(response, 400, errorDocument('BadDigest', 'The CRC32 you specified did not match the calculated checksum'))
+      }
+      const partNumber = Number(query.get('partNumber'))
+      if (key.startsWith('interrupted-') && partNumber === 2 && !interrupted.has(key)) {
+        interrupted.add(key)
+        return send(response, 403, errorDocument('AccessDenied', `Upload of part 2 of ${key} is rejected once`))
+      }
+      // Every upload of a part gets an ETag of its own
+      const etag = `"${partNumber}-${++upload.uploaded}"`
+      upload.parts.set(partNumber, { body, etag })
+      response.setHeader('etag', etag)
+      return send(response, 200)
+    }
+    if (request.method === 'GET') {
+      const parts = [...upload.parts.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([number, { body, etag }]) =>
+          `<Part><PartNumber>${number}</PartNumber><ETag>${escapeXml(etag)}</ETag><Size>${body.byteLength}</Size></Part>`
+        )
+      return send(response, 200, `<ListPartsResult><Bucket>${BUCKET}</Bucket><Key>${escapeXml(key)}</Key><UploadId>${uploadId}</UploadId><IsTruncated>false</IsTruncated>${parts.join('')}</ListPartsResult>`)
+    }
+    if (request.method === 'POST') {
+      // Like the service, only the listed parts make up the object and they
+      // must be the parts that were uploaded last
+      const listed = new TextDecoder().decode(await readBody(request))
+      const parts = []
+      for (const [, part = ''] of listed.matchAll(/<Part>(.*?)<\/Part>/g)) {
+        const [, number] = part.match(/<PartNumber>(\d+)<\/PartNumber>/) || []
+        const [, etag = ''] = part.match(/<ETag>(.*?)<\/ETag>/) || []
+        const uploaded = upload.parts.get(Number(number))
+        if (!uploaded || uploaded.etag !== unescapeXml(etag)) {
+          return send(response, 400, errorDocument('InvalidPart', `Part ${number} was not uploaded with ETag ${etag}`))
+        }
+        parts.push(uploaded.body)
+      }
+      uploads.delete(uploadId)
+      await storeObject(objects, key, concat(parts), upload)
+      return send(response, 200, `<CompleteMultipartUploadResult><Bucket>${BUCKET}</Bucket><Key>${escapeXml(key)}</Key><ETag>"${key}"</ETag></CompleteMultipartUploadResult>`)
+    }
+    if (request.method === 'DELETE') {
+      uploads.delete(uploadId)
+      return send(response, 204)
+    }
+  }
+
+  if (query.has('tagging')) {
+    const object = objects.get(key)
+    if (!object) {
+      return send(response, 404, errorDocument('NoSuchKey', `Key ${key} does not exist`))
+    }
+    if (key.startsWith('untaggable-')) {
+      return send(response, 403, errorDocument('AccessDenied', `Tagging ${key} is denied`))
+    }
+    if (request.method === 'PUT') {
+      const body = new TextDecoder().decode(await readBody(request))
+      /** @type {Record<string, string>} */
+      const tags = {}
+      for (const [, tag = ''] of body.matchAll(/<Tag>(.*?)<\/Tag>/g)) {
+        const [, name = ''] = tag.match(/<Key>(.*?)<\/Key>/) || []
+        const [, value = ''] = tag.match(/<Value>(.*?)<\/Value>/) || []
+        tags[unescapeXml(name)] = unescapeXml(value)
+      }
+      object.tags = tags
+      return send(response, 200)
+    }
+    if (request.method === 'DELETE') {
+      object.tags = {}
+      return send(response, 204)
+    }
+    const tags = Object.entries(object.tags)
+    if (tags.length === 0) {
+      return send(response, 404, errorDocument('NoSuchTagSet', 'The TagSet does not exist'))
+    }
+    const tagSet = tags.map(([name, value]) => `<Tag><Key>${escapeXml(name)}</Key><Value>${escapeXml(value)}</Value></Tag>`)
+    return send(response, 200, `<Tagging><TagSet>${tagSet.join('')}</TagSet></Tagging>`)
+  }
+
+  const copySource = request.headers['x-amz-copy-source']
+  if (request.method === 'PUT' && typeof copySource === 'string') {
+    const [, sourceBucket = '', sourceKey = ''] = copySource.match(/^\/?([^/]*)\/(.*)$/) || []
+    if (sourceBucket !== BUCKET) {
+      return send(response, 404, errorDocument('NoSuchBucket', `Bucket ${sourceBucket} does not exist`))
+    }
+    const source = objects.get(decodeURIComponent(sourceKey))
+    if (!source) {
+      return send(response, 404, errorDocument('NoSuchKey', `Key ${decodeURIComponent(sourceKey)} does not exist`))
+    }
+    const properties = request.headers['x-amz-metadata-directive'] === 'REPLACE'
+      ? { ...readProperties(request, query), tags: source.tags }
+      : source
+    await storeObject(objects, key, source.body, properties)
+    return send(response, 200, `<CopyObjectResult><ETag>"${key}"</ETag><LastModified>${new Date().toISOString()}</LastModified></CopyObjectResult>`)
+  }
+
+  if (request.method === 'PUT') {
+    if (/^fail-[^/]*\/shards\/0*1$/.test(key)) {
+      return send(response, 403, errorDocument('AccessDenied', `Uploads to ${key} are rejected`))
+    }
+    const body = await readBody(request)
+    if (!matchesChecksum(body, query)) {
+      return send(response, 400, errorDocument('BadDigest', 'The CRC32 you specified did not match the calculated checksum'))
+    }
+    await storeObject(objects, key, body, readProperties(request, query))
+    response.setHeader('etag', `"${key}"`)
+    return send(response, 200)
+  }
+
+  const [, count = '0', seconds = '0'] = key.match(/^throttled-(\d+)-(\d+)$/) || []
+  if (request.method === 'GET' && (throttled.get(key) || 0) < Number(count)) {
+    throttled.set(key, (throttled.get(key) || 0) + 1)
+    response.setHeader('retry-after', seconds)
+    return send(response, 503, errorDocument('SlowDown', 'Please reduce your request rate'))
+  }
+
+  const object = objects.get(key)
+  if (request.method === 'DELETE') {
+    objects.delete(key)
+    return send(response, 204)
+  }
+  if (!object) {
+    return send(response, 404, request.method === 'HEAD' ? undefined : errorDocument('NoSuchKey', `Key ${key} does not exist`))
+  }
+  response.setHeader('content-length', object.body.byteLength)
+  response.setHeader('content-type', object.contentType)
+  response.setHeader('last-modified', object.modified.toUTCString())
+  response.setHeader('etag', `"${key}"`)
+  const metadata = Object.entries(object.metadata).map(([name, value]) => {
+    response.setHeader(`x-amz-meta-${name}`, value)
+    return `x-amz-meta-${name}`
+  })
+  // Browsers only show the metadata of an object to scripts when exposed
+  response.setHeader('access-control-expose-headers', ['etag', 'x-amz-request-id', ...metadata].join(', '))
+  if (request.method === 'HEAD') {
+    return response.end()
+  }
+  return response.end(object.body)
+}
+
+/**
+ * Stores an object, with the root of the CAR as its `cid` metadata when it
+ * was imported as one.
+ *
+ * @param {Map<string, StoredObject>} objects
+ * @param {string} key
+ * @param {Uint8Array} body
+ * @param {ObjectProperties} properties
+ */
+const storeObject = async (objects, key, body, { metadata, tags, contentType }) => {
+  if (metadata['import'] === 'car') {
+    const [root] = await (await CarReader.fromBytes(body)).getRoots()
+    metadata = { ...metadata, cid: String(root) }
+  }
+  objects.set(key, { body, metadata, tags, contentType, modified: new Date() })
+}
+
+/**
+ * @param {Map<string, StoredObject>} objects
+ * @param {URLSearchParams} query
+ */
+const listDocument = (objects, query) => {
+  const prefix = query.get('prefix') || ''
+  const maxKeys = Number(query.get('max-keys') || 1000)
+  // Continuation tokens are the last key of the previous page
+  const after = query.get('continuation-token') || ''
+  const matching = [...objects.entries()]
+    .filter(([key]) => key.startsWith(prefix) && key > after)
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+  const page = matching.slice(0, maxKeys)
+  const contents = page.map(([key, { body, modified }]) =>
+    `<Contents><Key>${escapeXml(key)}</Key><Size>${body.byteLength}</Size><LastModified>${modified.toISOString()}</LastModified><ETag>"${escapeXml(key)}"</ETag></Contents>`
+  )
+  const [last] = page.slice(-1)
+  const next = matching.length > page.length && last
+    ? `<IsTruncated>true</IsTruncated><NextContinuationToken>${escapeXml(last[0])}</NextContinuationToken>`
+    : '<IsTruncated>false</IsTruncated>'
+  return `<ListBucketResult><Name>${BUCKET}</Name><Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${contents.length}</KeyCount>${next}${contents.join('')}</ListBucketResult>`
+}
+
+/**
+ * Reads user metadata from the headers of a request, or from its query
+ * string when it was sent to a presigned URL.
+ *
+ * @param {http.IncomingMessage} request
+ * @param {URLSearchParams} query
+ * @returns {Record<string, string>}
+ */
+const readMetadata = (request, query) => {
+  /** @type {Record<string, string>} */
+  const metadata = {}
+  for (const [name, value] of [...Object.entries(request.headers), ...query.entries()]) {
+    if (name.startsWith('x-amz-meta-') && typeof value === 'string') {
+      metadata[name.slice('x-amz-meta-'.length)] = value
+    }
+  }
+  return metadata
+}
+
+/**
+ * Reads the metadata, tags and content type an object is uploaded with.
+ *
+ * @param {http.IncomingMessage} request
+ * @param {URLSearchParams} query
+ * @returns {ObjectProperties}
+ */
+const readProperties = (request, query) => ({
+  metadata: readMetadata(request, query),
+  tags: readTags(request),
+  contentType: request.headers['content-type'] || 'binary/octet-stream',
+})
+
+/**
+ * Reads the tags of the `x-amz-tagging` header, which are encoded like a
+ * query string.
+ *
+ * @param {http.IncomingMessage} request
+ */
+const readTags = (request) => {
+  const tagging = request.headers['x-amz-tagging']
+  return Object.fromEntries(new URLSearchParams(typeof tagging === 'string' ? tagging : ''))
+}
+
+/**
+ * @param {Uint8Array} body
+ * @param {URLSearchParams} query
+ */
+const matchesChecksum = (body, query) => {
+  const expected = query.get('x-amz-checksum-crc32')
+  return expected === null || expected === Buffer.from(crc32(body)).toString('base64')
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} The big-endian CRC32 of the bytes
+ */
+const crc32 = (bytes) => {
+  let crc = 0xffffffff
+  for (const byte of bytes) {
+    crc ^= byte
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1
+    }
+  }
+  const checksum = new Uint8Array(4)
+  new DataView(checksum.buffer).setUint32(0, (crc ^ 0xffffffff) >>> 0)
+  return checksum
+}
+
+/**
+ * Reads a request body, decoding the `aws-chunked` encoding the SDK may
+ * stream bodies with.
+ *
+ * @param {http.IncomingMessage} request
+ * @returns {Promise<Uint8Array>}
+ */
+const readBody = async (request) => {
+  /** @type {Uint8Array[]} */
+  const chunks = []
+  for await (const chunk of request) {
+    chunks.push(chunk)
+  }
+  const body = concat(chunks)
+  const encoding = request.headers['content-encoding'] || ''
+  return encoding.includes('aws-chunked') ? decodeAwsChunked(body) : body
+}
+
+/**
+ * @param {Uint8Array} body
+ */
+const decodeAwsChunked = (body) => {
+  const text = new TextDecoder('latin1')
+  /** @type {Uint8Array[]} */
+  const chunks = []
+  let offset = 0
+  for (;;) {
+    const end = body.indexOf(0x0d, offset)
+    const size = parseInt(text.decode(body.subarray(offset, end)).split(';')[0] || '0', 16)
+    if (size === 0) {
+      return concat(chunks)
+    }
+    const start = end + 2
+    chunks.push(body.subarray(start, start + size))
+    offset = start + size + 2
+  }
+}
+
+/**
+ * @param {Uint8Array[]} chunks
+ */
+const concat = (chunks) => {
+  const bytes = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.byteLength, 0))
+  let offset = 0
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset)
+    offset += chunk.byteLength
+  }
+  return bytes
+}
+
+/**
+ * @param {http.ServerResponse} response
+ * @param {number} status
+ * @param {string} [body]
+ */
+const send = (response, status, body) => {
+  response.statusCode = status
+  if (body) {
+    response.setHeader('content-type', 'application/xml')
+  }
+  response.end(body)
+}
+
+/**
+ * @param {string} code
+ * @param {string} message
+ */
+const errorDocument = (code, message) =>
+  `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${escapeXml(message)}</Message></Error>`
+
+/**
+ * @param {string} value
+ */
+const escapeXml = (value) =>
+  value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+/**
+ * @param {string} value
+ */
+const unescapeXml = (value) =>
+  value.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&')
@@ -0,0 +1,45 @@
+import * as assert from 'uvu/assert'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { Readable } from 'stream'
+import { toCarSource, toCarSize } from '../../src/car-source.js'
+import { FilebaseClient, Blob } from '../../src/lib.js'
+
+describe('CAR sources in Node.js', () => {
+  /** @type {string} */
+  let directory
+  /** @type {Uint8Array} */
+  let bytes
+  before(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'filebase-car-'))
+    const { car } = await FilebaseClient.encodeBlob(new Blob(['car file']))
+    bytes = await bytesOf(car)
+    await fs.promises.writeFile(path.join(directory, 'content.car'), bytes)
+  })
+  after(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true })
+  })
+
+  /**
+   * @param {AsyncIterable<Uint8Array>} source
+   */
+  const bytesOf = async (source) => {
+    /** @type {Uint8Array[]} */
+    const chunks = []
+    for await (const chunk of source) {
+      chunks.push(chunk)
+    }
+    return new Uint8Array(Buffer.concat(chunks))
+  }
+
+  it('reads CAR files by their path', async () => {
+    const file = path.join(directory, 'content.car')
+    assert.equal(await bytesOf(toCarSource(file)), bytes)
+    assert.is(await toCarSize(file), undefined)
+  })
+
+  it('reads Node.js readable streams', async () => {
+    assert.equal(await bytesOf(toCarSource(Readable.from([bytes.subarray(0, 10), bytes.subarray(10)]))), bytes)
+  })
+})
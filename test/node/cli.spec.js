@@ -0,0 +1,220 @@
+import * as assert from 'uvu/assert'
+import { spawn } from 'child_process'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { FilebaseClient, File } from '../../src/lib.js'
+
+const bin = fileURLToPath(new URL('../../bin/filebase.js', import.meta.url))
+
+/**
+ * Runs the command-line tool against the mock service and collects its
+ * output.
+ *
+ * @param {string[]} args
+ * @returns {Promise<{ code: number | null, stdout: string, stderr: string }>}
+ */
+const run = (args) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [bin, ...args], {
+      env: { ...process.env, NODE_NO_WARNINGS: '1' },
+    })
+    let stdout = ''
+    let stderr = ''
+    child.stdout.on('data', (data) => { stdout += data })
+    child.stderr.on('data', (data) => { stderr += data })
+    child.on('error', reject)
+    child.on('close', (code) => resolve({ code, stdout, stderr }))
+  })
+
+describe('filebase command', () => {
+  /** @type {string} */
+  let directory
+  before(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'filebase-cli-'))
+    await fs.promises.writeFile(path.join(directory, 'hello.txt'), 'hello world')
+    await fs.promises.mkdir(path.join(directory, 'site', 'assets'), { recursive: true })
+    await fs.promises.writeFile(path.join(directory, 'site', 'index.html'), '<h1>hello</h1>')
+    await fs.promises.writeFile(path.join(directory, 'site', 'assets', 'style.css'), 'h1 {}')
+  })
+  after(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true })
+  })
+
+  describe('arguments', () => {
+    it('prints the usage with --help', async () => {
+      const { code, stdout } = await run(['--help'])
+      assert.is(code, 0)
+      assert.match(stdout, /^Usage: filebase <command>/)
+    })
+
+    it('prints the usage and fails for unknown commands', async () => {
+      const { code, stdout } = await run(['frobnicate'])
+      assert.is(code, 2)
+      assert.match(stdout, /^Usage: filebase <command>/)
+    })
+
+    it('rejects unknown options', async () => {
+      const { code, stderr } = await run(['ls', '--frobnicate'])
+      assert.is(code, 2)
+      assert.match(stderr, /Unknown option --frobnicate/)
+    })
+
+    it('rejects options without a value', async () => {
+      const { code, stderr } = await run(['ls', '--prefix'])
+      assert.is(code, 2)
+      assert.match(stderr, /Missing value for --prefix/)
+    })
+
+    it('rejects missing arguments', async () => {
+      const { code, stderr } = await run(['status'])
+      assert.is(code, 2)
+      assert.match(stderr, /Usage: filebase status <cid>/)
+    })
+
+    for (const limit of ['0', '-1', '1.5', 'ten', '']) {
+      it(`rejects --limit=${limit}`, async () => {
+        const { code, stderr } = await run(['ls', `--limit=${limit}`])
+        assert.is(code, 2)
+        assert.match(stderr, /--limit must be a positive integer/)
+      })
+    }
+  })
+
+  describe('commands', () => {
+    it('puts a single file as a file', async () => {
+      const file = path.join(directory, 'hello.txt')
+      const put = await run(['put', file])
+      assert.is(put.code, 0, put.stderr)
+      const { cid } = await FilebaseClient.encodeBlob(new File(['hello world'], 'hello.txt'))
+      assert.is(put.stdout, `${cid}\n`)
+    })
+
+    it('puts a directory and gets it back', async () => {
+      const put = await run(['put', path.join(directory, 'site')])
+      assert.is(put.code, 0, put.stderr)
+      const cid = put.stdout.trim()
+
+      const output = path.join(directory, 'output')
+      const get = await run(['get', cid, '-o', output])
+      assert.is(get.code, 0, get.stderr)
+      assert.is(
+        await fs.promises.readFile(path.join(output, 'site', 'index.html'), 'utf8'),
+        '<h1>hello</h1>'
+      )
+      assert.is(
+        await fs.promises.readFile(path.join(output, 'site', 'assets', 'style.css'), 'utf8'),
+        'h1 {}'
+      )
+    })
+
+    it('skips files it cannot read when putting a directory', async () => {
+      const site = path.join(directory, 'site')
+      const broken = path.join(site, 'broken.txt')
+      await fs.promises.symlink(path.join(directory, 'missing.txt'), broken)
+      try {
+        const put = await run(['put', site])
+        assert.is(put.code, 0, put.stderr)
+        assert.match(put.stderr, `Skipping ${broken}`)
+        const { cid } = await FilebaseClient.encodeDirectory([
+          new File(['h1 {}'], 'site/assets/style.css'),
+          new File(['<h1>hello</h1>'], 'site/index.html'),
+        ])
+        assert.is(put.stdout, `${cid}\n`)
+      } finally {
+        await fs.promises.unlink(broken)
+      }
+    })
+
+    it('puts a CAR file', async () => {
+      const { cid, car } = await FilebaseClient.encodeBlob(new File(['car file'], 'car.txt'))
+      const file = path.join(directory, 'content.car')
+      const chunks = []
+      for await (const chunk of car) {
+        chunks.push(chunk)
+      }
+      await fs.promises.writeFile(file, Buffer.concat(chunks))
+
+      const put = await run(['put-car', file, '--name', 'from-cli.car'])
+      assert.is(put.code, 0, put.stderr)
+      assert.is(put.stdout, `${cid}\n`)
+
+      const status = await run(['status', String(cid), '--name', 'from-cli.car', '--json'])
+      assert.is(status.code, 0, status.stderr)
+      assert.is(JSON.parse(status.stdout).cid, String(cid))
+    })
+
+    it('removes content', async () => {
+      const file = path.join(directory, 'removed.txt')
+      await fs.promises.writeFile(file, 'removed content')
+      const put = await run(['put', file])
+      assert.is(put.code, 0, put.stderr)
+      const cid = put.stdout.trim()
+
+      const rm = await run(['rm', cid, '--json'])
+      assert.is(rm.code, 0, rm.stderr)
+      assert.equal(JSON.parse(rm.stdout), { cid, deleted: true })
+
+      const status = await run(['status', cid, '--json'])
+      assert.is(status.code, 1)
+      assert.is(JSON.parse(status.stderr).error.name, 'NotFoundError')
+    })
+
+    it('stores an NFT with files referenced from its metadata', async () => {
+      await fs.promises.writeFile(path.join(directory, 'cat.png'), 'fake image')
+      const metadata = path.join(directory, 'metadata.json')
+      await fs.promises.writeFile(metadata, JSON.stringify({
+        name: 'cat',
+        description: 'a cat',
+        image: 'file:cat.png',
+      }))
+
+      const nft = await run(['nft', metadata, '--json'])
+      assert.is(nft.code, 0, nft.stderr)
+      const { cid, url } = JSON.parse(nft.stdout)
+      assert.is(url, `ipfs://${cid}/metadata.json`)
+      // The type of the image is taken from its extension
+      assert.not.match(nft.stderr, /mime type/)
+    })
+  })
+
+  describe('--json', () => {
+    it('prints results as JSON', async () => {
+      const file = path.join(directory, 'hello.txt')
+      const put = await run(['put', file, '--json'])
+      assert.is(put.code, 0, put.stderr)
+      const { cid } = JSON.parse(put.stdout)
+      assert.type(cid, 'string')
+
+      const status = await run(['status', cid, '--json'])
+      assert.is(status.code, 0, status.stderr)
+      const result = JSON.parse(status.stdout)
+      assert.is(result.cid, cid)
+      assert.is(result.pin.status, 'pinned')
+
+      const list = await run(['ls', '--json', '--limit', '1'])
+      assert.is(list.code, 0, list.stderr)
+      const items = JSON.parse(list.stdout)
+      assert.ok(Array.isArray(items))
+      assert.is(items.length, 1)
+    })
+
+    it('prints errors as JSON', async () => {
+      const cid = 'bafkreigh2akiscaildcqabsyg3dfr6chu3fgpregiymsck7e7aqa4s52zy'
+      const { code, stdout, stderr } = await run(['status', cid, '--json'])
+      assert.is(code, 1)
+      assert.is(stdout, '')
+      const { error } = JSON.parse(stderr)
+      assert.is(error.name, 'NotFoundError')
+      assert.type(error.message, 'string')
+    })
+
+    it('prints usage errors as JSON', async () => {
+      const { code, stderr } = await run(['ls', '--json', '--limit', '0'])
+      assert.is(code, 2)
+      const { error } = JSON.parse(stderr)
+      assert.match(error.message, /--limit must be a positive integer/)
+    })
+  })
+})
@@ -0,0 +1,154 @@
+import * as assert from 'uvu/assert'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { loadCredentials } from '../../src/credentials.js'
+import { readConfigFile } from '../../src/fs-config.js'
+import { createToken, InvalidTokenError } from '../../src/lib.js'
+
+const VARIABLES = [
+  'FILEBASE_TOKEN',
+  'FILEBASE_KEY',
+  'FILEBASE_SECRET',
+  'FILEBASE_BUCKET',
+  'FILEBASE_ENDPOINT',
+  'FILEBASE_PROFILE',
+  'FILEBASE_CONFIG_FILE',
+]
+
+describe('credentials from the environment', () => {
+  /** @type {string} */
+  let directory
+  /** @type {string} */
+  let config
+  /** @type {Record<string, string | undefined>} */
+  const saved = {}
+
+  before(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'filebase-config-'))
+    config = path.join(directory, 'config')
+    await fs.promises.writeFile(
+      config,
+      [
+        '[default]',
+        `token = ${createToken('default-key', 'default-secret', 'default-bucket')}`,
+        '',
+        '[backups]',
+        'key = backups-key',
+        'secret = backups-secret',
+        'bucket = backups',
+        'endpoint = https://s3.example.com',
+      ].join('\n')
+    )
+  })
+  after(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true })
+  })
+
+  beforeEach(() => {
+    for (const name of VARIABLES) {
+      saved[name] = process.env[name]
+      delete process.env[name]
+    }
+    process.env['FILEBASE_CONFIG_FILE'] = config
+  })
+  afterEach(() => {
+    for (const name of VARIABLES) {
+      const value = saved[name]
+      if (typeof value === 'undefined') {
+        delete process.env[name]
+      } else {
+        process.env[name] = value
+      }
+    }
+  })
+
+  /**
+   * @param {() => unknown} fn
+   */
+  const rejects = (fn) => {
+    try {
+      fn()
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, InvalidTokenError)
+    }
+  }
+
+  it('reads FILEBASE_TOKEN and FILEBASE_ENDPOINT', () => {
+    process.env['FILEBASE_TOKEN'] = createToken('env-key', 'env-secret', 'env-bucket')
+    process.env['FILEBASE_ENDPOINT'] = 'http://localhost:9000'
+    assert.equal(loadCredentials(), {
+      credentials: ['env-key', 'env-secret', 'env-bucket'],
+      bucket: 'env-bucket',
+      endpoint: 'http://localhost:9000',
+    })
+    assert.is(loadCredentials({ bucket: 'other' })?.bucket, 'other')
+    // An explicit token wins over the environment
+    const token = createToken('key', 'secret', 'bucket')
+    assert.is(loadCredentials({ token })?.bucket, 'bucket')
+  })
+
+  it('reads FILEBASE_KEY, FILEBASE_SECRET and FILEBASE_BUCKET', () => {
+    process.env['FILEBASE_KEY'] = 'env-key'
+    process.env['FILEBASE_SECRET'] = 'env-secret'
+    process.env['FILEBASE_BUCKET'] = 'env-bucket'
+    assert.equal(loadCredentials(), {
+      credentials: ['env-key', 'env-secret', 'env-bucket'],
+      bucket: 'env-bucket',
+      endpoint: undefined,
+    })
+
+    delete process.env['FILEBASE_SECRET']
+    rejects(() => loadCredentials())
+  })
+
+  it('reads the default profile of the config file', () => {
+    assert.equal(loadCredentials(), {
+      credentials: ['default-key', 'default-secret', 'default-bucket'],
+      bucket: 'default-bucket',
+      endpoint: undefined,
+    })
+  })
+
+  it('reads the profile it is asked for', () => {
+    const expected = {
+      credentials: ['backups-key', 'backups-secret', 'backups'],
+      bucket: 'backups',
+      endpoint: 'https://s3.example.com',
+    }
+    assert.equal(loadCredentials({ profile: 'backups' }), expected)
+    process.env['FILEBASE_PROFILE'] = 'backups'
+    assert.equal(loadCredentials(), expected)
+  })
+
+  it('rejects profiles that do not exist', () => {
+    rejects(() => loadCredentials({ profile: 'missing' }))
+    process.env['FILEBASE_PROFILE'] = 'missing'
+    rejects(() => loadCredentials())
+  })
+
+  it('finds no credentials without a config file', () => {
+    process.env['FILEBASE_CONFIG_FILE'] = path.join(directory, 'missing')
+    assert.is(loadCredentials(), undefined)
+  })
+
+  describe('readConfigFile', () => {
+    it('reads the config file', () => {
+      assert.match(readConfigFile(config) || '', /^\[default\]/)
+    })
+
+    it('returns nothing for files that do not exist', () => {
+      assert.is(readConfigFile(path.join(directory, 'missing')), undefined)
+    })
+
+    it('throws for files that cannot be read', () => {
+      try {
+        readConfigFile(directory)
+        assert.unreachable('should have thrown')
+      } catch (error) {
+        assert.is(/** @type {NodeJS.ErrnoException} */ (error).code, 'EISDIR')
+      }
+    })
+  })
+})
@@ -0,0 +1,138 @@
+import * as assert from 'uvu/assert'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { filesFromPaths, InvalidPathError } from '../../src/lib.js'
+
+describe('filesFromPaths', () => {
+  /** @type {string} */
+  let directory
+  before(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'filebase-files-'))
+    const files = {
+      'site/index.html': '<h1>hello</h1>',
+      'site/app.js': 'app',
+      'site/app.js.map': 'map',
+      'site/assets/style.css': 'h1 {}',
+      'site/.env': 'SECRET=1',
+      'site/build/out.txt': 'out',
+      'site/.gitignore': 'build/\n# comment\n',
+    }
+    for (const [name, content] of Object.entries(files)) {
+      await fs.promises.mkdir(path.join(directory, path.dirname(name)), { recursive: true })
+      await fs.promises.writeFile(path.join(directory, name), content)
+    }
+  })
+  after(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true })
+  })
+
+  /**
+   * @param {string[]} paths
+   * @param {import('../../src/lib/interface.js').FilesFromPathsOptions} [options]
+   */
+  const namesOf = async (paths, options) => {
+    const names = []
+    for await (const file of filesFromPaths(paths.map((name) => path.join(directory, name)), options)) {
+      names.push(file.name)
+    }
+    return names
+  }
+
+  it('yields the files of directories lazily', async () => {
+    const files = filesFromPaths([path.join(directory, 'site')])
+    assert.type(files[Symbol.asyncIterator], 'function')
+    for await (const file of files) {
+      assert.is(file.name, 'site/app.js')
+      assert.is(file.size, 3)
+      const chunks = []
+      for await (const chunk of file.stream()) {
+        chunks.push(chunk)
+      }
+      assert.is(Buffer.concat(chunks).toString(), 'app')
+      break
+    }
+  })
+
+  it('names files relative to the parent of the given paths', async () => {
+    assert.equal(await namesOf(['site']), [
+      'site/app.js',
+      'site/app.js.map',
+      'site/assets/style.css',
+      'site/build/out.txt',
+      'site/index.html',
+    ])
+    assert.equal(await namesOf(['site/index.html', 'site/assets']), [
+      'index.html',
+      'assets/style.css',
+    ])
+    assert.equal(await namesOf(['site/assets'], { pathPrefix: directory }), [
+      'site/assets/style.css',
+    ])
+  })
+
+  it('includes hidden files when asked to', async () => {
+    assert.ok((await namesOf(['site'], { hidden: true })).includes('site/.env'))
+  })
+
+  it('filters files by globs and ignore patterns', async () => {
+    assert.equal(await namesOf(['site'], { glob: '**/*.css' }), ['site/assets/style.css'])
+    assert.equal(
+      await namesOf(['site'], {
+        ignore: ['*.map'],
+        ignoreFile: path.join(directory, 'site', '.gitignore'),
+      }),
+      ['site/app.js', 'site/assets/style.css', 'site/index.html']
+    )
+  })
+
+  it('skips and reports entries that cannot be read', async () => {
+    const broken = path.join(directory, 'site', 'broken')
+    await fs.promises.symlink(path.join(directory, 'missing'), broken)
+    try {
+      /** @type {string[]} */
+      const skipped = []
+      const names = await namesOf(['site'], {
+        onError: (error, file) => {
+          assert.is(/** @type {NodeJS.ErrnoException} */ (error).code, 'ENOENT')
+          skipped.push(file)
+        },
+      })
+      assert.equal(skipped, [broken])
+      assert.is(names.length, 5)
+      // Without a handler they are skipped all the same
+      assert.is((await namesOf(['site'])).length, 5)
+    } finally {
+      await fs.promises.unlink(broken)
+    }
+  })
+
+  it('does not follow symlinks back to a directory it is in', async () => {
+    const loop = path.join(directory, 'site', 'assets', 'loop')
+    await fs.promises.symlink(path.join(directory, 'site', 'assets'), loop)
+    try {
+      assert.equal(await namesOf(['site/assets']), ['assets/style.css'])
+      assert.equal(await namesOf(['site/assets'], { followSymlinks: false }), ['assets/style.css'])
+    } finally {
+      await fs.promises.unlink(loop)
+    }
+  })
+
+  it('rejects given paths that cannot be read', async () => {
+    try {
+      await namesOf(['missing'])
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.is(/** @type {NodeJS.ErrnoException} */ (error).code, 'ENOENT')
+    }
+  })
+
+  it('rejects files outside of the path prefix', async () => {
+    try {
+      await namesOf(['site'], { pathPrefix: path.join(directory, 'site', 'assets') })
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, InvalidPathError)
+    }
+  })
+})
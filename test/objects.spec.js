@@ -0,0 +1,157 @@
+import * as assert from 'uvu/assert'
+import {
+  FilebaseClient,
+  Blob,
+  AbortError,
+  NotFoundError,
+  BucketNotFoundError,
+} from '../src/lib.js'
+
+const { FILEBASE_TOKEN: token, FILEBASE_ENDPOINT: endpoint } = process.env
+
+describe('objects', () => {
+  const client = new FilebaseClient({ token, endpoint })
+
+  /**
+   * @param {AsyncIterable<Uint8Array>} body
+   */
+  const textOf = async (body) => {
+    /** @type {Uint8Array[]} */
+    const chunks = []
+    for await (const chunk of body) {
+      chunks.push(chunk)
+    }
+    return new Blob(chunks).text()
+  }
+
+  /**
+   * @param {Promise<unknown>} request
+   * @param {Function} type
+   */
+  const rejects = async (request, type) => {
+    try {
+      await request
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, type)
+    }
+  }
+
+  describe('putObject', () => {
+    const bodies = /** @type {Array<[string, () => import('../src/lib/interface.js').ObjectBody]>} */ ([
+      ['a string', () => 'object content'],
+      ['bytes', () => new TextEncoder().encode('object content')],
+      ['a blob', () => new Blob(['object content'])],
+      ['a web stream', () => /** @type {ReadableStream<Uint8Array>} */ (new Blob(['object content']).stream())],
+      [
+        'an async iterable',
+        () =>
+          (async function* () {
+            yield new TextEncoder().encode('object ')
+            yield new TextEncoder().encode('content')
+          })(),
+      ],
+    ])
+    for (const [description, body] of bodies) {
+      it(`stores ${description} as it is`, async () => {
+        const key = `objects/${description.replace(/ /g, '-')}`
+        const result = await client.putObject(key, body())
+        assert.is(result.key, key)
+        assert.ok(result.etag)
+        assert.is(await textOf((await client.getObject(key)).body), 'object content')
+      })
+    }
+
+    it('stores the content type and metadata', async () => {
+      await client.putObject('objects/described', 'described', {
+        contentType: 'text/plain',
+        metadata: { owner: 'cats' },
+      })
+      const info = await client.headObject('objects/described')
+      assert.is(info.contentType, 'text/plain')
+      assert.equal(info.metadata, { owner: 'cats' })
+    })
+
+    it('does not store anything once aborted', async () => {
+      const controller = new AbortController()
+      controller.abort()
+      await rejects(client.putObject('objects/aborted', 'aborted', { signal: controller.signal }), AbortError)
+      await rejects(client.headObject('objects/aborted'), NotFoundError)
+    })
+  })
+
+  describe('getObject', () => {
+    it('returns the content with the information of the object', async () => {
+      await client.putObject('objects/get', 'get content', { contentType: 'text/plain', metadata: { owner: 'dogs' } })
+      const { body, ...info } = await client.getObject('objects/get')
+      assert.is(await textOf(body), 'get content')
+      assert.is(info.key, 'objects/get')
+      assert.is(info.size, 'get content'.length)
+      assert.is(info.contentType, 'text/plain')
+      assert.equal(info.metadata, { owner: 'dogs' })
+      assert.ok(info.etag)
+      assert.instance(info.lastModified, Date)
+      assert.is(info.cid, undefined)
+    })
+
+    it('rejects objects that do not exist', async () => {
+      await rejects(client.getObject('objects/missing'), NotFoundError)
+    })
+  })
+
+  describe('headObject', () => {
+    it('returns the information getObject returns', async () => {
+      await client.putObject('objects/head', 'head content', { metadata: { owner: 'birds' } })
+      const { body, ...info } = await client.getObject('objects/head')
+      await textOf(body)
+      assert.equal(await client.headObject('objects/head'), info)
+    })
+
+    it('returns the CID of content stored as a CAR', async () => {
+      const cid = await client.storeBlob(new Blob(['head CAR']), 'objects/head-car')
+      assert.is((await client.headObject('objects/head-car')).cid, cid)
+    })
+
+    it('rejects objects that do not exist', async () => {
+      await rejects(client.headObject('objects/missing'), NotFoundError)
+    })
+  })
+
+  describe('copyObject', () => {
+    before(async () => {
+      await client.putObject('objects/copy source', 'copied content', {
+        contentType: 'text/plain',
+        metadata: { owner: 'cats' },
+      })
+    })
+
+    it('copies the content, content type and metadata', async () => {
+      const result = await client.copyObject('objects/copy source', 'objects/copy')
+      assert.is(result.key, 'objects/copy')
+      assert.ok(result.etag)
+      const { body, contentType, metadata } = await client.getObject('objects/copy')
+      assert.is(await textOf(body), 'copied content')
+      assert.is(contentType, 'text/plain')
+      assert.equal(metadata, { owner: 'cats' })
+    })
+
+    it('replaces the metadata and content type it is given', async () => {
+      await client.copyObject('objects/copy source', 'objects/copy-replaced', {
+        contentType: 'text/markdown',
+        metadata: { owner: 'dogs' },
+      })
+      const { body, contentType, metadata } = await client.getObject('objects/copy-replaced')
+      assert.is(await textOf(body), 'copied content')
+      assert.is(contentType, 'text/markdown')
+      assert.equal(metadata, { owner: 'dogs' })
+    })
+
+    it('rejects sources that do not exist', async () => {
+      await rejects(client.copyObject('objects/missing', 'objects/copy-missing'), NotFoundError)
+      await rejects(
+        client.copyObject('objects/copy source', 'objects/copy-missing', { sourceBucket: 'missing-bucket' }),
+        BucketNotFoundError
+      )
+    })
+  })
+})
@@ -0,0 +1,84 @@
+import * as assert from 'uvu/assert'
+import { toDirectoryEntries } from '../src/paths.js'
+import { FilebaseClient, File, InvalidPathError, EmptyContentError } from '../src/lib.js'
+
+describe('directory paths', () => {
+  /**
+   * @param {string[]} names
+   * @param {{ keepTopLevel?: boolean }} [options]
+   */
+  const pathsOf = async (names, options) => {
+    const files = names.map((name) => new File([name], name))
+    const entries = await toDirectoryEntries(files, options)
+    return entries.map(({ path }) => path)
+  }
+
+  /**
+   * @param {string[]} names
+   * @param {{ keepTopLevel?: boolean }} [options]
+   */
+  const cidOf = async (names, options) => {
+    const files = names.map((name) => new File([name.split('/').pop() || ''], name))
+    const { cid } = await FilebaseClient.encodeDirectory(files, options)
+    return cid.toString()
+  }
+
+  it('keeps the paths as they are by default', async () => {
+    assert.equal(await pathsOf(['dir/a/x', 'dir/a/y']), ['dir/a/x', 'dir/a/y'])
+    assert.equal(await pathsOf(['dir/a/x', 'dir/b/y']), ['dir/a/x', 'dir/b/y'])
+    assert.equal(await pathsOf(['x', 'dir/y']), ['x', 'dir/y'])
+  })
+
+  it('strips shared directories without the top level', async () => {
+    const options = { keepTopLevel: false }
+    assert.equal(await pathsOf(['dir/a/x', 'dir/a/y'], options), ['x', 'y'])
+    assert.equal(await pathsOf(['dir/a/x', 'dir/b/y'], options), ['a/x', 'b/y'])
+    assert.equal(await pathsOf(['dir/x', 'dir/a/y'], options), ['x', 'a/y'])
+    assert.equal(await pathsOf(['dir/x'], options), ['x'])
+    assert.equal(await pathsOf(['x', 'dir/y'], options), ['x', 'dir/y'])
+  })
+
+  it('normalises separators, leading slashes and . segments', async () => {
+    assert.equal(
+      await pathsOf(['dir\\a\\x', './dir/./a/y', 'dir//z']),
+      ['dir/a/x', 'dir/a/y', 'dir/z']
+    )
+    assert.equal(await pathsOf(['/dir/x', '\\dir\\y']), ['dir/x', 'dir/y'])
+  })
+
+  it('encodes the same directory as before by default', async () => {
+    const names = ['dir/a/x', 'dir/a/y']
+    const cid = await cidOf(names)
+    assert.is(await cidOf(names, { keepTopLevel: true }), cid)
+    assert.is(await cidOf(['/dir/a/x', '/dir/a/y']), cid)
+    assert.is.not(await cidOf(names, { keepTopLevel: false }), cid)
+    assert.is(await cidOf(names, { keepTopLevel: false }), await cidOf(['x', 'y']))
+  })
+
+  const invalid = /** @type {Array<[string, string[]]>} */ ([
+    ['.. segments', ['dir/../x']],
+    ['names without a file', ['./', 'x']],
+    ['duplicate paths', ['dir/x', 'dir\\x']],
+    ['paths used for a file and a directory', ['dir/x', 'dir/x/y']],
+    ['a mix of absolute and relative paths', ['/dir/x', 'dir/y']],
+  ])
+  for (const [description, names] of invalid) {
+    it(`rejects ${description}`, async () => {
+      try {
+        await pathsOf(names)
+        assert.unreachable('should have thrown')
+      } catch (error) {
+        assert.instance(error, InvalidPathError)
+      }
+    })
+  }
+
+  it('rejects no files', async () => {
+    try {
+      await pathsOf([])
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, EmptyContentError)
+    }
+  })
+})
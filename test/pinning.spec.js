@@ -0,0 +1,183 @@
+import * as assert from 'uvu/assert'
+import {
+  PinningClient,
+  AuthenticationError,
+  NotFoundError,
+  QuotaExceededError,
+} from '../src/lib.js'
+
+const TOKEN = 'pinning-token'
+const CID = 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi'
+
+/**
+ * A stub of the IPFS Pinning Service API, keeping pins in memory. Pins are
+ * listed most recently created first, like the service does.
+ */
+const stubPinningService = () => {
+  /** @type {Array<{ requestid: string, status: string, created: string, pin: Record<string, any>, delegates: string[], info: Record<string, string> }>} */
+  const pins = []
+  /** @type {string[]} */
+  const requests = []
+
+  /**
+   * @param {number} status
+   * @param {unknown} [body]
+   */
+  const respond = (status, body) =>
+    new Response(body === undefined ? null : JSON.stringify(body), {
+      status,
+      headers: { 'Content-Type': 'application/json' },
+    })
+
+  /** @type {typeof globalThis.fetch} */
+  const fetch = async (input, init = {}) => {
+    const url = new URL(String(input))
+    const method = init.method || 'GET'
+    requests.push(`${method} ${url.pathname}${url.search}`)
+    const headers = new Headers(init.headers)
+    if (headers.get('Authorization') !== `Bearer ${TOKEN}`) {
+      return respond(401, { error: { reason: 'UNAUTHORIZED' } })
+    }
+
+    const [, requestid] = url.pathname.match(/\/pins\/([^/]+)$/) || []
+    if (method === 'POST') {
+      const pin = JSON.parse(String(init.body))
+      if (pin.name === 'expensive') {
+        return respond(402, { error: { reason: 'INSUFFICIENT_FUNDS', details: 'Out of credit' } })
+      }
+      const pinStatus = {
+        requestid: `request-${pins.length}`,
+        status: 'queued',
+        created: new Date().toISOString(),
+        pin,
+        delegates: ['/dns4/delegate.example/tcp/4001/p2p/QmDelegate'],
+        info: {},
+      }
+      pins.unshift(pinStatus)
+      return respond(202, pinStatus)
+    }
+    if (requestid) {
+      const index = pins.findIndex((pin) => pin.requestid === requestid)
+      const pinStatus = pins[index]
+      if (!pinStatus) {
+        return respond(404, { error: { reason: 'NOT_FOUND' } })
+      }
+      if (method === 'DELETE') {
+        pins.splice(index, 1)
+        return respond(202)
+      }
+      return respond(200, pinStatus)
+    }
+
+    const before = url.searchParams.get('before')
+    const limit = Number(url.searchParams.get('limit') || 10)
+    const results = pins
+      .filter((pin) => !before || new Date(pin.created) < new Date(before))
+      .slice(0, limit)
+    return respond(200, { count: results.length, results })
+  }
+
+  return { pins, requests, fetch }
+}
+
+describe('pinning', () => {
+  it('adds, gets and removes pins', async () => {
+    const service = stubPinningService()
+    const client = new PinningClient({
+      token: TOKEN,
+      endpoint: 'https://pinning.example/v1/',
+      fetch: service.fetch,
+    })
+
+    const request = await client.add(CID, { name: 'dataset', meta: { app: 'test' } })
+    assert.is(request.cid, CID)
+    assert.is(request.name, 'dataset')
+    assert.is(request.status, 'queued')
+    assert.equal(request.meta, { app: 'test' })
+    assert.instance(request.created, Date)
+
+    const fetched = await client.get(request.requestid)
+    assert.equal(fetched, request)
+
+    await client.remove(request.requestid)
+    try {
+      await client.get(request.requestid)
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, NotFoundError)
+    }
+
+    assert.equal(service.requests, [
+      'POST /v1/pins',
+      `GET /v1/pins/${request.requestid}`,
+      `DELETE /v1/pins/${request.requestid}`,
+      `GET /v1/pins/${request.requestid}`,
+    ])
+  })
+
+  it('encodes credentials into a token', async () => {
+    /** @type {string | null} */
+    let authorization = null
+    const client = new PinningClient({
+      token: ['key', 'secret', 'bucket'],
+      fetch: async (_url, init = {}) => {
+        authorization = new Headers(init.headers).get('Authorization')
+        return new Response(JSON.stringify({ count: 0, results: [] }))
+      },
+    })
+    for await (const _ of client.ls()) {
+      assert.unreachable('should list nothing')
+    }
+    assert.is(authorization, `Bearer ${btoa('key:secret:bucket')}`)
+  })
+
+  it('maps failures onto error classes', async () => {
+    const service = stubPinningService()
+    const unauthorized = new PinningClient({ token: 'wrong', fetch: service.fetch })
+    try {
+      await unauthorized.add(CID)
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, AuthenticationError)
+    }
+
+    const client = new PinningClient({ token: TOKEN, fetch: service.fetch })
+    try {
+      await client.add(CID, { name: 'expensive' })
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, QuotaExceededError)
+      assert.is(/** @type {Error} */ (error).message, 'INSUFFICIENT_FUNDS: Out of credit')
+    }
+  })
+
+  it('lists every pin across pages, even those created at the same time', async () => {
+    const service = stubPinningService()
+    // More than a page of pins, several of them created at the same time and
+    // one of those times falling on the boundary of the first page
+    const start = Date.parse('2022-01-01T00:00:00Z')
+    for (let index = 0; index < 1500; index++) {
+      service.pins.unshift({
+        requestid: `request-${index}`,
+        status: 'pinned',
+        created: new Date(start + Math.floor(index / 7) * 1000).toISOString(),
+        pin: { cid: CID },
+        delegates: [],
+        info: {},
+      })
+    }
+    const client = new PinningClient({ token: TOKEN, fetch: service.fetch })
+
+    const ids = []
+    for await (const pin of client.ls()) {
+      ids.push(pin.requestid)
+    }
+    assert.equal(ids, service.pins.map((pin) => pin.requestid))
+
+    const limited = []
+    for await (const pin of client.ls({ limit: 10 })) {
+      limited.push(pin.requestid)
+    }
+    assert.equal(limited, ids.slice(0, 10))
+  })
+})
@@ -0,0 +1,112 @@
+import * as assert from 'uvu/assert'
+import { CarWriter } from '@ipld/car'
+import { CID } from 'multiformats/cid'
+import { FilebaseClient, Blob, InvalidCarError } from '../src/lib.js'
+
+const { FILEBASE_TOKEN: token, FILEBASE_ENDPOINT: endpoint } = process.env
+
+describe('presigned uploads', () => {
+  const client = new FilebaseClient({ token, endpoint })
+  const partSize = 5 * 1024 * 1024
+
+  /**
+   * @param {AsyncIterable<Uint8Array>} source
+   */
+  const toBytes = async (source) => {
+    /** @type {Uint8Array[]} */
+    const chunks = []
+    for await (const chunk of source) {
+      chunks.push(chunk)
+    }
+    return new Uint8Array(await new Blob(chunks).arrayBuffer())
+  }
+
+  /**
+   * @param {Uint8Array} content
+   */
+  const encode = async (content) => {
+    const encoded = await FilebaseClient.encodeBlob(new Blob([content]))
+    return { cid: encoded.cid.toString(), bytes: await toBytes(encoded.car) }
+  }
+
+  it('uploads a CAR with a single request', async () => {
+    const car = await encode(new TextEncoder().encode('presigned content'))
+    const urls = await client.createPresignedUpload('presigned-single', {
+      size: car.bytes.byteLength,
+      metadata: { app: 'test' },
+    })
+    assert.is(urls.type, 'single')
+
+    /** @type {number[]} */
+    const stored = []
+    const cid = await FilebaseClient.storeCarWithPresignedUrls(new Blob([car.bytes]), urls, {
+      onStoredChunk: (size) => stored.push(size),
+    })
+    assert.is(cid, car.cid)
+    assert.equal(stored, [car.bytes.byteLength])
+
+    const { metadata } = await client.headObject('presigned-single')
+    assert.is(metadata['app'], 'test')
+  })
+
+  it('uploads a CAR in parts', async () => {
+    // Content that does not repeat, so the CAR is larger than a part
+    const content = new Uint8Array(partSize + 1024 * 1024)
+    let seed = 7
+    for (let index = 0; index < content.length; index++) {
+      seed = (seed * 1103515245 + 12345) % 2147483648
+      content[index] = seed >> 16
+    }
+    const car = await encode(content)
+    const urls = await client.createPresignedUpload('presigned-multipart', {
+      size: car.bytes.byteLength,
+      partSize,
+    })
+    assert.is(urls.type, 'multipart')
+    assert.is(urls.type === 'multipart' && urls.parts.length, 2)
+
+    /** @type {number[]} */
+    const stored = []
+    const cid = await FilebaseClient.storeCarWithPresignedUrls(
+      (async function* () { yield car.bytes })(),
+      urls,
+      { onStoredChunk: (size) => stored.push(size) }
+    )
+    assert.is(cid, car.cid)
+    assert.equal(stored.sort((a, b) => b - a), [partSize, car.bytes.byteLength - partSize])
+  })
+
+  it('rejects CARs larger than the upload was created for', async () => {
+    const car = await encode(new TextEncoder().encode('more content than expected'))
+    const urls = await client.createPresignedUpload('presigned-larger', { size: 1, partSize })
+    // Single uploads take up to a part
+    const larger = new Uint8Array(partSize + 1)
+    larger.set(car.bytes)
+    try {
+      await FilebaseClient.storeCarWithPresignedUrls(new Blob([larger]), urls)
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, RangeError)
+    }
+  })
+
+  for (const count of [0, 2]) {
+    it(`rejects CARs with ${count} roots`, async () => {
+      const roots = [
+        CID.parse('bafkreigh2akiscaildcqabsyg3dfr6chu3fgpregiymsck7e7aqa4s52zy'),
+        CID.parse('bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e'),
+      ].slice(0, count)
+      const { writer, out } = CarWriter.create(roots)
+      const bytes = toBytes(out)
+      await writer.close()
+
+      const urls = await client.createPresignedUpload('presigned-roots', { size: 1024 })
+      try {
+        await FilebaseClient.storeCarWithPresignedUrls(new Blob([await bytes]), urls)
+        assert.unreachable('should have thrown')
+      } catch (error) {
+        assert.instance(error, InvalidCarError)
+      }
+    })
+  }
+})
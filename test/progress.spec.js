@@ -0,0 +1,119 @@
+import * as assert from 'uvu/assert'
+import { FilebaseClient, File, Blob } from '../src/lib.js'
+
+const { FILEBASE_TOKEN: token, FILEBASE_ENDPOINT: endpoint } = process.env
+
+/**
+ * @typedef {import('../src/lib/interface.js').ProgressEvent} ProgressEvent
+ */
+
+describe('progress', () => {
+  const client = new FilebaseClient({ token, endpoint })
+
+  /**
+   * @param {AsyncIterable<Uint8Array>} source
+   */
+  const sizeOf = async (source) => {
+    let size = 0
+    for await (const chunk of source) {
+      size += chunk.byteLength
+    }
+    return size
+  }
+
+  /**
+   * @param {ProgressEvent[]} events
+   * @param {string} prefix
+   */
+  const phase = (events, prefix) => events.filter(({ type }) => type.startsWith(prefix))
+
+  it('reports encoding and uploading a file', async () => {
+    const blob = new Blob(['progress of a file'])
+    /** @type {ProgressEvent[]} */
+    const events = []
+    const cid = await client.storeBlob(blob, 'progress-file', {
+      onProgress: (event) => events.push(event),
+    })
+    const carSize = await sizeOf((await FilebaseClient.encodeBlob(blob)).car)
+
+    const encoding = phase(events, 'encode:')
+    assert.equal(encoding[0], {
+      type: 'encode:file-start',
+      path: 'blob',
+      size: blob.size,
+      total: blob.size,
+      processed: 0,
+    })
+    assert.equal(encoding[encoding.length - 1], {
+      type: 'encode:done',
+      cid,
+      total: blob.size,
+      processed: blob.size,
+    })
+
+    const uploading = phase(events, 'upload:')
+    assert.ok(uploading.length > 1)
+    for (const event of uploading) {
+      assert.is(event.total, carSize)
+    }
+    assert.equal(uploading[uploading.length - 1], {
+      type: 'upload:done',
+      cid,
+      total: carSize,
+      processed: carSize,
+    })
+    // Encoding ends before the upload starts
+    assert.is(events.findIndex(({ type }) => type.startsWith('upload:')), encoding.length)
+  })
+
+  it('reports every file of a directory', async () => {
+    const files = [new File(['first'], 'dir/first.txt'), new File(['second'], 'dir/second.txt')]
+    /** @type {ProgressEvent[]} */
+    const events = []
+    await client.storeDirectory(files, 'progress-directory', {
+      onProgress: (event) => events.push(event),
+    })
+
+    const started = events.flatMap((event) =>
+      event.type === 'encode:file-start' ? [[event.path, event.size, event.total]] : []
+    )
+    assert.equal(started, [
+      ['dir/first.txt', 5, 11],
+      ['dir/second.txt', 6, 11],
+    ])
+    const carSize = await sizeOf((await FilebaseClient.encodeDirectory(files)).car)
+    for (const event of phase(events, 'upload:')) {
+      assert.is(event.total, carSize)
+    }
+  })
+
+  it('knows the total of CARs passed as bytes', async () => {
+    const { car } = await FilebaseClient.encodeBlob(new Blob(['progress of bytes']))
+    /** @type {Uint8Array[]} */
+    const chunks = []
+    for await (const chunk of car) {
+      chunks.push(chunk)
+    }
+    const bytes = new Uint8Array(await new Blob(chunks).arrayBuffer())
+    /** @type {ProgressEvent[]} */
+    const events = []
+    await client.storeCar(bytes, 'progress-bytes', { onProgress: (event) => events.push(event) })
+
+    const [first] = events
+    assert.is(first && first.type, 'upload:part')
+    assert.is(first && first.total, bytes.byteLength)
+    assert.is(events[events.length - 1]?.processed, bytes.byteLength)
+  })
+
+  it('works the total of streamed CARs out once they are read', async () => {
+    const { car } = await FilebaseClient.encodeBlob(new Blob(['progress of a stream']))
+    /** @type {ProgressEvent[]} */
+    const events = []
+    await client.storeCar(car, 'progress-stream', { onProgress: (event) => events.push(event) })
+
+    const done = events[events.length - 1]
+    assert.is(done && done.type, 'upload:done')
+    assert.ok(done && typeof done.total === 'number' && done.total > 0)
+    assert.is(done && done.processed, done && done.total)
+  })
+})
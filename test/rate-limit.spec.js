@@ -0,0 +1,145 @@
+import * as assert from 'uvu/assert'
+import { createRateLimiter } from '../src/rate-limit.js'
+import { FilebaseClient, Blob, AbortError, ServiceError } from '../src/lib.js'
+
+const { FILEBASE_TOKEN: token = '', FILEBASE_ENDPOINT: endpoint } = process.env
+
+describe('rate limits', function () {
+  // Throttled requests wait for a second or more before they are retried
+  this.timeout(10000)
+
+  /**
+   * @param {number} ms
+   */
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+  it('runs at most the maximum number of uploads at once', async () => {
+    const rateLimiter = createRateLimiter({ maxConcurrentUploads: 2 })
+    let running = 0
+    let maxRunning = 0
+    /** @type {number[]} */
+    const started = []
+    const uploads = Array.from({ length: 6 }, (_, index) =>
+      rateLimiter.upload(async () => {
+        started.push(index)
+        maxRunning = Math.max(maxRunning, ++running)
+        await sleep(10)
+        running--
+        return index
+      })
+    )
+    assert.equal(await Promise.all(uploads), [0, 1, 2, 3, 4, 5])
+    assert.is(maxRunning, 2)
+    assert.equal(started, [0, 1, 2, 3, 4, 5])
+  })
+
+  it('hands the slot of a finished upload to the next one waiting', async () => {
+    const rateLimiter = createRateLimiter({ maxConcurrentUploads: 1 })
+    let running = 0
+    let maxRunning = 0
+    const upload = async () => {
+      maxRunning = Math.max(maxRunning, ++running)
+      await sleep(10)
+      running--
+    }
+    const first = rateLimiter.upload(upload)
+    const queued = rateLimiter.upload(upload)
+    await first
+    // Started after the first upload finished but before the queued one
+    // had a chance to run
+    const late = rateLimiter.upload(upload)
+    await Promise.all([queued, late])
+    assert.is(maxRunning, 1)
+  })
+
+  it('stops waiting for an upload slot when aborted', async () => {
+    const rateLimiter = createRateLimiter({ maxConcurrentUploads: 1 })
+    const first = rateLimiter.upload(() => sleep(50))
+    const controller = new AbortController()
+    let ran = false
+    const aborted = rateLimiter.upload(async () => {
+      ran = true
+    }, controller.signal)
+    controller.abort()
+    try {
+      await aborted
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, AbortError)
+    }
+    await first
+    assert.is(ran, false)
+    // The aborted upload gave its place up
+    assert.is(await rateLimiter.upload(async () => 'next'), 'next')
+  })
+
+  it('stops waiting out a pause when aborted', async () => {
+    const rateLimiter = createRateLimiter()
+    rateLimiter.throttled(30 * 1000)
+    const controller = new AbortController()
+    const start = Date.now()
+    setTimeout(() => controller.abort(), 50)
+    try {
+      await rateLimiter(controller.signal)
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, AbortError)
+    }
+    assert.ok(Date.now() - start < 1000)
+  })
+
+  describe('of a client', () => {
+    const client = new FilebaseClient({ token, endpoint })
+
+    it('retries throttled requests once the service allows', async () => {
+      await client.putObject('throttled-2-1', new Blob(['throttled']))
+      const start = Date.now()
+      const { body } = await client.getObject('throttled-2-1')
+      /** @type {Uint8Array[]} */
+      const chunks = []
+      for await (const chunk of body) {
+        chunks.push(chunk)
+      }
+      assert.is(await new Blob(chunks).text(), 'throttled')
+      // Each of the two retries waited for the second asked for
+      assert.ok(Date.now() - start >= 2000)
+    })
+
+    it('counts throttled requests against the attempts of the client', async () => {
+      const [accessKeyId = '', secretAccessKey = '', bucket] = atob(token).split(':')
+      const limited = new FilebaseClient({
+        endpoint,
+        bucket,
+        s3config: {
+          credentials: { accessKeyId, secretAccessKey },
+          endpoint,
+          region: 'us-east-1',
+          forcePathStyle: true,
+          maxAttempts: 2,
+        },
+      })
+      await limited.putObject('throttled-2-0', new Blob(['throttled']))
+      try {
+        await limited.getObject('throttled-2-0')
+        assert.unreachable('should have thrown')
+      } catch (error) {
+        assert.instance(error, ServiceError)
+        assert.is(/** @type {ServiceError} */ (error).code, 'SlowDown')
+      }
+    })
+
+    it('stops waiting for a retry when aborted', async () => {
+      await client.putObject('throttled-1-30', new Blob(['throttled']))
+      const controller = new AbortController()
+      const start = Date.now()
+      setTimeout(() => controller.abort(), 1000)
+      try {
+        await client.getObject('throttled-1-30', { signal: controller.signal })
+        assert.unreachable('should have thrown')
+      } catch (error) {
+        assert.instance(error, AbortError)
+      }
+      assert.ok(Date.now() - start < 5000)
+    })
+  })
+})
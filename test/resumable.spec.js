@@ -0,0 +1,154 @@
+import * as assert from 'uvu/assert'
+import { FilebaseClient, Blob, MemoryUploadStateStore, AuthenticationError } from '../src/lib.js'
+
+const { FILEBASE_TOKEN: token = '', FILEBASE_ENDPOINT: endpoint } = process.env
+
+/**
+ * @typedef {import('../src/lib/interface.js').UploadState} UploadState
+ */
+
+describe('resumable uploads', function () {
+  // Every upload moves a few MiB through the mock
+  this.timeout(30000)
+
+  const client = new FilebaseClient({ token, endpoint })
+  const [, , bucket] = atob(token).split(':')
+  const partSize = 5 * 1024 * 1024
+
+  /**
+   * Pseudo-random content, so the CAR does not deduplicate into a few blocks.
+   *
+   * @param {number} size
+   * @param {number} seed
+   */
+  const contentOf = (size, seed) => {
+    const bytes = new Uint8Array(size)
+    let state = seed
+    for (let index = 0; index < size; index++) {
+      state ^= state << 13
+      state ^= state >>> 17
+      state ^= state << 5
+      bytes[index] = state & 0xff
+    }
+    return bytes
+  }
+
+  /**
+   * @param {AsyncIterable<Uint8Array>} source
+   */
+  const bytesOf = async (source) => {
+    /** @type {Uint8Array[]} */
+    const chunks = []
+    for await (const chunk of source) {
+      chunks.push(chunk)
+    }
+    return new Uint8Array(await new Blob(chunks).arrayBuffer())
+  }
+
+  /**
+   * A CAR of three parts, the last one smaller than the others.
+   *
+   * @param {number} seed
+   */
+  const carOf = async (seed) => {
+    const { car } = await FilebaseClient.encodeBlob(new Blob([contentOf(11 * 1024 * 1024, seed)]))
+    return bytesOf(car)
+  }
+
+  /** @type {Uint8Array} */
+  let car
+
+  before(async () => {
+    car = await carOf(1)
+  })
+
+  /**
+   * Stores the CAR under a key the mock rejects the second part of once, and
+   * returns the state saved for it.
+   *
+   * @param {string} key
+   * @param {MemoryUploadStateStore} store
+   */
+  const interrupt = async (key, store) => {
+    try {
+      await client.storeCar(car, key, { resumable: { store, partSize }, maxRetries: 1 })
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, AuthenticationError)
+    }
+    const state = await store.get(`${bucket}/${key}`)
+    assert.ok(state)
+    return /** @type {UploadState} */ (state)
+  }
+
+  /**
+   * Resumes the upload of the CAR and returns the sizes of the parts that
+   * were uploaded again.
+   *
+   * @param {string} key
+   * @param {Uint8Array} bytes
+   * @param {MemoryUploadStateStore} store
+   */
+  const resume = async (key, bytes, store) => {
+    /** @type {number[]} */
+    const uploaded = []
+    await client.storeCar(bytes, key, {
+      resumable: { store, partSize },
+      onStoredChunk: (size) => uploaded.push(size),
+    })
+    const { body } = await client.getObject(key)
+    assert.equal(await bytesOf(body), bytes)
+    assert.is(await store.get(`${bucket}/${key}`), undefined)
+    return uploaded
+  }
+
+  /**
+   * @param {number[]} sizes
+   */
+  const sum = (sizes) => sizes.reduce((total, size) => total + size, 0)
+
+  it('uploads only the parts that are missing after an interruption', async () => {
+    const store = new MemoryUploadStateStore()
+    const state = await interrupt('interrupted-resume', store)
+    const saved = state.parts.map(({ PartNumber }) => PartNumber)
+    assert.ok(saved.includes(1))
+    assert.not.ok(saved.includes(2))
+
+    const uploaded = await resume('interrupted-resume', car, store)
+    assert.is(sum(uploaded), car.byteLength - sum(state.parts.map(({ Size }) => Size)))
+  })
+
+  it('uploads parts again if their content changed', async () => {
+    const store = new MemoryUploadStateStore()
+    await interrupt('interrupted-checksum', store)
+
+    const changed = await carOf(2)
+    assert.is(changed.byteLength, car.byteLength)
+    const uploaded = await resume('interrupted-checksum', changed, store)
+    assert.is(sum(uploaded), changed.byteLength)
+  })
+
+  it('uploads parts again if the service holds a part of another size', async () => {
+    const store = new MemoryUploadStateStore()
+    const state = await interrupt('interrupted-size', store)
+    await store.set(`${bucket}/interrupted-size`, {
+      ...state,
+      parts: state.parts.map((part) => ({ ...part, Size: part.Size - 1 })),
+    })
+
+    const uploaded = await resume('interrupted-size', car, store)
+    assert.is(sum(uploaded), car.byteLength)
+  })
+
+  it('uploads parts again if the service holds a part with another ETag', async () => {
+    const store = new MemoryUploadStateStore()
+    const state = await interrupt('interrupted-etag', store)
+    await store.set(`${bucket}/interrupted-etag`, {
+      ...state,
+      parts: state.parts.map((part) => ({ ...part, ETag: '"stale"' })),
+    })
+
+    const uploaded = await resume('interrupted-etag', car, store)
+    assert.is(sum(uploaded), car.byteLength)
+  })
+})
@@ -0,0 +1,80 @@
+import * as assert from 'uvu/assert'
+import { resolveService, MAX_STORE_RETRIES } from '../src/service.js'
+import { createRateLimiter } from '../src/rate-limit.js'
+import { FilebaseClient, InvalidTokenError } from '../src/lib.js'
+
+const { FILEBASE_TOKEN: token = '', FILEBASE_ENDPOINT: endpoint } = process.env
+
+describe('services', () => {
+  const other = btoa('other-key:other-secret:other-bucket')
+
+  it('resolve into a frozen service with the bucket of the token', () => {
+    const service = resolveService({ token: other, endpoint })
+    assert.ok(Object.isFrozen(service))
+    assert.is(service.bucket, 'other-bucket')
+    assert.is(service.endpoint, endpoint)
+    assert.is(service.maxAttempts, MAX_STORE_RETRIES)
+  })
+
+  it('are returned as they are once resolved', () => {
+    const service = resolveService({ token: other, endpoint })
+    assert.is(resolveService(service), service)
+    assert.is(resolveService(service, { maxAttempts: MAX_STORE_RETRIES }), service)
+  })
+
+  it('share the client of the same endpoint and credentials', () => {
+    const { client } = resolveService({ token: other, endpoint })
+    assert.is(resolveService({ token: other, endpoint }).client, client)
+    assert.is.not(resolveService({ token, endpoint }).client, client)
+    assert.is.not(resolveService({ token: other, endpoint: 'http://localhost:1' }).client, client)
+  })
+
+  it('share clients per number of attempts', () => {
+    const service = resolveService({ token: other, endpoint })
+    const retried = resolveService(service, { maxAttempts: 2 })
+    assert.is(retried.maxAttempts, 2)
+    assert.is.not(retried.client, service.client)
+    assert.is(resolveService(service, { maxAttempts: 2 }).client, retried.client)
+    assert.is(resolveService({ token: other, endpoint }, { maxAttempts: 2 }).client, retried.client)
+  })
+
+  it('share the client of an s3config only with the same object', () => {
+    const s3config = {
+      credentials: { accessKeyId: 'config-key', secretAccessKey: 'config-secret' },
+      endpoint,
+      region: 'us-east-1',
+    }
+    const { client } = resolveService({ s3config, bucket: 'config-bucket' })
+    assert.is(resolveService({ s3config }).client, client)
+    assert.is.not(resolveService({ s3config: { ...s3config } }).client, client)
+  })
+
+  it('keep the clients of different rate limiters apart', () => {
+    const rateLimiter = createRateLimiter()
+    const { client } = resolveService({ token: other, endpoint, rateLimiter })
+    assert.is(resolveService({ token: other, endpoint, rateLimiter }).client, client)
+    assert.is.not(resolveService({ token: other, endpoint, rateLimiter: createRateLimiter() }).client, client)
+    assert.is.not(resolveService({ token: other, endpoint }).client, client)
+
+    const first = new FilebaseClient({ token: other, endpoint })
+    const second = new FilebaseClient({ token: other, endpoint })
+    assert.is.not(first.service.client, second.service.client)
+  })
+
+  it('use the client they are given', () => {
+    const { client } = resolveService({ token, endpoint })
+    const service = resolveService({ token: other, endpoint, client })
+    assert.is(service.client, client)
+    // Unless another number of attempts is asked for
+    assert.is.not(resolveService(service, { maxAttempts: 2 }).client, client)
+  })
+
+  it('require credentials in an s3config', () => {
+    try {
+      resolveService({ s3config: { endpoint } })
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, InvalidTokenError)
+    }
+  })
+})
@@ -0,0 +1,102 @@
+import * as assert from 'uvu/assert'
+import { FilebaseClient, Blob, NotFoundError, DeleteObjectsError } from '../src/lib.js'
+
+const { FILEBASE_TOKEN: token, FILEBASE_ENDPOINT: endpoint } = process.env
+
+describe('sharded CARs', () => {
+  const client = new FilebaseClient({ token, endpoint })
+  const shardSize = 300 * 1024
+
+  /** @type {{ cid: string, bytes: Uint8Array }} */
+  let car
+  before(async () => {
+    // Content that does not repeat, so every chunk is a block of its own
+    const content = new Uint8Array(1024 * 1024)
+    let seed = 1
+    for (let index = 0; index < content.length; index++) {
+      seed = (seed * 1103515245 + 12345) % 2147483648
+      content[index] = seed >> 16
+    }
+    const encoded = await FilebaseClient.encodeBlob(new Blob([content]))
+    /** @type {Uint8Array[]} */
+    const chunks = []
+    for await (const chunk of encoded.car) {
+      chunks.push(chunk)
+    }
+    car = {
+      cid: encoded.cid.toString(),
+      bytes: new Uint8Array(await new Blob(chunks).arrayBuffer()),
+    }
+  })
+
+  /**
+   * @param {string} name
+   */
+  const assertNoShards = async (name) => {
+    try {
+      await client.statusShards(car.cid, name)
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, NotFoundError)
+    }
+  }
+
+  it('stores, reports and deletes the shards of a CAR', async () => {
+    const upload = await client.storeCarSharded(car.bytes, 'sharded', { shardSize })
+    assert.is(upload.cid, car.cid)
+    assert.ok(upload.shards.length > 1)
+    assert.equal(
+      upload.shards.map(({ key }) => key),
+      upload.shards.map((_, index) => `sharded/shards/${String(index).padStart(6, '0')}`)
+    )
+
+    const status = await client.statusShards(car.cid, 'sharded')
+    assert.is(status.cid, car.cid)
+    assert.is(status.shards.length, upload.shards.length)
+    assert.is(status.size, upload.shards.reduce((size, shard) => size + shard.size, 0))
+    for (const shard of status.shards) {
+      assert.is(shard.cid, car.cid)
+    }
+
+    await client.deleteShards(car.cid, 'sharded')
+    await assertNoShards('sharded')
+  })
+
+  it('reports the shards that could not be deleted', async () => {
+    // The mock refuses to delete objects named `*locked*`
+    const upload = await client.storeCarSharded(car.bytes, 'locked-sharded', { shardSize })
+    try {
+      await client.deleteShards(car.cid, 'locked-sharded')
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, DeleteObjectsError)
+      const { keys, errors } = /** @type {DeleteObjectsError} */ (error)
+      assert.equal(keys, upload.shards.map(({ key }) => key))
+      assert.equal(errors.map(({ code }) => code), keys.map(() => 'AccessDenied'))
+    }
+  })
+
+  it('deletes the stored shards when a shard fails to be stored', async () => {
+    // The mock rejects the second shard of content named `fail-*`
+    try {
+      await client.storeCarSharded(car.bytes, 'fail-sharded', { shardSize })
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.is(/** @type {Error} */ (error).name, 'AuthenticationError')
+    }
+    await assertNoShards('fail-sharded')
+  })
+
+  it('reports the stored shards that could not be deleted after a failure', async () => {
+    // The mock also refuses to delete objects named `*locked*`
+    try {
+      await client.storeCarSharded(car.bytes, 'fail-locked', { shardSize })
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.is(/** @type {Error} */ (error).name, 'AuthenticationError')
+      assert.equal(/** @type {{ undeletedShards?: string[] }} */ (error).undeletedShards, [
+        'fail-locked/shards/000000',
+      ])
+    }
+  })
+})
@@ -0,0 +1,70 @@
+import * as assert from 'uvu/assert'
+import { FilebaseClient, Blob, MemoryUploadStateStore, AuthenticationError } from '../src/lib.js'
+
+const { FILEBASE_TOKEN: token, FILEBASE_ENDPOINT: endpoint } = process.env
+
+describe('tags', () => {
+  const client = new FilebaseClient({ token, endpoint })
+
+  /**
+   * @param {AsyncIterable<Uint8Array>} source
+   */
+  const bytesOf = async (source) => {
+    /** @type {Uint8Array[]} */
+    const chunks = []
+    for await (const chunk of source) {
+      chunks.push(chunk)
+    }
+    return new Uint8Array(await new Blob(chunks).arrayBuffer())
+  }
+
+  it('stores content with tags', async () => {
+    const cid = await client.storeBlob(new Blob(['tagged']), 'tagged', {
+      tags: { collection: 'cats', reviewed: 'true' },
+    })
+    const status = await client.status(cid, 'tagged')
+    assert.equal(status.tags, { collection: 'cats', reviewed: 'true' })
+  })
+
+  it('stores content with tags in resumable uploads', async () => {
+    const { car } = await FilebaseClient.encodeBlob(new Blob(['tagged resumable']))
+    const cid = await client.storeCar(car, 'tagged-resumable', {
+      resumable: { store: new MemoryUploadStateStore() },
+      tags: { collection: 'dogs' },
+    })
+    const status = await client.status(cid, 'tagged-resumable')
+    assert.equal(status.tags, { collection: 'dogs' })
+  })
+
+  it('has no tags for content stored without any', async () => {
+    const cid = await client.storeBlob(new Blob(['untagged']), 'untagged')
+    const status = await client.status(cid, 'untagged')
+    assert.equal(status.tags, {})
+  })
+
+  it('replaces and removes the tags without touching the content', async () => {
+    const blob = new Blob(['retagged'])
+    const cid = await client.storeBlob(blob, 'retagged', { tags: { collection: 'cats' } })
+
+    await client.setTags(cid, { collection: 'birds', reviewed: 'false' }, 'retagged')
+    assert.equal((await client.status(cid, 'retagged')).tags, { collection: 'birds', reviewed: 'false' })
+    const { car } = await FilebaseClient.encodeBlob(blob)
+    const { body } = await client.getObject('retagged')
+    assert.equal(await bytesOf(body), await bytesOf(car))
+
+    await client.setTags(cid, {}, 'retagged')
+    const status = await client.status(cid, 'retagged')
+    assert.equal(status.tags, {})
+    assert.is(status.cid, cid)
+  })
+
+  it('fails when the tags cannot be read', async () => {
+    const cid = await client.storeBlob(new Blob(['untaggable']), 'untaggable-content')
+    try {
+      await client.status(cid, 'untaggable-content')
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, AuthenticationError)
+    }
+  })
+})
@@ -0,0 +1,37 @@
+import { spawn } from 'child_process'
+import { base64pad } from 'multiformats/bases/base64'
+import { listen, ACCESS_KEY, SECRET, BUCKET } from './mock-s3.js'
+
+/**
+ * Runs the command it is given, e.g. `node test/test.js mocha test/*.spec.js`,
+ * against a mock of the service. Its endpoint and a token for it are passed
+ * in the `FILEBASE_ENDPOINT` and `FILEBASE_TOKEN` environment variables.
+ */
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2)
+  if (!command) {
+    throw new Error('Usage: node test/test.js <command> [...args]')
+  }
+
+  const service = await listen()
+  const token = base64pad.baseEncode(new TextEncoder().encode(`${ACCESS_KEY}:${SECRET}:${BUCKET}`))
+  const child = spawn(command, args, {
+    stdio: 'inherit',
+    shell: process.platform === 'win32',
+    env: { ...process.env, FILEBASE_ENDPOINT: service.url, FILEBASE_TOKEN: token },
+  })
+  const code = await new Promise((resolve) => {
+    child.on('error', (error) => {
+      console.error(error)
+      resolve(1)
+    })
+    child.on('exit', (status) => resolve(status === null ? 1 : status))
+  })
+  await service.close()
+  process.exit(code)
+}
+
+main().catch((error) => {
+  console.error(error)
+  process.exit(1)
+})
@@ -0,0 +1,109 @@
+import * as assert from 'uvu/assert'
+import { CarReader } from '@ipld/car'
+import * as dagCbor from '@ipld/dag-cbor'
+import { CID } from 'multiformats/cid'
+import { FilebaseClient, Token, File, Blob, CidMismatchError, InvalidCarError } from '../src/lib.js'
+
+describe('Token', () => {
+  const input = {
+    name: 'cat',
+    description: 'a cat',
+    image: new File(['fake image'], 'cat.png', { type: 'image/png' }),
+    properties: { sound: new Blob(['meow']) },
+  }
+
+  /**
+   * @param {AsyncIterable<Uint8Array>} source
+   */
+  const toBytes = async (source) => {
+    /** @type {Uint8Array[]} */
+    const chunks = []
+    for await (const chunk of source) {
+      chunks.push(chunk)
+    }
+    return new Uint8Array(await new Blob(chunks).arrayBuffer())
+  }
+
+  /** @type {{ cid: CID, token: import('../src/lib/interface.js').Token<typeof input>, bytes: Uint8Array }} */
+  let encoded
+  before(async () => {
+    const { cid, token, car } = await Token.Token.encode(input)
+    encoded = { cid, token, bytes: await toBytes(car) }
+  })
+
+  /**
+   * @param {{ ipnft: string, url: string, data: any, assets: Map<string, CID> }} token
+   */
+  const assertLoaded = (token) => {
+    const { ipnft, url, data } = encoded.token
+    assert.is(token.ipnft, ipnft)
+    assert.is(token.url, url)
+    assert.is(token.data.name, 'cat')
+    assert.is(token.data.image.href, data.image.href)
+    assert.is(token.data.properties.sound.href, data.properties.sound.href)
+    assert.equal(
+      [...token.assets.entries()].map(([path, cid]) => [path, cid.toString()]),
+      [...encoded.token.assets.entries()].map(([path, cid]) => [path, cid.toString()])
+    )
+  }
+
+  it('encodes a CAR rooted at the NFT block', async () => {
+    const reader = await CarReader.fromBytes(encoded.bytes)
+    const roots = await reader.getRoots()
+    assert.equal(roots.map(String), [encoded.cid.toString()])
+    assert.is(encoded.token.ipnft, encoded.cid.toString())
+
+    const block = await reader.get(encoded.cid)
+    assert.ok(block)
+    const value = /** @type {Record<string, unknown>} */ (dagCbor.decode(block.bytes))
+    assert.is(value['type'], 'nft')
+    const metadataJson = CID.asCID(value['metadata.json'])
+    assert.ok(metadataJson && (await reader.has(metadataJson)))
+    assert.is(String(value['image']), String(encoded.token.assets.get('image')))
+  })
+
+  it('loads a token by its CID with a fetcher', async () => {
+    /** @type {string[]} */
+    const fetched = []
+    const token = await Token.load(encoded.token.ipnft, {
+      fetcher: async function* (cid) {
+        fetched.push(cid.toString())
+        yield encoded.bytes
+      },
+    })
+    assertLoaded(token)
+    assert.equal(fetched, [encoded.token.ipnft])
+  })
+
+  it('loads a token from a CAR reader', async () => {
+    assertLoaded(await Token.load(await CarReader.fromBytes(encoded.bytes)))
+  })
+
+  it('loads a token from CAR bytes', async () => {
+    assertLoaded(await Token.load(encoded.bytes))
+    assertLoaded(await Token.load((async function* () { yield encoded.bytes })()))
+  })
+
+  it('rejects tampered blocks', async () => {
+    const bytes = encoded.bytes.slice()
+    bytes[bytes.length - 1] ^= 1
+    try {
+      await Token.load(encoded.token.ipnft, {
+        fetcher: async function* () { yield bytes },
+      })
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, CidMismatchError)
+    }
+  })
+
+  it('rejects CARs that are not rooted at an NFT', async () => {
+    const { car } = await FilebaseClient.encodeBlob(new Blob(['not an NFT']))
+    try {
+      await Token.load(await toBytes(car))
+      assert.unreachable('should have thrown')
+    } catch (error) {
+      assert.instance(error, InvalidCarError)
+    }
+  })
+})